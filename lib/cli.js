@@ -0,0 +1,552 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const Promise = require('bluebird').Promise;
+const _loggerProvider = require('wysknd-log').loggerProvider;
+const DirInfo = require('./dir-info');
+const TemplateBuilder = require('./template-builder');
+const StackAssembler = require('./stack-assembler');
+const StackDiff = require('./stack-diff');
+const SpecValidator = require('./spec-validator');
+const DependencyGraph = require('./dependency-graph');
+const _stackLimits = require('./stack-limits');
+const _profiles = require('./profiles');
+const _graphExporter = require('./graph-exporter');
+const _yamlSerializer = require('./yaml-serializer');
+
+const APP_NAME = 'cf-generator';
+const EXIT_CODES = Object.freeze({
+    SUCCESS: 0,
+    ERROR: 1,
+    USAGE: 2,
+    INVALID: 3,
+    CHANGES: 4,
+    REPLACEMENTS: 5
+});
+const OPTIONS = {
+    'profile': {
+        value: true
+    },
+    'out': {
+        value: true
+    },
+    'format': {
+        value: true
+    },
+    'description': {
+        value: true
+    },
+    'log-level': {
+        value: true
+    },
+    'set': {
+        value: true,
+        multiple: true
+    },
+    'data': {
+        value: true,
+        multiple: true
+    },
+    'include': {
+        value: true,
+        multiple: true
+    },
+    'exclude': {
+        value: true,
+        multiple: true
+    },
+    'strict': {},
+    'canonical': {},
+    'provenance': {},
+    'deterministic': {},
+    'help': {}
+};
+const USAGE = [
+        `Usage: ${APP_NAME} <command> [arguments] [options]`,
+        '',
+        'Commands:',
+        '  build <root>              Builds and assembles the stack for a template tree',
+        '  validate <root>           Validates the stack against the resource specification,',
+        '                            stack limits and the dependency graph',
+        '  diff <old> <new>          Compares two cloud formation documents (JSON or YAML)',
+        '  graph <root|document>     Renders the resource dependency graph',
+        '  list <root>               Lists resources with the files that generated them',
+        '',
+        'Options:',
+        '  --profile <name>          The profile to build with',
+        '  --set <key=value>         Sets a data bag value. Keys may use "." to set nested',
+        '                            values, and values are parsed as JSON if possible',
+        '  --data <file>             Loads data bag values from a JSON or YAML file',
+        '  --include <glob>          Only loads template files that match the pattern',
+        '  --exclude <glob>          Ignores template files that match the pattern',
+        '  --description <text>      The description of the stack',
+        '  --strict                  Fails if any tokens cannot be resolved',
+        '  --canonical               Uses a canonical key ordering in the output',
+        '  --provenance              Emits the source file of each resource in its metadata',
+        '  --deterministic           Processes template files in sorted order',
+        '  --format <format>         build: json|yaml, diff/list: text|json, graph: dot|mermaid',
+        '  --out <file>              Writes the output to a file instead of stdout',
+        '  --log-level <level>       Enables logging at the specified level',
+        '  --help                    Shows this message',
+        '',
+        'Exit codes:',
+        `  ${EXIT_CODES.SUCCESS}  Success`,
+        `  ${EXIT_CODES.ERROR}  An error occurred`,
+        `  ${EXIT_CODES.USAGE}  Invalid usage`,
+        `  ${EXIT_CODES.INVALID}  Validation failed (validate)`,
+        `  ${EXIT_CODES.CHANGES}  The documents are different (diff)`,
+        `  ${EXIT_CODES.REPLACEMENTS}  One or more resources will be replaced (diff)`
+    ].join('\n') + '\n';
+
+/**
+ * Creates an error that indicates invalid usage of the command line
+ * interface.
+ *
+ * @private
+ * @param {String} message The error message.
+ *
+ * @return {Error} The error, with an exit code.
+ */
+function _usageError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.USAGE;
+    return error;
+}
+
+/**
+ * Parses command line arguments into a command, a list of positional
+ * arguments, and a map of options. Options that can be specified multiple
+ * times are returned as arrays.
+ *
+ * @private
+ * @param {Array} args The command line arguments, excluding the node
+ *        executable and the script path.
+ *
+ * @return {Object} The parsed arguments.
+ */
+function _parseArgs(args) {
+    const positional = [];
+    const options = {};
+    for (let index = 0; index < args.length; index++) {
+        const arg = args[index];
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (arg.indexOf('--') !== 0) {
+            positional.push(arg);
+            continue;
+        }
+        const separator = arg.indexOf('=');
+        const name = arg.substring(2, separator < 0 ? arg.length : separator);
+        const option = OPTIONS[name];
+        if (!option) {
+            throw _usageError(`Unknown option: [--${name}]`);
+        }
+        let value = true;
+        if (option.value) {
+            if (separator >= 0) {
+                value = arg.substring(separator + 1);
+            } else if (index + 1 < args.length) {
+                index++;
+                value = args[index];
+            } else {
+                throw _usageError(`Option requires a value: [--${name}]`);
+            }
+        } else if (separator >= 0) {
+            throw _usageError(`Option does not accept a value: [--${name}]`);
+        }
+        if (option.multiple) {
+            options[name] = (options[name] || []).concat(value);
+        } else {
+            options[name] = value;
+        }
+    }
+    return {
+        command: positional.shift(),
+        positional: positional,
+        options: options
+    };
+}
+
+/**
+ * Returns the value of the format option, checking that it is one of the
+ * formats supported by the command.
+ *
+ * @private
+ * @param {Object} options The parsed options.
+ * @param {Array} formats The supported formats. The first format is the
+ *        default.
+ *
+ * @return {String} The selected format.
+ */
+function _getFormat(options, formats) {
+    const format = options.format || formats[0];
+    if (formats.indexOf(format) < 0) {
+        throw _usageError(`Invalid format: [${format}]. Must be one of [${formats.join(',')}]`);
+    }
+    return format;
+}
+
+/**
+ * Reads a JSON or YAML file, based on the file extension.
+ *
+ * @private
+ * @param {String} filePath The path to the file.
+ *
+ * @return {Object} The parsed contents of the file.
+ */
+function _readFile(filePath) {
+    const contents = _fs.readFileSync(filePath, 'utf8');
+    const ext = _path.extname(filePath);
+    if (ext === '.yaml' || ext === '.yml') {
+        return _yamlSerializer.parse(contents);
+    }
+    return JSON.parse(contents);
+}
+
+/**
+ * Builds the data bag from data files and individual values specified on the
+ * command line. Data files are merged in order, followed by the values.
+ *
+ * @private
+ * @param {Object} options The parsed options.
+ *
+ * @return {Object} The data bag.
+ */
+function _loadDataBag(options) {
+    const bags = (options.data || []).map((filePath) => {
+        const bag = _readFile(filePath);
+        if (!bag || (bag instanceof Array) || typeof bag !== 'object') {
+            throw _usageError(`Data file does not define an object: [${filePath}]`);
+        }
+        return bag;
+    });
+    (options.set || []).forEach((assignment) => {
+        const separator = assignment.indexOf('=');
+        if (separator <= 0) {
+            throw _usageError(`Invalid data bag value: [${assignment}]. Must be of the form key=value`);
+        }
+        let value = assignment.substring(separator + 1);
+        try {
+            value = JSON.parse(value);
+        } catch (ex) {
+            // Values that are not valid JSON are treated as strings.
+        }
+        const bag = {};
+        const keys = assignment.substring(0, separator).split('.');
+        keys.reduce((target, key, index) => {
+            target[key] = (index === keys.length - 1) ? value : {};
+            return target[key];
+        }, bag);
+        bags.push(bag);
+    });
+    return _profiles.merge.apply(_profiles, bags);
+}
+
+/**
+ * Builds the templates in a template tree, and assembles them into a cloud
+ * formation document. Profiles are loaded by the template builder, and
+ * values specified on the command line take precedence over the values
+ * defined by the profile.
+ *
+ * @private
+ * @param {String} root The path to the template root.
+ * @param {Object} options The parsed options.
+ *
+ * @return {Promise} A promise that will be resolved with the templates and
+ *         the document.
+ */
+function _assemble(root, options) {
+    return Promise.try(() => {
+        const dataBag = _loadDataBag(options);
+        const builder = new TemplateBuilder(new DirInfo(root, '.'), dataBag, {
+            deterministic: !!options.deterministic,
+            include: options.include,
+            exclude: options.exclude
+        });
+        return builder.build({
+            profile: options.profile
+        }).then((templates) => {
+            const assembler = new StackAssembler({
+                description: options.description,
+                dataBag: dataBag,
+                strict: !!options.strict,
+                canonical: !!options.canonical,
+                provenance: !!options.provenance
+            });
+            return {
+                templates: templates,
+                document: assembler.assemble(templates)
+            };
+        });
+    });
+}
+
+/**
+ * Writes output to a file, if one was specified, or to stdout.
+ *
+ * @private
+ * @param {String} output The output to write.
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ */
+function _write(output, options, streams) {
+    if (typeof options.out === 'string') {
+        _fs.writeFileSync(options.out, output);
+    } else {
+        streams.stdout.write(output);
+    }
+}
+
+/**
+ * Builds and assembles a stack, and writes the document.
+ *
+ * @private
+ * @param {Array} args The positional arguments (root).
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ *
+ * @return {Promise} A promise that will be resolved with the exit code.
+ */
+function _build(args, options, streams) {
+    const format = _getFormat(options, ['json', 'yaml']);
+    return _assemble(args[0], options).then((result) => {
+        const output = (format === 'yaml') ? _yamlSerializer.stringify(result.document) :
+            JSON.stringify(result.document, null, 4) + '\n';
+        _write(output, options, streams);
+        return EXIT_CODES.SUCCESS;
+    });
+}
+
+/**
+ * Builds and assembles a stack, and validates the document against the
+ * resource specification, stack limits and dependency graph. Errors that
+ * prevent the stack from being built or assembled are not validation
+ * failures, and are reported as general errors.
+ *
+ * @private
+ * @param {Array} args The positional arguments (root).
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ *
+ * @return {Promise} A promise that will be resolved with the exit code.
+ */
+function _validate(args, options, streams) {
+    return _assemble(args[0], options).then((result) => {
+        const document = result.document;
+        const errors = [];
+        const warnings = [];
+
+        new SpecValidator().validate(document).forEach((error) => {
+            errors.push(`[${error.key}] ${error.path}: ${error.message}`);
+        });
+        const limits = _stackLimits.check(document);
+        limits.errors.forEach((error) => errors.push(error.message));
+        limits.warnings.forEach((warning) => warnings.push(warning.message));
+        try {
+            new DependencyGraph(document).validate();
+        } catch (ex) {
+            errors.push(ex.message);
+        }
+
+        warnings.forEach((warning) => streams.stdout.write(`Warning: ${warning}` + '\n'));
+        errors.forEach((error) => streams.stdout.write(`Error: ${error}` + '\n'));
+        if (errors.length > 0) {
+            streams.stdout.write(`Validation failed: ${errors.length} error(s), ${warnings.length} warning(s)` + '\n');
+            return EXIT_CODES.INVALID;
+        }
+        streams.stdout.write(`Validation passed: ${Object.keys(document.Resources).length} resource(s), ${warnings.length} warning(s)` + '\n');
+        return EXIT_CODES.SUCCESS;
+    });
+}
+
+/**
+ * Compares two cloud formation documents, and writes the differences.
+ *
+ * @private
+ * @param {Array} args The positional arguments (old and new documents).
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ *
+ * @return {Promise} A promise that will be resolved with the exit code.
+ */
+function _diff(args, options, streams) {
+    const format = _getFormat(options, ['text', 'json']);
+    return Promise.try(() => {
+        const diff = new StackDiff(_readFile(args[0]), _readFile(args[1]));
+        _write(format === 'json' ? diff.toJson() + '\n' : diff.toText(), options, streams);
+        if (diff.replacements.length > 0) {
+            return EXIT_CODES.REPLACEMENTS;
+        }
+        return diff.hasChanges ? EXIT_CODES.CHANGES : EXIT_CODES.SUCCESS;
+    });
+}
+
+/**
+ * Renders the resource dependency graph of a template tree, or of an
+ * existing cloud formation document.
+ *
+ * @private
+ * @param {Array} args The positional arguments (root or document).
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ *
+ * @return {Promise} A promise that will be resolved with the exit code.
+ */
+function _graph(args, options, streams) {
+    const format = _getFormat(options, ['dot', 'mermaid']);
+    return Promise.try(() => {
+        if (_fs.statSync(args[0]).isFile()) {
+            return {
+                templates: [],
+                document: _readFile(args[0])
+            };
+        }
+        return _assemble(args[0], options);
+    }).then((result) => {
+        const sources = {};
+        result.templates.forEach((template) => {
+            sources[template.key] = template.source;
+        });
+        const exportOptions = {
+            sources: sources
+        };
+        const output = (format === 'mermaid') ? _graphExporter.toMermaid(result.document, exportOptions) :
+            _graphExporter.toDot(result.document, exportOptions);
+        _write(output, options, streams);
+        return EXIT_CODES.SUCCESS;
+    });
+}
+
+/**
+ * Lists the resources in a template tree, along with the files that
+ * generated them.
+ *
+ * @private
+ * @param {Array} args The positional arguments (root).
+ * @param {Object} options The parsed options.
+ * @param {Object} streams The output streams.
+ *
+ * @return {Promise} A promise that will be resolved with the exit code.
+ */
+function _list(args, options, streams) {
+    const format = _getFormat(options, ['text', 'json']);
+    return _assemble(args[0], options).then((result) => {
+        const resources = result.templates.map((template) => {
+            return {
+                key: template.key,
+                type: template.type,
+                source: template.source,
+                level: template.level
+            };
+        });
+        let output;
+        if (format === 'json') {
+            output = JSON.stringify(resources, null, 4) + '\n';
+        } else {
+            const widths = ['key', 'type'].map((prop) => {
+                return resources.reduce((width, resource) => Math.max(width, resource[prop].length), 0);
+            });
+            output = resources.map((resource) => {
+                return [
+                        resource.key + ' '.repeat(widths[0] - resource.key.length),
+                        resource.type + ' '.repeat(widths[1] - resource.type.length),
+                        resource.source || ''
+                    ].join('  ').trim() + '\n';
+            }).join('');
+        }
+        _write(output, options, streams);
+        return EXIT_CODES.SUCCESS;
+    });
+}
+
+const COMMANDS = {
+    build: {
+        args: ['root'],
+        handler: _build
+    },
+    validate: {
+        args: ['root'],
+        handler: _validate
+    },
+    diff: {
+        args: ['old', 'new'],
+        handler: _diff
+    },
+    graph: {
+        args: ['root|document'],
+        handler: _graph
+    },
+    list: {
+        args: ['root'],
+        handler: _list
+    }
+};
+
+/**
+ * A module that implements the command line interface for the library. The
+ * interface can build, validate, compare, graph and list stacks, and uses
+ * exit codes that allow it to be used as a gate in CI pipelines.
+ */
+const cli = {
+
+    /**
+     * The exit codes returned by the command line interface.
+     */
+    EXIT_CODES: EXIT_CODES,
+
+    /**
+     * Executes a command.
+     *
+     * @param {Array} args The command line arguments, excluding the node
+     *        executable and the script path.
+     * @param {Object} [streams] Optional output streams (stdout and stderr).
+     *        Defaults to the streams of the current process.
+     *
+     * @return {Promise} A promise that will be resolved with the exit code
+     *         of the command. The promise is never rejected. Errors are
+     *         written to stderr, and result in a non zero exit code.
+     */
+    run: function(args, streams) {
+        streams = Object.assign({
+            stdout: process.stdout,
+            stderr: process.stderr
+        }, streams);
+        return Promise.try(() => {
+            if (!(args instanceof Array)) {
+                throw new Error('Invalid args specified (arg #1)');
+            }
+            const parsed = _parseArgs(args);
+            const options = parsed.options;
+            if (options.help) {
+                streams.stdout.write(USAGE);
+                return EXIT_CODES.SUCCESS;
+            }
+            if (typeof options['log-level'] === 'string') {
+                _loggerProvider.configure({
+                    appName: APP_NAME,
+                    logLevel: options['log-level']
+                });
+            }
+            const command = COMMANDS[parsed.command];
+            if (!command) {
+                throw _usageError(parsed.command === undefined ? 'No command specified' :
+                    `Unknown command: [${parsed.command}]`);
+            }
+            if (parsed.positional.length !== command.args.length) {
+                throw _usageError(`Invalid arguments. Usage: ${APP_NAME} ${parsed.command} ${command.args.map((arg) => `<${arg}>`).join(' ')}`);
+            }
+            return command.handler(parsed.positional, options, streams);
+        }).catch((ex) => {
+            streams.stderr.write(`Error: ${ex.message}` + '\n');
+            if (ex.exitCode === EXIT_CODES.USAGE) {
+                streams.stderr.write(`Run "${APP_NAME} --help" for usage` + '\n');
+            }
+            return ex.exitCode || EXIT_CODES.ERROR;
+        });
+    }
+};
+
+module.exports = cli;
@@ -0,0 +1,148 @@
+'use strict';
+
+const MIN_CONDITIONS = 2;
+const MAX_CONDITIONS = 10;
+
+/**
+ * Checks that the specified value is a valid list of conditions for use with
+ * the Fn::And and Fn::Or functions.
+ *
+ * @private
+ * @param {Array} conditions The list of conditions to check.
+ * @param {String} functionName The name of the function being built.
+ */
+function _checkConditionList(conditions, functionName) {
+    if (conditions.length < MIN_CONDITIONS || conditions.length > MAX_CONDITIONS) {
+        throw new Error(`Invalid conditions specified. ${functionName} requires between ${MIN_CONDITIONS} and ${MAX_CONDITIONS} conditions`);
+    }
+    conditions.forEach((condition, index) => {
+        if (!condition || (condition instanceof Array) || typeof condition !== 'object') {
+            throw new Error(`Invalid condition specified (arg #${index + 1})`);
+        }
+    });
+}
+
+/**
+ * A module that exposes builder methods for cloud formation condition
+ * functions.
+ */
+const conditions = {
+
+    /**
+     * Creates a reference to a named condition, for use within other
+     * condition functions.
+     *
+     * @param {String} name The name of the condition.
+     *
+     * @return {Object} A cloud formation snippet that references the
+     *         condition.
+     */
+    condition: function(name) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid condition name specified (arg #1)');
+        }
+        return {
+            Condition: name
+        };
+    },
+
+    /**
+     * Creates a condition that compares two values for equality.
+     *
+     * @param {String|Object} first The first value to compare.
+     * @param {String|Object} second The second value to compare.
+     *
+     * @return {Object} A cloud formation snippet that represents the
+     *         condition.
+     */
+    equals: function(first, second) {
+        if (first === undefined || first === null) {
+            throw new Error('Invalid value specified (arg #1)');
+        }
+        if (second === undefined || second === null) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        return {
+            'Fn::Equals': [first, second]
+        };
+    },
+
+    /**
+     * Creates a condition that is true if all of the specified conditions are
+     * true. Between 2 and 10 conditions must be specified.
+     *
+     * @param {...Object} condition The conditions to evaluate.
+     *
+     * @return {Object} A cloud formation snippet that represents the
+     *         condition.
+     */
+    and: function() {
+        const list = Array.prototype.slice.call(arguments);
+        _checkConditionList(list, 'Fn::And');
+        return {
+            'Fn::And': list
+        };
+    },
+
+    /**
+     * Creates a condition that is true if any of the specified conditions are
+     * true. Between 2 and 10 conditions must be specified.
+     *
+     * @param {...Object} condition The conditions to evaluate.
+     *
+     * @return {Object} A cloud formation snippet that represents the
+     *         condition.
+     */
+    or: function() {
+        const list = Array.prototype.slice.call(arguments);
+        _checkConditionList(list, 'Fn::Or');
+        return {
+            'Fn::Or': list
+        };
+    },
+
+    /**
+     * Creates a condition that negates the specified condition.
+     *
+     * @param {Object} condition The condition to negate.
+     *
+     * @return {Object} A cloud formation snippet that represents the
+     *         condition.
+     */
+    not: function(condition) {
+        if (!condition || (condition instanceof Array) || typeof condition !== 'object') {
+            throw new Error('Invalid condition specified (arg #1)');
+        }
+        return {
+            'Fn::Not': [condition]
+        };
+    },
+
+    /**
+     * Creates an expression that returns one of two values based on the
+     * outcome of a named condition.
+     *
+     * @param {String} name The name of the condition to evaluate.
+     * @param {*} trueValue The value to return if the condition is true.
+     * @param {*} falseValue The value to return if the condition is false.
+     *
+     * @return {Object} A cloud formation snippet that represents the
+     *         expression.
+     */
+    if: function(name, trueValue, falseValue) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid condition name specified (arg #1)');
+        }
+        if (trueValue === undefined) {
+            throw new Error('Invalid true value specified (arg #2)');
+        }
+        if (falseValue === undefined) {
+            throw new Error('Invalid false value specified (arg #3)');
+        }
+        return {
+            'Fn::If': [name, trueValue, falseValue]
+        };
+    }
+};
+
+module.exports = conditions;
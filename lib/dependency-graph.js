@@ -0,0 +1,404 @@
+'use strict';
+
+const PSEUDO_PARAMETER_PREFIX = 'AWS::';
+const SUB_VARIABLE_PATTERN = /\$\{([^!}][^}]*)\}/g;
+const REFERENCE_SECTIONS = ['Conditions', 'Outputs'];
+
+/**
+ * Invokes the callback for every variable in a Fn::Sub template string that
+ * is not defined in the variable map of the expression. Variables of the
+ * form ${Key.Attribute} are reported using the key alone, and literal
+ * variables (${!Literal}) are ignored.
+ *
+ * @private
+ * @param {String} text The template string.
+ * @param {Object} variables The variable map of the expression.
+ * @param {String} path The path of the Fn::Sub expression.
+ * @param {Function} callback The callback to invoke for each reference.
+ */
+function _findSubReferences(text, variables, path, callback) {
+    text.replace(SUB_VARIABLE_PATTERN, (match, name) => {
+        if (!variables || !variables.hasOwnProperty(name)) {
+            callback(name.split('.')[0], 'Fn::Sub', `${path}.Fn::Sub`);
+        }
+        return match;
+    });
+}
+
+/**
+ * Recursively walks a property value, and invokes the callback for every
+ * resource reference (Ref, Fn::GetAtt or Fn::Sub variable) found within the
+ * value.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {String} path The path of the value within the resource.
+ * @param {Function} callback The callback to invoke for each reference. The
+ *        callback will receive the referenced key, the type of reference and
+ *        the path at which the reference was found.
+ */
+function _findReferences(value, path, callback) {
+    if (value instanceof Array) {
+        value.forEach((item, index) => {
+            _findReferences(item, `${path}[${index}]`, callback);
+        });
+    } else if (value && typeof value === 'object') {
+        const keys = Object.keys(value);
+        if (keys.length === 1 && keys[0] === 'Ref' && typeof value.Ref === 'string') {
+            callback(value.Ref, 'Ref', `${path}.Ref`);
+            return;
+        }
+        if (keys.length === 1 && keys[0] === 'Fn::GetAtt') {
+            let target = value['Fn::GetAtt'];
+            if (typeof target === 'string') {
+                target = target.split('.')[0];
+            } else if (target instanceof Array) {
+                target = target[0];
+            }
+            if (typeof target === 'string') {
+                callback(target, 'Fn::GetAtt', `${path}.Fn::GetAtt`);
+                return;
+            }
+        }
+        if (keys.length === 1 && keys[0] === 'Fn::Sub') {
+            const args = value['Fn::Sub'];
+            if (typeof args === 'string') {
+                _findSubReferences(args, undefined, path, callback);
+                return;
+            }
+            if (args instanceof Array && typeof args[0] === 'string') {
+                const variables = (args[1] && typeof args[1] === 'object') ? args[1] : undefined;
+                _findSubReferences(args[0], variables, path, callback);
+                _findReferences(args[1], `${path}.Fn::Sub[1]`, callback);
+                return;
+            }
+        }
+        keys.forEach((key) => {
+            _findReferences(value[key], `${path}.${key}`, callback);
+        });
+    }
+}
+
+/**
+ * Represents the dependencies between resources in an assembled cloud
+ * formation document. Edges are extracted from explicit DependsOn
+ * declarations, and from implicit Ref, Fn::GetAtt and Fn::Sub references.
+ *
+ * References made from the Conditions and Outputs sections of the document
+ * are not dependencies between resources, and are therefore not included in
+ * the edges of the graph. They are tracked separately (see
+ * sectionReferences), so that references to undefined resources can be
+ * reported.
+ */
+class DependencyGraph {
+    /**
+     * @param {Object} document An assembled cloud formation document,
+     *        typically generated by a StackAssembler.
+     */
+    constructor(document) {
+        if (!document || (document instanceof Array) || typeof document !== 'object') {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        const resources = document.Resources;
+        if (!resources || (resources instanceof Array) || typeof resources !== 'object') {
+            throw new Error('Document does not define a valid resources section (document.Resources)');
+        }
+
+        this._nodes = Object.keys(resources);
+        this._parameters = Object.keys(document.Parameters || {});
+        this._edges = [];
+        this._sectionReferences = [];
+
+        this._nodes.forEach((key) => {
+            const resource = resources[key] || {};
+            let dependsOn = resource.DependsOn;
+            if (typeof dependsOn === 'string') {
+                dependsOn = [dependsOn];
+            }
+            if (dependsOn instanceof Array) {
+                dependsOn.forEach((target, index) => {
+                    this._addEdge(key, target, 'DependsOn', `DependsOn[${index}]`);
+                });
+            }
+            _findReferences(resource.Properties, 'Properties', (target, type, path) => {
+                this._addEdge(key, target, type, path);
+            });
+        });
+
+        REFERENCE_SECTIONS.forEach((section) => {
+            const entries = document[section];
+            if (!entries || (entries instanceof Array) || typeof entries !== 'object') {
+                return;
+            }
+            Object.keys(entries).forEach((key) => {
+                const entry = entries[key];
+                if (!entry || (entry instanceof Array) || typeof entry !== 'object') {
+                    return;
+                }
+                Object.keys(entry).forEach((property) => {
+                    _findReferences(entry[property], property, (target, type, path) => {
+                        if (!this._isExternal(target)) {
+                            this._sectionReferences.push({
+                                from: `${section}.${key}`,
+                                to: target,
+                                type: type,
+                                path: path
+                            });
+                        }
+                    });
+                });
+            });
+        });
+    }
+
+    /**
+     * Determines whether or not a referenced key refers to a pseudo
+     * parameter or a stack parameter, neither of which are resources.
+     *
+     * @private
+     * @param {String} key The referenced key.
+     *
+     * @return {Boolean} True if the key does not refer to a resource.
+     */
+    _isExternal(key) {
+        return key.indexOf(PSEUDO_PARAMETER_PREFIX) === 0 ||
+            this._parameters.indexOf(key) >= 0;
+    }
+
+    /**
+     * Adds an edge to the graph, ignoring references to pseudo parameters and
+     * stack parameters, neither of which are resources.
+     *
+     * @private
+     * @param {String} from The key of the resource that declares the reference.
+     * @param {String} to The key of the referenced resource.
+     * @param {String} type The type of reference (DependsOn, Ref, Fn::GetAtt,
+     *        Fn::Sub).
+     * @param {String} path The path within the resource where the reference
+     *        was found.
+     */
+    _addEdge(from, to, type, path) {
+        if (this._isExternal(to)) {
+            return;
+        }
+        this._edges.push({
+            from: from,
+            to: to,
+            type: type,
+            path: path
+        });
+    }
+
+    /**
+     * Returns a map of resource keys to the list of keys of resources that
+     * they depend upon. References to undefined resources are not included.
+     *
+     * @private
+     * @return {Object} The adjacency map.
+     */
+    _getAdjacencyMap() {
+        const map = {};
+        this._nodes.forEach((node) => {
+            map[node] = [];
+        });
+        this._edges.forEach((edge) => {
+            const targets = map[edge.from];
+            if (map.hasOwnProperty(edge.to) && targets.indexOf(edge.to) < 0) {
+                targets.push(edge.to);
+            }
+        });
+        return map;
+    }
+
+    /**
+     * Gets the list of resource keys in the graph.
+     *
+     * @return {Array} The list of resource keys.
+     */
+    get nodes() {
+        return this._nodes.slice();
+    }
+
+    /**
+     * Gets the list of edges in the graph. Each edge is an object that
+     * identifies the source (from) and target (to) resource keys, the type of
+     * the reference, and the path within the source resource at which the
+     * reference was declared.
+     *
+     * @return {Array} The list of edges.
+     */
+    get edges() {
+        return this._edges.slice();
+    }
+
+    /**
+     * Gets the list of references made from the Conditions and Outputs
+     * sections of the document. Each reference identifies the section entry
+     * that declares it (ex: Outputs.BucketName), the referenced key (to),
+     * the type of the reference, and the path within the section at which
+     * the reference was declared.
+     *
+     * @return {Array} The list of section references.
+     */
+    get sectionReferences() {
+        return this._sectionReferences.slice();
+    }
+
+    /**
+     * Gets the list of keys of resources that the specified resource depends
+     * upon.
+     *
+     * @param {String} key The key of the resource.
+     *
+     * @return {Array} A list of resource keys.
+     */
+    getDependencies(key) {
+        if (this._nodes.indexOf(key) < 0) {
+            throw new Error(`Resource not found in graph: [${key}]`);
+        }
+        return this._getAdjacencyMap()[key];
+    }
+
+    /**
+     * Gets the list of keys of resources that depend upon the specified
+     * resource.
+     *
+     * @param {String} key The key of the resource.
+     *
+     * @return {Array} A list of resource keys.
+     */
+    getDependents(key) {
+        if (this._nodes.indexOf(key) < 0) {
+            throw new Error(`Resource not found in graph: [${key}]`);
+        }
+        const map = this._getAdjacencyMap();
+        return this._nodes.filter((node) => map[node].indexOf(key) >= 0);
+    }
+
+    /**
+     * Returns a list of edges and section references that reference
+     * resources that are not defined in the document.
+     *
+     * @return {Array} A list of edges with undefined targets.
+     */
+    findDanglingReferences() {
+        return this._edges.concat(this._sectionReferences).filter((edge) => this._nodes.indexOf(edge.to) < 0);
+    }
+
+    /**
+     * Identifies circular dependencies between resources. Each cycle is
+     * returned as a list of resource keys that depend on each other.
+     *
+     * @return {Array} A list of cycles. An empty array is returned if no
+     *         cycles exist.
+     */
+    findCycles() {
+        const map = this._getAdjacencyMap();
+        const indices = {};
+        const lowLinks = {};
+        const onStack = {};
+        const stack = [];
+        const cycles = [];
+        let index = 0;
+
+        const visit = (node) => {
+            indices[node] = index;
+            lowLinks[node] = index;
+            index++;
+            stack.push(node);
+            onStack[node] = true;
+
+            map[node].forEach((target) => {
+                if (!indices.hasOwnProperty(target)) {
+                    visit(target);
+                    lowLinks[node] = Math.min(lowLinks[node], lowLinks[target]);
+                } else if (onStack[target]) {
+                    lowLinks[node] = Math.min(lowLinks[node], indices[target]);
+                }
+            });
+
+            if (lowLinks[node] === indices[node]) {
+                const component = [];
+                let member;
+                do {
+                    member = stack.pop();
+                    onStack[member] = false;
+                    component.unshift(member);
+                } while (member !== node);
+
+                if (component.length > 1 || map[node].indexOf(node) >= 0) {
+                    cycles.push(component);
+                }
+            }
+        };
+
+        this._nodes.forEach((node) => {
+            if (!indices.hasOwnProperty(node)) {
+                visit(node);
+            }
+        });
+
+        return cycles;
+    }
+
+    /**
+     * Returns the list of resource keys, sorted so that every resource
+     * appears after all of the resources that it depends upon. Resources
+     * with no relative ordering retain the order in which they were declared
+     * in the document.
+     *
+     * @return {Array} The sorted list of resource keys.
+     */
+    getTopologicalOrder() {
+        const cycles = this.findCycles();
+        if (cycles.length > 0) {
+            throw new Error(`Cannot sort resources with circular dependencies: ${cycles.map((cycle) => `[${cycle.join(' -> ')}]`).join(', ')}`);
+        }
+
+        const map = this._getAdjacencyMap();
+        const pending = {};
+        this._nodes.forEach((node) => {
+            pending[node] = map[node].length;
+        });
+
+        const order = [];
+        while (order.length < this._nodes.length) {
+            const next = this._nodes.find((node) => pending[node] === 0);
+            pending[next] = -1;
+            order.push(next);
+            this._nodes.forEach((node) => {
+                if (map[node].indexOf(next) >= 0) {
+                    pending[node]--;
+                }
+            });
+        }
+
+        return order;
+    }
+
+    /**
+     * Validates the graph, throwing a single error that reports all dangling
+     * references and circular dependencies.
+     *
+     * @return {Object} A reference to the graph. Can be used to chain
+     *         multiple calls.
+     */
+    validate() {
+        const messages = [];
+        this.findDanglingReferences().forEach((edge) => {
+            messages.push(`  [${edge.from}] ${edge.path}: reference to undefined resource [${edge.to}]`);
+        });
+        this.findCycles().forEach((cycle) => {
+            messages.push(`  Circular dependency: [${cycle.join(' -> ')}]`);
+        });
+
+        if (messages.length > 0) {
+            throw new Error(`Dependency graph validation failed:
+${messages.join('\n')}`);
+        }
+
+        return this;
+    }
+}
+
+module.exports = DependencyGraph;
@@ -14,16 +14,22 @@ class DirInfo {
      * @param {String} templateRoot Path to the root of the API template.
      * @param {String} relPath Path of the current directory, relative to
      *        to the template root.
+     * @param {String} [profile=undefined] The name of the active profile
+     *        for the build, if one was selected.
      */
-    constructor(templateRoot, relPath) {
+    constructor(templateRoot, relPath, profile) {
         if (typeof templateRoot !== 'string' || templateRoot.length <= 0) {
             throw new Error('Invalid template root specified (arg #1)');
         }
         if (typeof relPath !== 'string' || relPath.length <= 0) {
             throw new Error('Invalid relative path specified (arg #2)');
         }
+        if (profile !== undefined && (typeof profile !== 'string' || profile.length <= 0)) {
+            throw new Error('Invalid profile specified (arg #3)');
+        }
         this._templateRoot = _path.resolve(templateRoot);
         this._relPath = relPath;
+        this._profile = profile;
 
         this._dirPath = _path.join(this._templateRoot, this._relPath);
         this._pathTokens = this._relPath.split(_path.sep);
@@ -66,6 +72,33 @@ class DirInfo {
         return this._pathTokens.length;
     }
 
+    /**
+     * Gets the name of the active profile for the build. Templates can use
+     * this value to include or skip themselves based on the target stage
+     * or environment.
+     *
+     * @return {String} The name of the active profile, or undefined if no
+     *         profile was selected.
+     */
+    get profile() {
+        return this._profile;
+    }
+
+    /**
+     * Creates an object that represents the current directory, with the
+     * specified active profile.
+     *
+     * @param {String} profile The name of the active profile.
+     *
+     * @return {Object} A new directory info object.
+     */
+    withProfile(profile) {
+        if (typeof profile !== 'string' || profile.length <= 0) {
+            throw new Error('Invalid profile specified (arg #1)');
+        }
+        return new DirInfo(this._templateRoot, this._relPath, profile);
+    }
+
     /**
      * Gets the absolute file path to a file under the current resource
      * directory.
@@ -163,7 +196,7 @@ class DirInfo {
         pathTokens.push(dir);
         const childPath = _path.join.apply(_path, pathTokens);
 
-        return new DirInfo(this._templateRoot, childPath);
+        return new DirInfo(this._templateRoot, childPath, this._profile);
     }
 }
 
@@ -0,0 +1,287 @@
+'use strict';
+
+const _conditions = require('./conditions');
+
+/**
+ * Determines whether or not the specified value is a cloud formation
+ * expression object (ex: { Ref: ... }, { 'Fn::Join': ... }).
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an expression object.
+ */
+function _isExpression(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Checks that the specified value is either a non empty string, or a cloud
+ * formation expression object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {String} message The error message to use if the check fails.
+ */
+function _checkValue(value, message) {
+    if (!_isExpression(value) && (typeof value !== 'string' || value.length <= 0)) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Checks that the specified value is either an array, or a cloud formation
+ * expression object that returns a list.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {String} message The error message to use if the check fails.
+ */
+function _checkList(value, message) {
+    if (!(value instanceof Array) && !_isExpression(value)) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * A module that exposes builder methods for cloud formation intrinsic
+ * functions. Arguments are validated, and string arguments may contain
+ * tokens (<% token %>) that will be resolved when the template is finalized.
+ */
+const Fn = {
+
+    /**
+     * Creates a reference to a resource, parameter or pseudo parameter.
+     *
+     * @param {String} name The logical id (or token) of the entity being
+     *        referenced.
+     *
+     * @return {Object} A Ref expression.
+     */
+    ref: function(name) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid name specified (arg #1)');
+        }
+        return {
+            Ref: name
+        };
+    },
+
+    /**
+     * Creates an expression that returns the value of a resource attribute.
+     *
+     * @param {String} resource The logical id (or token) of the resource.
+     * @param {String} attribute The name of the attribute.
+     *
+     * @return {Object} A Fn::GetAtt expression.
+     */
+    getAtt: function(resource, attribute) {
+        if (typeof resource !== 'string' || resource.length <= 0) {
+            throw new Error('Invalid resource specified (arg #1)');
+        }
+        if (typeof attribute !== 'string' || attribute.length <= 0) {
+            throw new Error('Invalid attribute specified (arg #2)');
+        }
+        return {
+            'Fn::GetAtt': [resource, attribute]
+        };
+    },
+
+    /**
+     * Creates an expression that joins a list of values using a delimiter.
+     *
+     * @param {String} delimiter The delimiter to use. Can be an empty string.
+     * @param {Array|Object} values The list of values to join, or an
+     *        expression that returns a list.
+     *
+     * @return {Object} A Fn::Join expression.
+     */
+    join: function(delimiter, values) {
+        if (typeof delimiter !== 'string') {
+            throw new Error('Invalid delimiter specified (arg #1)');
+        }
+        _checkList(values, 'Invalid values specified (arg #2). Must be an array or an expression');
+        return {
+            'Fn::Join': [delimiter, values]
+        };
+    },
+
+    /**
+     * Creates an expression that substitutes variables in a string.
+     *
+     * @param {String} template The string containing ${variable} references.
+     * @param {Object} [variables=undefined] An optional map of variable names
+     *        to values.
+     *
+     * @return {Object} A Fn::Sub expression.
+     */
+    sub: function(template, variables) {
+        if (typeof template !== 'string' || template.length <= 0) {
+            throw new Error('Invalid template string specified (arg #1)');
+        }
+        if (variables === undefined) {
+            return {
+                'Fn::Sub': template
+            };
+        }
+        if (!_isExpression(variables)) {
+            throw new Error('Invalid variables specified (arg #2)');
+        }
+        return {
+            'Fn::Sub': [template, variables]
+        };
+    },
+
+    /**
+     * Creates an expression that selects a single item from a list.
+     *
+     * @param {Number|Object} index The zero based index of the item, or an
+     *        expression that returns the index.
+     * @param {Array|Object} values The list of values, or an expression that
+     *        returns a list.
+     *
+     * @return {Object} A Fn::Select expression.
+     */
+    select: function(index, values) {
+        if (!_isExpression(index) && (typeof index !== 'number' || index < 0 || index % 1 !== 0)) {
+            throw new Error('Invalid index specified (arg #1). Must be a non negative integer or an expression');
+        }
+        _checkList(values, 'Invalid values specified (arg #2). Must be an array or an expression');
+        if (typeof index === 'number') {
+            index = index.toString();
+        }
+        return {
+            'Fn::Select': [index, values]
+        };
+    },
+
+    /**
+     * Creates an expression that splits a string into a list of values.
+     *
+     * @param {String} delimiter The delimiter to split on.
+     * @param {String|Object} source The string to split, or an expression
+     *        that returns a string.
+     *
+     * @return {Object} A Fn::Split expression.
+     */
+    split: function(delimiter, source) {
+        if (typeof delimiter !== 'string' || delimiter.length <= 0) {
+            throw new Error('Invalid delimiter specified (arg #1)');
+        }
+        _checkValue(source, 'Invalid source specified (arg #2)');
+        return {
+            'Fn::Split': [delimiter, source]
+        };
+    },
+
+    /**
+     * Creates an expression that imports a value exported by another stack.
+     *
+     * @param {String|Object} name The export name, or an expression that
+     *        returns the export name.
+     *
+     * @return {Object} A Fn::ImportValue expression.
+     */
+    importValue: function(name) {
+        _checkValue(name, 'Invalid export name specified (arg #1)');
+        return {
+            'Fn::ImportValue': name
+        };
+    },
+
+    /**
+     * Creates an expression that base64 encodes a value.
+     *
+     * @param {String|Object} value The value to encode, or an expression that
+     *        returns the value.
+     *
+     * @return {Object} A Fn::Base64 expression.
+     */
+    base64: function(value) {
+        if (!_isExpression(value) && typeof value !== 'string') {
+            throw new Error('Invalid value specified (arg #1)');
+        }
+        return {
+            'Fn::Base64': value
+        };
+    },
+
+    /**
+     * Creates an expression that returns the availability zones of a region.
+     *
+     * @param {String|Object} [region=''] The region. If omitted, the region
+     *        of the stack will be used.
+     *
+     * @return {Object} A Fn::GetAZs expression.
+     */
+    getAZs: function(region) {
+        if (region === undefined) {
+            region = '';
+        }
+        if (!_isExpression(region) && typeof region !== 'string') {
+            throw new Error('Invalid region specified (arg #1)');
+        }
+        return {
+            'Fn::GetAZs': region
+        };
+    },
+
+    /**
+     * Creates an expression that returns a list of CIDR address blocks.
+     *
+     * @param {String|Object} ipBlock The CIDR address block to divide.
+     * @param {Number} count The number of CIDRs to generate (1 - 256).
+     * @param {Number} cidrBits The number of subnet bits for each CIDR
+     *        (1 - 128).
+     *
+     * @return {Object} A Fn::Cidr expression.
+     */
+    cidr: function(ipBlock, count, cidrBits) {
+        _checkValue(ipBlock, 'Invalid ip block specified (arg #1)');
+        if (typeof count !== 'number' || count < 1 || count > 256 || count % 1 !== 0) {
+            throw new Error('Invalid count specified (arg #2). Must be an integer between 1 and 256');
+        }
+        if (typeof cidrBits !== 'number' || cidrBits < 1 || cidrBits > 128 || cidrBits % 1 !== 0) {
+            throw new Error('Invalid cidr bits specified (arg #3). Must be an integer between 1 and 128');
+        }
+        return {
+            'Fn::Cidr': [ipBlock, count.toString(), cidrBits.toString()]
+        };
+    },
+
+    /**
+     * Creates an expression that returns one of two values based on the
+     * outcome of a named condition.
+     *
+     * @param {String} name The name of the condition to evaluate.
+     * @param {*} trueValue The value to return if the condition is true.
+     * @param {*} falseValue The value to return if the condition is false.
+     *
+     * @return {Object} A Fn::If expression.
+     */
+    if: _conditions.if,
+
+    /**
+     * Creates an expression that looks up a value from a stack mapping.
+     *
+     * @param {String} mapName The name of the mapping.
+     * @param {String|Object} topKey The top level key, or an expression that
+     *        returns the key.
+     * @param {String|Object} secondKey The second level key, or an expression
+     *        that returns the key.
+     *
+     * @return {Object} A Fn::FindInMap expression.
+     */
+    findInMap: function(mapName, topKey, secondKey) {
+        if (typeof mapName !== 'string' || mapName.length <= 0) {
+            throw new Error('Invalid map name specified (arg #1)');
+        }
+        _checkValue(topKey, 'Invalid top level key specified (arg #2)');
+        _checkValue(secondKey, 'Invalid second level key specified (arg #3)');
+        return {
+            'Fn::FindInMap': [mapName, topKey, secondKey]
+        };
+    }
+};
+
+module.exports = Fn;
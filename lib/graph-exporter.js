@@ -0,0 +1,306 @@
+'use strict';
+
+const _path = require('path');
+const DependencyGraph = require('./dependency-graph');
+
+const ROOT_CLUSTER = '.';
+const SERVICE_COLORS = {
+    ApiGateway: '#f4a261',
+    Lambda: '#e9c46a',
+    IAM: '#e76f51',
+    DynamoDB: '#8ab17d',
+    S3: '#2a9d8f',
+    SNS: '#b392ac',
+    SQS: '#d4a5a5',
+    Kinesis: '#90be6d',
+    EC2: '#6d9dc5',
+    Events: '#c9ada7',
+    CloudFormation: '#adb5bd'
+};
+const FALLBACK_COLORS = ['#a8dadc', '#ffcad4', '#cdb4db', '#bde0fe', '#fefae0', '#ccd5ae'];
+
+/**
+ * Returns the nodes and the (de-duplicated) edges of the dependency graph of
+ * a cloud formation document. Edges that reference resources that are not
+ * defined in the document are excluded. Multiple references between the
+ * same pair of resources are combined into a single edge.
+ *
+ * @private
+ * @param {Object} document The cloud formation document.
+ * @param {Object} sources A map of resource keys to the paths of the files
+ *        that generated them. Resources that are not in the map are placed
+ *        using their provenance metadata (Metadata.Generator.Source), if
+ *        present.
+ *
+ * @return {Object} An object that contains a list of nodes (key, type,
+ *         service and directory), and a list of edges (from, to and the
+ *         reference types).
+ */
+function _getGraph(document, sources) {
+    const graph = new DependencyGraph(document);
+    const nodes = graph.nodes.map((key) => {
+        const resource = document.Resources[key] || {};
+        const type = resource.Type;
+        let source = sources[key];
+        if (source === undefined && resource.Metadata && resource.Metadata.Generator) {
+            source = resource.Metadata.Generator.Source;
+        }
+        return {
+            key: key,
+            type: type,
+            service: (typeof type === 'string') ? type.split('::')[1] : undefined,
+            directory: (typeof source === 'string') ? _path.dirname(source) : undefined
+        };
+    });
+    const edges = [];
+    graph.edges.forEach((edge) => {
+        if (graph.nodes.indexOf(edge.to) < 0) {
+            return;
+        }
+        const existing = edges.find((item) => item.from === edge.from && item.to === edge.to);
+        if (!existing) {
+            edges.push({
+                from: edge.from,
+                to: edge.to,
+                types: [edge.type]
+            });
+        } else if (existing.types.indexOf(edge.type) < 0) {
+            existing.types.push(edge.type);
+        }
+    });
+    return {
+        nodes: nodes,
+        edges: edges
+    };
+}
+
+/**
+ * Arranges nodes into a tree of clusters, with one cluster per directory.
+ * Clusters for nested directories are contained within the clusters of
+ * their parent directories. Nodes without a directory are placed at the top
+ * level, and nodes generated by files in the template root are placed in a
+ * separate "(root)" cluster.
+ *
+ * @private
+ * @param {Array} nodes The list of nodes.
+ * @param {Boolean} enabled If set to false, all nodes are placed at the top
+ *        level, without any clusters.
+ *
+ * @return {Object} The top level cluster, which has a list of nodes, and a
+ *         list of child clusters (each with a label, a list of nodes and a
+ *         list of clusters).
+ */
+function _getClusters(nodes, enabled) {
+    const top = {
+        nodes: [],
+        clusters: []
+    };
+    const clusters = {};
+    const getCluster = (directory) => {
+        if (clusters.hasOwnProperty(directory)) {
+            return clusters[directory];
+        }
+        const parentDirectory = _path.dirname(directory);
+        const parent = (parentDirectory === ROOT_CLUSTER || parentDirectory === directory) ?
+            top : getCluster(parentDirectory);
+        const cluster = {
+            label: (directory === ROOT_CLUSTER) ? '(root)' : _path.basename(directory),
+            nodes: [],
+            clusters: []
+        };
+        parent.clusters.push(cluster);
+        clusters[directory] = cluster;
+        return cluster;
+    };
+    nodes.forEach((node) => {
+        const cluster = (!enabled || node.directory === undefined) ? top : getCluster(node.directory);
+        cluster.nodes.push(node);
+    });
+    return top;
+}
+
+/**
+ * Returns the fill color for a service. Well known services have fixed
+ * colors, and all other services are assigned a color from a fallback
+ * palette, based on the service name.
+ *
+ * @private
+ * @param {String} service The name of the service (ex: Lambda).
+ *
+ * @return {String} The color, as a hex string.
+ */
+function _getColor(service) {
+    if (SERVICE_COLORS.hasOwnProperty(service)) {
+        return SERVICE_COLORS[service];
+    }
+    const name = String(service);
+    let hash = 0;
+    for (let index = 0; index < name.length; index++) {
+        hash = (hash + name.charCodeAt(index)) % FALLBACK_COLORS.length;
+    }
+    return FALLBACK_COLORS[hash];
+}
+
+/**
+ * Escapes a string so that it can be used within a quoted DOT identifier.
+ *
+ * @private
+ * @param {String} value The value to escape.
+ *
+ * @return {String} The escaped value.
+ */
+function _escapeDot(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+/**
+ * Escapes a string so that it can be used within a quoted Mermaid label.
+ *
+ * @private
+ * @param {String} value The value to escape.
+ *
+ * @return {String} The escaped value.
+ */
+function _escapeMermaid(value) {
+    return String(value).replace(/"/g, '#quot;');
+}
+
+/**
+ * Normalizes the options passed to the exporter.
+ *
+ * @private
+ * @param {Object} [options={}] The options passed to the exporter.
+ *
+ * @return {Object} The normalized options.
+ */
+function _getOptions(options) {
+    if (!options || (options instanceof Array) || typeof options !== 'object') {
+        options = {};
+    }
+    const sources = options.sources;
+    if (sources !== undefined && (!sources || (sources instanceof Array) || typeof sources !== 'object')) {
+        throw new Error('Invalid sources specified (options.sources)');
+    }
+    return {
+        sources: sources || {},
+        cluster: options.cluster !== false,
+        color: options.color !== false
+    };
+}
+
+/**
+ * A module that renders the dependency graph of an assembled cloud formation
+ * document as a Graphviz (DOT) or Mermaid diagram. Nodes represent resources,
+ * and edges represent Ref, Fn::GetAtt, Fn::Sub and DependsOn relationships
+ * between the resources.
+ *
+ * Nodes are colored by service (the second component of the resource type,
+ * ex: Lambda), and can be grouped into clusters based on the directory of
+ * the file that generated each resource.
+ */
+const graphExporter = {
+
+    /**
+     * Renders the dependency graph of a document as a Graphviz digraph.
+     *
+     * @param {Object} document The cloud formation document, typically
+     *        generated by a StackAssembler.
+     * @param {Object} [options={}] Optional parameters for the export.
+     * @param {Object} [options.sources={}] A map of resource keys to the
+     *        paths of the files that generated them (see Template.source),
+     *        relative to the template root. Used to cluster resources by
+     *        directory. If omitted, the provenance metadata emitted by the
+     *        assembler (Metadata.Generator.Source) will be used.
+     * @param {Boolean} [options.cluster=true] If set to false, resources
+     *        will not be clustered by directory.
+     * @param {Boolean} [options.color=true] If set to false, resources will
+     *        not be colored by service.
+     *
+     * @return {String} The graph in DOT format.
+     */
+    toDot: function(document, options) {
+        options = _getOptions(options);
+        const graph = _getGraph(document, options.sources);
+        const lines = [
+            'digraph stack {',
+            '    rankdir=LR;',
+            options.color ? '    node [shape=box, style=filled];' : '    node [shape=box];'
+        ];
+        let clusterCount = 0;
+        const addCluster = (cluster, indent) => {
+            cluster.nodes.forEach((node) => {
+                const label = _escapeDot(node.key) + '\\n' + _escapeDot(node.type);
+                const color = options.color ? `, fillcolor="${_getColor(node.service)}"` : '';
+                lines.push(`${indent}"${_escapeDot(node.key)}" [label="${label}"${color}];`);
+            });
+            cluster.clusters.forEach((child) => {
+                lines.push(`${indent}subgraph "cluster_${clusterCount++}" {`);
+                lines.push(`${indent}    label="${_escapeDot(child.label)}";`);
+                addCluster(child, `${indent}    `);
+                lines.push(`${indent}}`);
+            });
+        };
+        addCluster(_getClusters(graph.nodes, options.cluster), '    ');
+        graph.edges.forEach((edge) => {
+            lines.push(`    "${_escapeDot(edge.from)}" -> "${_escapeDot(edge.to)}" [label="${edge.types.join(', ')}"];`);
+        });
+        lines.push('}');
+        return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Renders the dependency graph of a document as a Mermaid flowchart.
+     *
+     * @param {Object} document The cloud formation document, typically
+     *        generated by a StackAssembler.
+     * @param {Object} [options={}] Optional parameters for the export.
+     * @param {Object} [options.sources={}] A map of resource keys to the
+     *        paths of the files that generated them (see Template.source),
+     *        relative to the template root. Used to cluster resources by
+     *        directory. If omitted, the provenance metadata emitted by the
+     *        assembler (Metadata.Generator.Source) will be used.
+     * @param {Boolean} [options.cluster=true] If set to false, resources
+     *        will not be clustered by directory.
+     * @param {Boolean} [options.color=true] If set to false, resources will
+     *        not be colored by service.
+     *
+     * @return {String} The graph in Mermaid format.
+     */
+    toMermaid: function(document, options) {
+        options = _getOptions(options);
+        const graph = _getGraph(document, options.sources);
+        const lines = [
+            'flowchart LR'
+        ];
+        let clusterCount = 0;
+        const addCluster = (cluster, indent) => {
+            cluster.nodes.forEach((node) => {
+                lines.push(`${indent}${node.key}["${_escapeMermaid(node.key)}<br/>${_escapeMermaid(node.type)}"]`);
+            });
+            cluster.clusters.forEach((child) => {
+                lines.push(`${indent}subgraph cluster_${clusterCount++} ["${_escapeMermaid(child.label)}"]`);
+                addCluster(child, `${indent}    `);
+                lines.push(`${indent}end`);
+            });
+        };
+        addCluster(_getClusters(graph.nodes, options.cluster), '    ');
+        graph.edges.forEach((edge) => {
+            lines.push(`    ${edge.from} -->|${edge.types.join(', ')}| ${edge.to}`);
+        });
+        if (options.color) {
+            const services = {};
+            graph.nodes.forEach((node) => {
+                const service = String(node.service);
+                services[service] = (services[service] || []).concat(node.key);
+            });
+            Object.keys(services).forEach((service) => {
+                const className = `service_${service.replace(/[^a-zA-Z0-9]/g, '')}`;
+                lines.push(`    classDef ${className} fill:${_getColor(service)}`);
+                lines.push(`    class ${services[service].join(',')} ${className}`);
+            });
+        }
+        return lines.join('\n') + '\n';
+    }
+};
+
+module.exports = graphExporter;
@@ -10,12 +10,104 @@ const index = {
      */
     TemplateBuilder: require('./template-builder'),
 
+    /**
+     * Class that watches a template tree for changes, and incrementally
+     * rebuilds the stack.
+     */
+    TemplateWatcher: require('./template-watcher'),
+
     /**
      * Class that abstracts information about a specific directory in a
      * tmeplate hierarchy.
      */
     DirInfo: require('./dir-info'),
 
+    /**
+     * Class that assembles a list of templates into a complete cloud
+     * formation document.
+     */
+    StackAssembler: require('./stack-assembler'),
+
+    /**
+     * Class that analyzes the dependencies between resources in an assembled
+     * cloud formation document.
+     */
+    DependencyGraph: require('./dependency-graph'),
+
+    /**
+     * Class that splits the resources of a large stack into nested stacks.
+     */
+    StackPartitioner: require('./stack-partitioner'),
+
+    /**
+     * Class that compares two cloud formation documents, and predicts the
+     * impact of updating a stack.
+     */
+    StackDiff: require('./stack-diff'),
+
+    /**
+     * Class that validates resources in a cloud formation document against
+     * the cloud formation resource specification.
+     */
+    SpecValidator: require('./spec-validator'),
+
+    /**
+     * Reference to a module that checks cloud formation documents against
+     * cloud formation limits.
+     */
+    stackLimits: require('./stack-limits'),
+
+    /**
+     * Reference to a module that determines the tag format of resource types,
+     * and allows formats to be registered for additional types.
+     */
+    tagging: require('./tagging'),
+
+    /**
+     * Reference to a module that converts raw cloud formation snippets into
+     * templates.
+     */
+    snippets: require('./snippets'),
+
+    /**
+     * Reference to a module that loads stage/environment profiles from a
+     * template root.
+     */
+    profiles: require('./profiles'),
+
+    /**
+     * Reference to a module that renders the resource dependency graph of a
+     * stack as a DOT or Mermaid diagram.
+     */
+    graphExporter: require('./graph-exporter'),
+
+    /**
+     * Reference to the module that implements the command line interface.
+     */
+    cli: require('./cli'),
+
+    /**
+     * Reference to a module that converts cloud formation documents to and
+     * from YAML.
+     */
+    yamlSerializer: require('./yaml-serializer'),
+
+    /**
+     * Reference to a module that builds cloud formation condition functions.
+     */
+    conditions: require('./conditions'),
+
+    /**
+     * Reference to a module that builds cloud formation intrinsic functions.
+     */
+    Fn: require('./fn'),
+
+    /**
+     * Reference to a module that generates parameter and map lookup tokens
+     * that can be passed to template setters.
+     */
+    tokens: require('./tokens'),
+
     /**
      * Reference to the IOT formation template abstraction.
      */
@@ -64,7 +156,12 @@ const index = {
     /**
      * Reference to a sub library of cloud watch specific templates.
      */
-    CloudWatchTemplates: require('./templates/cloudwatch')
+    CloudWatchTemplates: require('./templates/cloudwatch'),
+
+    /**
+     * Reference to a sub library of cloud formation specific templates.
+     */
+    CloudFormationTemplates: require('./templates/cloudformation')
 };
 
 module.exports = index;
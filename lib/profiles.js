@@ -0,0 +1,165 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const Promise = require('bluebird').Promise;
+const _yamlSerializer = require('./yaml-serializer');
+
+const CONFIG_FILE = 'cf.config.js';
+const PROFILES_DIR = 'profiles';
+const BASE_PROFILE = 'base';
+const PROFILE_PARSERS = {
+    '.js': (filePath) => require(filePath),
+    '.json': (filePath) => JSON.parse(_fs.readFileSync(filePath, 'utf8')),
+    '.yaml': (filePath) => _yamlSerializer.parse(_fs.readFileSync(filePath, 'utf8')),
+    '.yml': (filePath) => _yamlSerializer.parse(_fs.readFileSync(filePath, 'utf8'))
+};
+
+/**
+ * Determines whether or not the specified value is a plain object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, and not an array.
+ */
+function _isObject(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Loads a single data bag from the profiles directory. Javascript files may
+ * export an object, or a function that returns an object (or a promise for
+ * an object).
+ *
+ * @private
+ * @param {String} profilesPath The absolute path to the profiles directory.
+ * @param {String} name The name of the profile.
+ *
+ * @return {Promise} A promise that will be resolved with the data bag, or
+ *         with undefined if the profile does not exist.
+ */
+function _loadProfileFile(profilesPath, name) {
+    const ext = Object.keys(PROFILE_PARSERS).find((ext) => {
+        return _fs.existsSync(_path.join(profilesPath, `${name}${ext}`));
+    });
+    if (!ext) {
+        return Promise.resolve(undefined);
+    }
+    return Promise.try(() => {
+        let bag = PROFILE_PARSERS[ext](_path.join(profilesPath, `${name}${ext}`));
+        if (typeof bag === 'function') {
+            bag = bag(name);
+        }
+        return bag;
+    }).then((bag) => {
+        if (!_isObject(bag)) {
+            throw new Error(`Profile does not define a valid data bag: [${name}${ext}]`);
+        }
+        return bag;
+    });
+}
+
+/**
+ * A module that loads stage/environment profiles from a template root.
+ * Profiles are data bags that are deep merged, in order, over a base data
+ * bag. Profiles can be defined using a configuration file (cf.config.js) in
+ * the template root that exports an object (or a function that returns an
+ * object) with a base data bag (base) and a map of profile names to data
+ * bags (profiles). Alternatively, each profile can be defined as a separate
+ * file (.js, .json or .yaml) in a profiles directory within the template
+ * root, with the base data bag defined in a file called "base".
+ */
+const profiles = {
+
+    /**
+     * The name of the configuration file that defines profiles.
+     */
+    CONFIG_FILE: CONFIG_FILE,
+
+    /**
+     * The name of the directory that contains profile files.
+     */
+    PROFILES_DIR: PROFILES_DIR,
+
+    /**
+     * Deep merges the specified data bags, in order. Objects are merged
+     * recursively, while all other values (including arrays) in later data
+     * bags replace values in earlier ones.
+     *
+     * @param {...Object} bag The data bags to merge.
+     *
+     * @return {Object} A new object that contains the merged values.
+     */
+    merge: function() {
+        const result = {};
+        Array.prototype.slice.call(arguments).forEach((bag) => {
+            if (!_isObject(bag)) {
+                return;
+            }
+            Object.keys(bag).forEach((key) => {
+                const value = bag[key];
+                if (_isObject(value)) {
+                    result[key] = profiles.merge(_isObject(result[key]) ? result[key] : {}, value);
+                } else {
+                    result[key] = value;
+                }
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Loads the data bag for a profile from a template root. The base data
+     * bag (if defined) is merged first, followed by the data bag of the
+     * profile.
+     *
+     * @param {String} rootPath The path to the template root.
+     * @param {String} profile The name of the profile to load.
+     *
+     * @return {Promise} A promise that will be resolved with the merged data
+     *         bag, or rejected if the profile could not be found or loaded.
+     */
+    load: function(rootPath, profile) {
+        if (typeof rootPath !== 'string' || rootPath.length <= 0) {
+            throw new Error('Invalid root path specified (arg #1)');
+        }
+        if (typeof profile !== 'string' || profile.length <= 0) {
+            throw new Error('Invalid profile specified (arg #2)');
+        }
+
+        const configPath = _path.resolve(rootPath, CONFIG_FILE);
+        const profilesPath = _path.resolve(rootPath, PROFILES_DIR);
+        let bags;
+        if (_fs.existsSync(configPath)) {
+            bags = Promise.try(() => {
+                let config = require(configPath);
+                if (typeof config === 'function') {
+                    config = config(profile);
+                }
+                return config;
+            }).then((config) => {
+                if (!_isObject(config) || !_isObject(config.profiles)) {
+                    throw new Error(`Configuration file does not define a valid profiles map: [${CONFIG_FILE}]`);
+                }
+                return [config.base, config.profiles[profile]];
+            });
+        } else if (_fs.existsSync(profilesPath)) {
+            bags = Promise.all([
+                _loadProfileFile(profilesPath, BASE_PROFILE),
+                _loadProfileFile(profilesPath, profile)
+            ]);
+        } else {
+            return Promise.reject(new Error(`No profiles defined in template root: [${rootPath}]`));
+        }
+
+        return bags.then((bags) => {
+            if (!_isObject(bags[1])) {
+                throw new Error(`Profile not found: [${profile}]`);
+            }
+            return profiles.merge(bags[0], bags[1]);
+        });
+    }
+};
+
+module.exports = profiles;
@@ -0,0 +1,174 @@
+'use strict';
+
+const _camelCase = require('camelcase');
+const Template = require('./templates/template');
+
+const SUB_VARIABLE_PATTERN = /\$\{([^!}][^}]*)\}/g;
+
+const ATTRIBUTE_SETTERS = {
+    Condition: 'setCondition',
+    DeletionPolicy: 'setDeletionPolicy',
+    UpdateReplacePolicy: 'setUpdateReplacePolicy',
+    CreationPolicy: 'setCreationPolicy',
+    UpdatePolicy: 'setUpdatePolicy'
+};
+
+/**
+ * Determines whether or not the specified value is a plain object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, and not an array.
+ */
+function _isObject(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Recursively copies a value, renaming references (Ref, Fn::GetAtt and
+ * Fn::Sub variables) to resources declared in the same snippet, so that
+ * they match the camel case keys of the generated templates.
+ *
+ * @private
+ * @param {*} value The value to rename references in.
+ * @param {Object} keys A map of the resource keys declared in the snippet to
+ *        the keys of the generated templates.
+ *
+ * @return {*} A copy of the value, with references renamed.
+ */
+function _renameReferences(value, keys) {
+    if (value instanceof Array) {
+        return value.map((item) => _renameReferences(item, keys));
+    }
+    if (!_isObject(value)) {
+        return value;
+    }
+    const rename = (key) => keys.hasOwnProperty(key) ? keys[key] : key;
+    const names = Object.keys(value);
+    if (names.length === 1) {
+        const args = value[names[0]];
+        if (names[0] === 'Ref' && typeof args === 'string') {
+            return {
+                Ref: rename(args)
+            };
+        }
+        if (names[0] === 'Fn::GetAtt' && typeof args === 'string') {
+            const tokens = args.split('.');
+            return {
+                'Fn::GetAtt': [rename(tokens[0])].concat(tokens.slice(1)).join('.')
+            };
+        }
+        if (names[0] === 'Fn::GetAtt' && args instanceof Array && typeof args[0] === 'string') {
+            return {
+                'Fn::GetAtt': [rename(args[0])].concat(_renameReferences(args.slice(1), keys))
+            };
+        }
+        const subArgs = (typeof args === 'string') ? [args] : args;
+        if (names[0] === 'Fn::Sub' && subArgs instanceof Array && typeof subArgs[0] === 'string') {
+            const variables = _isObject(subArgs[1]) ? subArgs[1] : {};
+            const text = subArgs[0].replace(SUB_VARIABLE_PATTERN, (match, name) => {
+                if (variables.hasOwnProperty(name)) {
+                    return match;
+                }
+                const tokens = name.split('.');
+                return '${' + [rename(tokens[0])].concat(tokens.slice(1)).join('.') + '}';
+            });
+            return {
+                'Fn::Sub': (subArgs.length > 1) ? [text].concat(_renameReferences(subArgs.slice(1), keys)) : text
+            };
+        }
+    }
+    const result = {};
+    names.forEach((name) => {
+        result[name] = _renameReferences(value[name], keys);
+    });
+    return result;
+}
+
+/**
+ * Creates a generic template from a single resource declaration.
+ *
+ * @private
+ * @param {String} key The key of the resource.
+ * @param {Object} resource The resource declaration.
+ * @param {Object} [keys={}] A map of the resource keys declared in the
+ *        snippet to the keys of the generated templates, used to rename
+ *        references between the resources of the snippet.
+ *
+ * @return {Object} The template that represents the resource.
+ */
+function _createTemplate(key, resource, keys) {
+    if (!_isObject(resource) || typeof resource.Type !== 'string') {
+        throw new Error(`Snippet resource does not define a valid type: [${key}]`);
+    }
+    resource = _renameReferences(resource, keys || {});
+    const template = new Template(key, resource.Type, resource.Properties);
+    Object.keys(resource).forEach((attribute) => {
+        const value = resource[attribute];
+        if (attribute === 'Type' || attribute === 'Properties') {
+            return;
+        } else if (ATTRIBUTE_SETTERS.hasOwnProperty(attribute)) {
+            template[ATTRIBUTE_SETTERS[attribute]](value);
+        } else if (attribute === 'Metadata') {
+            if (!_isObject(value)) {
+                throw new Error(`Invalid metadata specified for snippet resource: [${key}]`);
+            }
+            Object.keys(value).forEach((name) => template.setMetadata(name, value[name]));
+        } else if (attribute === 'DependsOn') {
+            [].concat(value).forEach((dependency) => template.addDependency(dependency));
+        } else {
+            throw new Error(`Unsupported attribute [${attribute}] in snippet resource: [${key}]`);
+        }
+    });
+    return template;
+}
+
+/**
+ * A module that converts raw cloud formation snippets (typically loaded from
+ * JSON or YAML files) into generic templates, so that they can be combined
+ * with templates defined in code. Strings within the snippets may contain
+ * tokens, just like the properties of any other template, and resource keys
+ * are converted to camel case. References between the resources of a
+ * snippet (Ref, Fn::GetAtt, Fn::Sub variables and DependsOn) are renamed to
+ * match the converted keys.
+ */
+const snippets = {
+
+    /**
+     * Creates templates from a cloud formation snippet. The snippet can be a
+     * single resource declaration (an object with a Type), a map of resource
+     * keys to resource declarations, or a fragment with a Resources section.
+     *
+     * @param {String} name The name of the snippet, used as the resource key
+     *        if the snippet is a single resource declaration.
+     * @param {Object} snippet The parsed snippet.
+     *
+     * @return {Array} A list of templates, one per resource.
+     */
+    createTemplates: function(name, snippet) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid name specified (arg #1)');
+        }
+        if (!_isObject(snippet)) {
+            throw new Error('Invalid snippet specified (arg #2)');
+        }
+        if (typeof snippet.Type === 'string') {
+            return [_createTemplate(name, snippet)];
+        }
+        let resources = snippet;
+        if (snippet.hasOwnProperty('Resources')) {
+            resources = snippet.Resources;
+            if (!_isObject(resources)) {
+                throw new Error('Snippet does not define a valid resources section (snippet.Resources)');
+            }
+        }
+        const keys = {};
+        Object.keys(resources).forEach((key) => {
+            keys[key] = _camelCase(key);
+        });
+        return Object.keys(resources).map((key) => _createTemplate(key, resources[key], keys));
+    }
+};
+
+module.exports = snippets;
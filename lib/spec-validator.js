@@ -0,0 +1,311 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+
+const DEFAULT_SPECIFICATION = _path.join(__dirname, 'spec', 'resource-specification.json');
+const TAG_PROPERTY_TYPE = 'Tag';
+
+/**
+ * Determines whether or not the specified value is a cloud formation
+ * intrinsic function (ex: { Ref: ... }, { 'Fn::GetAtt': ... }). The values
+ * returned by intrinsic functions cannot be checked offline.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an intrinsic function.
+ */
+function _isIntrinsic(value) {
+    if (!value || (value instanceof Array) || typeof value !== 'object') {
+        return false;
+    }
+    const keys = Object.keys(value);
+    return keys.length === 1 &&
+        (keys[0] === 'Ref' || keys[0] === 'Condition' || keys[0].indexOf('Fn::') === 0);
+}
+
+/**
+ * Determines whether or not the specified value is a plain object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, and not an array.
+ */
+function _isObject(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Determines whether or not the specified value is compatible with a
+ * primitive type defined in the specification. Cloud formation converts
+ * between strings and other scalar values, and the checks mirror that
+ * behavior.
+ *
+ * @private
+ * @param {*} value The value to check.
+ * @param {String} type The primitive type (String, Integer, Boolean, etc.).
+ *
+ * @return {Boolean} True if the value matches the type.
+ */
+function _matchesPrimitive(value, type) {
+    switch (type) {
+        case 'String':
+        case 'Timestamp':
+            return typeof value === 'string' || typeof value === 'number';
+        case 'Integer':
+        case 'Long':
+            return (typeof value === 'number' && value % 1 === 0) ||
+                (typeof value === 'string' && !!value.match(/^-?[0-9]+$/));
+        case 'Double':
+            return (typeof value === 'number' && isFinite(value)) ||
+                (typeof value === 'string' && value.length > 0 && isFinite(Number(value)));
+        case 'Boolean':
+            return typeof value === 'boolean' || value === 'true' || value === 'false';
+        case 'Json':
+            return _isObject(value) || typeof value === 'string';
+        default:
+            return true;
+    }
+}
+
+/**
+ * Validates resources in a cloud formation document against the cloud
+ * formation resource specification, without making any calls to AWS. Each
+ * resource is checked for unknown properties, missing required properties and
+ * values that do not match the primitive types defined in the specification.
+ *
+ * The library ships with a subset of the specification that covers the
+ * resource types generated by the built in templates. A complete copy of the
+ * specification (available from AWS on a per region basis) can be specified
+ * to validate other resource types. Resources whose types are not defined in
+ * the specification are not validated.
+ */
+class SpecValidator {
+    /**
+     * @param {String|Object} [specification=undefined] The path to a
+     *        resource specification JSON file, or the parsed specification
+     *        object. If omitted, the specification bundled with the library
+     *        will be used.
+     */
+    constructor(specification) {
+        if (specification === undefined) {
+            specification = DEFAULT_SPECIFICATION;
+        }
+        if (typeof specification === 'string') {
+            specification = JSON.parse(_fs.readFileSync(specification, 'utf8'));
+        }
+        if (!_isObject(specification) || !_isObject(specification.ResourceTypes)) {
+            throw new Error('Invalid specification specified (arg #1)');
+        }
+        this._resourceTypes = specification.ResourceTypes;
+        this._propertyTypes = specification.PropertyTypes || {};
+        this._version = specification.ResourceSpecificationVersion;
+    }
+
+    /**
+     * Checks a set of properties against their definitions in the
+     * specification.
+     *
+     * @private
+     * @param {Object} properties The properties to check.
+     * @param {Object} definitions A map of property names to definitions.
+     * @param {String} resourceType The resource type that owns the
+     *        properties.
+     * @param {String} path The path of the properties within the resource.
+     * @param {Function} report A function that records a validation error,
+     *        given the path and a message.
+     */
+    _checkProperties(properties, definitions, resourceType, path, report) {
+        Object.keys(properties).forEach((name) => {
+            const value = properties[name];
+            if (value === undefined || value === null) {
+                return;
+            }
+            const definition = definitions[name];
+            if (!definition) {
+                report(`${path}.${name}`, `Unknown property [${name}]`);
+                return;
+            }
+            this._checkValue(value, definition, resourceType, `${path}.${name}`, report);
+        });
+
+        Object.keys(definitions).forEach((name) => {
+            const value = properties[name];
+            if (definitions[name].Required && (value === undefined || value === null)) {
+                report(`${path}.${name}`, `Missing required property [${name}]`);
+            }
+        });
+    }
+
+    /**
+     * Checks a single property value against its definition.
+     *
+     * @private
+     * @param {*} value The value to check.
+     * @param {Object} definition The property definition from the
+     *        specification.
+     * @param {String} resourceType The resource type that owns the property.
+     * @param {String} path The path of the value within the resource.
+     * @param {Function} report A function that records a validation error.
+     */
+    _checkValue(value, definition, resourceType, path, report) {
+        if (_isIntrinsic(value)) {
+            return;
+        }
+        if (definition.PrimitiveType) {
+            if (!_matchesPrimitive(value, definition.PrimitiveType)) {
+                report(path, `Expected a value of type [${definition.PrimitiveType}]`);
+            }
+            return;
+        }
+
+        const itemDefinition = {
+            PrimitiveType: definition.PrimitiveItemType,
+            Type: definition.ItemType
+        };
+        if (definition.Type === 'List') {
+            if (!(value instanceof Array)) {
+                report(path, 'Expected a list');
+                return;
+            }
+            value.forEach((item, index) => {
+                this._checkValue(item, itemDefinition, resourceType, `${path}[${index}]`, report);
+            });
+        } else if (definition.Type === 'Map') {
+            if (!_isObject(value)) {
+                report(path, 'Expected a map');
+                return;
+            }
+            Object.keys(value).forEach((key) => {
+                this._checkValue(value[key], itemDefinition, resourceType, `${path}.${key}`, report);
+            });
+        } else if (definition.Type) {
+            const propertyType = this.getPropertyType(resourceType, definition.Type);
+            if (!propertyType) {
+                return;
+            }
+            if (propertyType.PrimitiveType || propertyType.Type) {
+                this._checkValue(value, propertyType, resourceType, path, report);
+                return;
+            }
+            if (!_isObject(value)) {
+                report(path, `Expected an object of type [${definition.Type}]`);
+                return;
+            }
+            this._checkProperties(value, propertyType.Properties || {}, resourceType, path, report);
+        }
+    }
+
+    /**
+     * Gets the version of the resource specification used by the validator.
+     *
+     * @return {String} The specification version.
+     */
+    get version() {
+        return this._version;
+    }
+
+    /**
+     * Determines whether or not the specification defines the specified
+     * resource type.
+     *
+     * @param {String} resourceType The resource type (ex: AWS::EC2::VPC).
+     *
+     * @return {Boolean} True if the resource type is defined.
+     */
+    hasResourceType(resourceType) {
+        return this._resourceTypes.hasOwnProperty(resourceType);
+    }
+
+    /**
+     * Gets the specification of a single property of a resource type.
+     *
+     * @param {String} resourceType The resource type (ex: AWS::EC2::VPC).
+     * @param {String} name The name of the property.
+     *
+     * @return {Object} The property specification, or undefined if either
+     *         the resource type or the property are not defined.
+     */
+    getPropertySpec(resourceType, name) {
+        if (!this.hasResourceType(resourceType)) {
+            return undefined;
+        }
+        return (this._resourceTypes[resourceType].Properties || {})[name];
+    }
+
+    /**
+     * Gets the definition of a property type (a structured property value)
+     * referenced by a resource type.
+     *
+     * @param {String} resourceType The resource type that references the
+     *        property type (ex: AWS::DynamoDB::Table).
+     * @param {String} name The name of the property type (ex: KeySchema).
+     *
+     * @return {Object} The property type definition, or undefined if the
+     *         property type is not defined.
+     */
+    getPropertyType(resourceType, name) {
+        return this._propertyTypes[`${resourceType}.${name}`] ||
+            (name === TAG_PROPERTY_TYPE ? this._propertyTypes[name] : undefined);
+    }
+
+    /**
+     * Validates all resources in an assembled cloud formation document.
+     *
+     * @param {Object} document The cloud formation document, typically
+     *        generated by a StackAssembler.
+     *
+     * @return {Array} A list of errors. Each error is an object that
+     *         identifies the template key, the property path and a message.
+     *         An empty array is returned if no errors were found.
+     */
+    validate(document) {
+        if (!_isObject(document) || !_isObject(document.Resources)) {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        const errors = [];
+        Object.keys(document.Resources).forEach((key) => {
+            const resource = document.Resources[key] || {};
+            if (!this.hasResourceType(resource.Type)) {
+                return;
+            }
+            const report = (path, message) => {
+                errors.push({
+                    key: key,
+                    path: path,
+                    message: message
+                });
+            };
+            const properties = _isObject(resource.Properties) ? resource.Properties : {};
+            this._checkProperties(properties,
+                this._resourceTypes[resource.Type].Properties || {},
+                resource.Type, 'Properties', report);
+        });
+        return errors;
+    }
+
+    /**
+     * Validates all resources in an assembled cloud formation document,
+     * throwing a single error that reports all problems found.
+     *
+     * @param {Object} document The cloud formation document, typically
+     *        generated by a StackAssembler.
+     *
+     * @return {Object} A reference to the validator. Can be used to chain
+     *         multiple calls.
+     */
+    assertValid(document) {
+        const errors = this.validate(document);
+        if (errors.length > 0) {
+            const error = new Error(`Resource specification validation failed:
+${errors.map((item) => `  [${item.key}] ${item.path}: ${item.message}`).join('\n')}`);
+            error.errors = errors;
+            throw error;
+        }
+        return this;
+    }
+}
+
+module.exports = SpecValidator;
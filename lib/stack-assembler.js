@@ -0,0 +1,1161 @@
+'use strict';
+
+const _path = require('path');
+const _minimatch = require('minimatch');
+const _loggerProvider = require('wysknd-log').loggerProvider;
+const Template = require('./templates/template');
+const _yamlSerializer = require('./yaml-serializer');
+const _tagging = require('./tagging');
+
+const TEMPLATE_FORMAT_VERSION = '2010-09-09';
+const MAX_DESCRIPTION_LENGTH = 1024;
+const GENERATOR_METADATA_KEY = 'Generator';
+const SUB_VARIABLE_PATTERN = /\$\{([^!}.][^}.]*)\}/g;
+const PARAMETER_TYPES = ['String', 'Number', 'List<Number>', 'CommaDelimitedList'];
+const PARAMETER_PROPERTIES = {
+    Type: 'string',
+    Default: undefined,
+    Description: 'string',
+    AllowedValues: 'array',
+    AllowedPattern: 'string',
+    ConstraintDescription: 'string',
+    NoEcho: 'boolean',
+    MinValue: 'number',
+    MaxValue: 'number',
+    MinLength: 'number',
+    MaxLength: 'number'
+};
+
+/**
+ * Determines whether or not a resource type matches any of the type
+ * patterns of a hook.
+ *
+ * @private
+ * @param {String} type The resource type.
+ * @param {Array} patterns A list of type patterns (ex: AWS::Lambda::*).
+ *
+ * @return {Boolean} True if the type matches at least one pattern.
+ */
+function _matchesType(type, patterns) {
+    return patterns.some((pattern) => _minimatch(type, pattern));
+}
+
+/**
+ * Validates the arguments passed when registering a hook, and adds the hook
+ * to a list of hooks, keeping the list sorted by order. Hooks with the same
+ * order are kept in registration order.
+ *
+ * @private
+ * @param {Array} hooks The list of hooks.
+ * @param {Function} handler The hook handler.
+ * @param {Object} [options={}] The hook options.
+ */
+function _addHook(hooks, handler, options) {
+    if (typeof handler !== 'function') {
+        throw new Error('Invalid handler specified (arg #1)');
+    }
+    if (!options || (options instanceof Array) || typeof options !== 'object') {
+        options = {};
+    }
+    const types = (options.type === undefined) ? ['*'] : [].concat(options.type);
+    if (types.length <= 0 || types.some((type) => typeof type !== 'string' || type.length <= 0)) {
+        throw new Error('Invalid type specified (options.type). Must be a string or an array of strings');
+    }
+    const order = (options.order === undefined) ? 0 : options.order;
+    if (typeof order !== 'number' || isNaN(order)) {
+        throw new Error('Invalid order specified (options.order)');
+    }
+    hooks.push({
+        handler: handler,
+        types: types,
+        order: order,
+        index: hooks.length
+    });
+    hooks.sort((first, second) => (first.order - second.order) || (first.index - second.index));
+}
+
+/**
+ * Recursively inspects a value, and adds the targets of all Ref expressions
+ * and Fn::Sub variables found within the value to the specified list.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {Array} names The list to which referenced names will be added.
+ */
+function _findRefs(value, names) {
+    const add = (name) => {
+        if (names.indexOf(name) < 0) {
+            names.push(name);
+        }
+    };
+    if (value instanceof Array) {
+        value.forEach((item) => _findRefs(item, names));
+    } else if (value && typeof value === 'object') {
+        for (let prop in value) {
+            const child = value[prop];
+            if (prop === 'Ref' && typeof child === 'string') {
+                add(child);
+            } else if (prop === 'Fn::Sub' && (typeof child === 'string' ||
+                (child instanceof Array && typeof child[0] === 'string'))) {
+                const text = (typeof child === 'string') ? child : child[0];
+                text.replace(SUB_VARIABLE_PATTERN, (match, name) => add(name));
+                _findRefs(child, names);
+            } else {
+                _findRefs(child, names);
+            }
+        }
+    }
+}
+
+/**
+ * Recursively inspects a value, and adds the names of all conditions
+ * referenced by Fn::If expressions or condition references to the specified
+ * list.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {Array} names The list to which condition names will be added.
+ */
+function _findConditionReferences(value, names) {
+    if (value instanceof Array) {
+        value.forEach((item) => _findConditionReferences(item, names));
+    } else if (value && typeof value === 'object') {
+        for (let prop in value) {
+            const child = value[prop];
+            let name;
+            if (prop === 'Condition' && typeof child === 'string') {
+                name = child;
+            } else if (prop === 'Fn::If' && (child instanceof Array) && typeof child[0] === 'string') {
+                name = child[0];
+            }
+            if (name !== undefined && names.indexOf(name) < 0) {
+                names.push(name);
+            }
+            _findConditionReferences(child, names);
+        }
+    }
+}
+
+/**
+ * Recursively inspects a value, and invokes the callback for every
+ * Fn::FindInMap expression found within the value.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {Function} callback The callback to invoke with the arguments of
+ *        each Fn::FindInMap expression.
+ */
+function _findMapLookups(value, callback) {
+    if (value instanceof Array) {
+        value.forEach((item) => _findMapLookups(item, callback));
+    } else if (value && typeof value === 'object') {
+        for (let prop in value) {
+            const child = value[prop];
+            if (prop === 'Fn::FindInMap' && (child instanceof Array)) {
+                callback(child);
+            }
+            _findMapLookups(child, callback);
+        }
+    }
+}
+
+/**
+ * Normalizes a directory path, relative to the template root, so that it
+ * can be compared with the directories of template source files.
+ *
+ * @private
+ * @param {String} directory The directory path.
+ *
+ * @return {String} The normalized path, using "/" as a separator.
+ */
+function _normalizeDirectory(directory) {
+    return _path.normalize(directory).replace(/\\/g, '/')
+        .replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Recursively copies a value, sorting the keys of every object. Arrays
+ * retain their order.
+ *
+ * @private
+ * @param {*} value The value to copy.
+ *
+ * @return {*} A copy of the value with sorted keys.
+ */
+function _sortKeys(value) {
+    if (value instanceof Array) {
+        return value.map(_sortKeys);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    const result = {};
+    Object.keys(value).sort().forEach((key) => {
+        result[key] = _sortKeys(value[key]);
+    });
+    return result;
+}
+
+/**
+ * Class that assembles a list of templates (typically generated by a
+ * TemplateBuilder) into a complete cloud formation document that can be
+ * deployed as a stack.
+ */
+class StackAssembler {
+    /**
+     * @param {Object} [options={}] Optional parameters that control the
+     *        assembly of the stack.
+     * @param {String} [options.description=''] A description for the stack.
+     * @param {Object} [options.metadata=undefined] An optional metadata
+     *        object that will be emitted as the stack's metadata section.
+     * @param {Object} [options.dataBag={}] An optional data bag containing
+     *        values that will be used to replace tokens within the templates.
+     * @param {Boolean} [options.strict=false] If set to true, assembly will
+     *        fail if any tokens within the templates cannot be resolved.
+     * @param {Boolean} [options.canonical=false] If set to true, the
+     *        assembled document will use a canonical key ordering, so that
+     *        the same templates always produce identical output.
+     * @param {Boolean} [options.provenance=false] If set to true, the path
+     *        of the file that emitted each resource (relative to the
+     *        template root) and the level of its directory will be emitted
+     *        in the resource's metadata (Metadata.Generator.Source and
+     *        Metadata.Generator.Level).
+     * @param {Object} [options.tags={}] An optional map of tag keys to
+     *        values that will be applied to every taggable resource.
+     * @param {Object} [options.directoryTags={}] An optional map of
+     *        directory paths (relative to the template root) to tag maps.
+     *        These tags will be applied to taggable resources emitted by
+     *        files within the directory, and override stack wide tags.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        this._logger = _loggerProvider.getLogger('stack_assembler');
+        this._description = '';
+        this._metadata = undefined;
+        this._dataBag = {};
+        this._strict = !!options.strict;
+        this._canonical = !!options.canonical;
+        this._provenance = !!options.provenance;
+        this._parameters = {};
+        this._conditions = {};
+        this._mappings = {};
+        this._tags = {};
+        this._directoryTags = {};
+        this._preFinalizeHooks = [];
+        this._postFinalizeHooks = [];
+
+        if (options.description !== undefined) {
+            this.setDescription(options.description);
+        }
+        if (options.metadata !== undefined) {
+            this.setMetadata(options.metadata);
+        }
+        if (options.dataBag !== undefined) {
+            this.setDataBag(options.dataBag);
+        }
+        if (options.tags !== undefined) {
+            if (!options.tags || (options.tags instanceof Array) || typeof options.tags !== 'object') {
+                throw new Error('Invalid tags specified (options.tags)');
+            }
+            for (let key in options.tags) {
+                this.addTag(key, options.tags[key]);
+            }
+        }
+        if (options.directoryTags !== undefined) {
+            const directoryTags = options.directoryTags;
+            if (!directoryTags || (directoryTags instanceof Array) || typeof directoryTags !== 'object') {
+                throw new Error('Invalid directory tags specified (options.directoryTags)');
+            }
+            for (let directory in directoryTags) {
+                const tags = directoryTags[directory];
+                if (!tags || (tags instanceof Array) || typeof tags !== 'object') {
+                    throw new Error(`Invalid directory tags specified (options.directoryTags.${directory})`);
+                }
+                for (let key in tags) {
+                    this.addDirectoryTag(directory, key, tags[key]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Builds a data bag that merges the values of the shared data bag with
+     * the properties exported by every template in the list.
+     *
+     * @private
+     * @param {Array} templates The list of templates being assembled.
+     *
+     * @return {Object} The merged data bag.
+     */
+    _buildDataBag(templates) {
+        const data = Object.assign({}, this._dataBag);
+        templates.forEach((template) => {
+            Object.assign(data, template.exportedProperties);
+        });
+        return data;
+    }
+
+    /**
+     * Runs all pre finalize hooks, in order, on the templates that match
+     * each hook. Hooks are invoked with copies of the templates, so that
+     * templates that are reused across builds (for example, by a template
+     * watcher) are never modified by the hooks.
+     *
+     * @private
+     * @param {Array} templates The list of templates being assembled.
+     *
+     * @return {Array} A new list of templates, that includes templates added
+     *         by the hooks, and excludes templates removed by the hooks.
+     */
+    _runPreFinalizeHooks(templates) {
+        const hooks = this._preFinalizeHooks;
+        if (hooks.length <= 0) {
+            return templates;
+        }
+        templates = templates.map((template) => {
+            const matches = hooks.some((hook) => _matchesType(template.type, hook.types));
+            return matches ? template.clone() : template;
+        });
+        return hooks.reduce((current, hook) => {
+            const results = [];
+            current.forEach((template) => {
+                if (!_matchesType(template.type, hook.types)) {
+                    results.push(template);
+                    return;
+                }
+                const result = hook.handler(template, {
+                    dataBag: this._dataBag
+                });
+                if (result === undefined) {
+                    results.push(template);
+                } else if (result === null) {
+                    this._logger.debug(`Template removed by pre finalize hook: [${template.key}]`);
+                } else {
+                    [].concat(result).forEach((item) => {
+                        if (!(item instanceof Template)) {
+                            throw new Error(`Invalid template returned by pre finalize hook for template [${template.key}]`);
+                        }
+                        results.push(item);
+                    });
+                }
+            });
+            return results;
+        }, templates);
+    }
+
+    /**
+     * Runs all post finalize hooks, in order, on the finalized resources
+     * that match each hook.
+     *
+     * @private
+     * @param {Object} resources The finalized resources, keyed by template
+     *        key. Resources are added, replaced or removed in place.
+     */
+    _runPostFinalizeHooks(resources) {
+        this._postFinalizeHooks.forEach((hook) => {
+            Object.keys(resources).forEach((key) => {
+                const resource = resources[key];
+                if (!resource || !_matchesType(resource.Type, hook.types)) {
+                    return;
+                }
+                const result = hook.handler(resource, key, {
+                    dataBag: this._dataBag,
+                    resources: resources
+                });
+                if (result === null) {
+                    this._logger.debug(`Resource removed by post finalize hook: [${key}]`);
+                    delete resources[key];
+                } else if (result !== undefined) {
+                    if (!result || (result instanceof Array) || typeof result !== 'object' ||
+                        typeof result.Type !== 'string') {
+                        throw new Error(`Invalid resource returned by post finalize hook for resource [${key}]`);
+                    }
+                    resources[key] = result;
+                }
+            });
+        });
+    }
+
+    /**
+     * Adds the source file and directory level of a template to the metadata
+     * of its finalized resource.
+     *
+     * @private
+     * @param {Object} template The template.
+     * @param {Object} resource The finalized resource.
+     */
+    _addProvenance(template, resource) {
+        const metadata = resource.Metadata || {};
+        if (!template.source || metadata.hasOwnProperty(GENERATOR_METADATA_KEY)) {
+            return;
+        }
+        const generator = {
+            Source: template.source
+        };
+        if (template.level !== undefined) {
+            generator.Level = template.level;
+        }
+        resource.Metadata = Object.assign({}, metadata);
+        resource.Metadata[GENERATOR_METADATA_KEY] = generator;
+    }
+
+    /**
+     * Applies stack wide and directory tags to all taggable resources in the
+     * assembled document. Tags defined by the templates themselves take
+     * precedence, followed by tags for the most specific directory.
+     *
+     * @private
+     * @param {Array} templates The list of templates being assembled.
+     * @param {Object} resources The finalized resources, keyed by template
+     *        key.
+     */
+    _applyTags(templates, resources) {
+        const directories = Object.keys(this._directoryTags);
+        if (Object.keys(this._tags).length <= 0 && directories.length <= 0) {
+            return;
+        }
+        templates.forEach((template) => {
+            const format = _tagging.getTagFormat(template.type);
+            if (!format) {
+                this._logger.warn(`Skipping tags for resource type: [${template.type}]`);
+                return;
+            }
+            const tags = Object.assign({}, this._tags);
+            if (template.source) {
+                let directory = '';
+                _normalizeDirectory(_path.dirname(template.source)).split('/').forEach((token) => {
+                    directory = directory ? `${directory}/${token}` : token;
+                    Object.assign(tags, this._directoryTags[directory]);
+                });
+            }
+            if (Object.keys(tags).length > 0) {
+                const properties = resources[template.key].Properties;
+                properties.Tags = _tagging.mergeTags(properties.Tags, tags, format);
+            }
+        });
+    }
+
+    /**
+     * Gets the description of the stack.
+     *
+     * @return {String} The stack description.
+     */
+    get description() {
+        return this._description;
+    }
+
+    /**
+     * Gets the metadata object of the stack.
+     *
+     * @return {Object} The stack metadata.
+     */
+    get metadata() {
+        return this._metadata;
+    }
+
+    /**
+     * Gets the data bag shared by all templates in the stack.
+     *
+     * @return {Object} The shared data bag.
+     */
+    get dataBag() {
+        return this._dataBag;
+    }
+
+    /**
+     * Checks that every declared parameter is referenced by the document, and
+     * that every parameter referenced using parameter tokens has been
+     * declared.
+     *
+     * @private
+     * @param {Array} templates The list of templates being assembled.
+     * @param {Object} document The assembled document.
+     */
+    _checkParameters(templates, document) {
+        const messages = [];
+        const declared = Object.keys(this._parameters);
+
+        templates.forEach((template) => {
+            template.parameterReferences.forEach((name) => {
+                if (declared.indexOf(name) < 0) {
+                    messages.push(`  [${template.key}] references undeclared parameter [${name}]`);
+                }
+            });
+        });
+
+        const references = [];
+        _findRefs(document.Metadata, references);
+        _findRefs(document.Resources, references);
+        _findRefs(document.Outputs, references);
+        _findRefs(document.Conditions, references);
+        declared.forEach((name) => {
+            if (references.indexOf(name) < 0) {
+                messages.push(`  Parameter [${name}] is declared but never used`);
+            }
+        });
+
+        if (messages.length > 0) {
+            const error = new Error(`Stack parameter validation failed:
+${messages.join('\n')}`);
+            this._logger.error(error, 'Stack assembly failed due to parameter errors');
+            throw error;
+        }
+    }
+
+    /**
+     * Checks that every condition referenced by the document has been
+     * declared.
+     *
+     * @private
+     * @param {Object} document The assembled document.
+     */
+    _checkConditions(document) {
+        const messages = [];
+        const declared = Object.keys(this._conditions);
+        const check = (section, value) => {
+            const references = [];
+            _findConditionReferences(value, references);
+            references.forEach((name) => {
+                if (declared.indexOf(name) < 0) {
+                    messages.push(`  [${section}] references undeclared condition [${name}]`);
+                }
+            });
+        };
+
+        for (let key in document.Resources) {
+            check(key, document.Resources[key]);
+        }
+        for (let name in document.Outputs) {
+            check(`Outputs.${name}`, document.Outputs[name]);
+        }
+        for (let name in this._conditions) {
+            check(`Conditions.${name}`, this._conditions[name]);
+        }
+
+        if (messages.length > 0) {
+            const error = new Error(`Stack condition validation failed:
+${messages.join('\n')}`);
+            this._logger.error(error, 'Stack assembly failed due to condition errors');
+            throw error;
+        }
+    }
+
+    /**
+     * Checks that every mapping referenced by the document has been declared,
+     * and that literal lookup keys exist within the mapping.
+     *
+     * @private
+     * @param {Object} document The assembled document.
+     */
+    _checkMappings(document) {
+        const messages = [];
+        const check = (section, value) => {
+            _findMapLookups(value, (args) => {
+                const mapName = args[0];
+                const topKey = args[1];
+                const secondKey = args[2];
+                const mapping = this._mappings[mapName];
+                if (typeof mapName !== 'string' || !mapping) {
+                    messages.push(`  [${section}] references undeclared mapping [${mapName}]`);
+                    return;
+                }
+                if (typeof topKey === 'string' && !mapping.hasOwnProperty(topKey)) {
+                    messages.push(`  [${section}] references undefined key [${topKey}] in mapping [${mapName}]`);
+                    return;
+                }
+                if (typeof secondKey === 'string') {
+                    const entries = (typeof topKey === 'string') ? [mapping[topKey]] :
+                        Object.keys(mapping).map((key) => mapping[key]);
+                    const missing = entries.some((entry) => !entry.hasOwnProperty(secondKey));
+                    if (missing) {
+                        messages.push(`  [${section}] references undefined key [${secondKey}] in mapping [${mapName}]`);
+                    }
+                }
+            });
+        };
+
+        for (let key in document.Resources) {
+            check(key, document.Resources[key]);
+        }
+        for (let name in document.Outputs) {
+            check(`Outputs.${name}`, document.Outputs[name]);
+        }
+
+        if (messages.length > 0) {
+            const error = new Error(`Stack mapping validation failed:
+${messages.join('\n')}`);
+            this._logger.error(error, 'Stack assembly failed due to mapping errors');
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the map of mappings declared on the stack.
+     *
+     * @return {Object} A map of mapping names to lookup tables.
+     */
+    get mappings() {
+        return this._mappings;
+    }
+
+    /**
+     * Gets the map of conditions declared on the stack.
+     *
+     * @return {Object} A map of condition names to condition expressions.
+     */
+    get conditions() {
+        return this._conditions;
+    }
+
+    /**
+     * Gets the map of parameters declared on the stack.
+     *
+     * @return {Object} A map of parameter names to parameter declarations.
+     */
+    get parameters() {
+        return this._parameters;
+    }
+
+    /**
+     * Gets the map of tags that will be applied to every taggable resource.
+     *
+     * @return {Object} A map of tag keys to values.
+     */
+    get tags() {
+        return this._tags;
+    }
+
+    /**
+     * Gets the map of directory paths to the tags that will be applied to
+     * taggable resources emitted by files within the directory.
+     *
+     * @return {Object} A map of directory paths to tag maps.
+     */
+    get directoryTags() {
+        return this._directoryTags;
+    }
+
+    /**
+     * Determines whether or not the assembler will fail on unresolved tokens.
+     *
+     * @return {Boolean} True if strict mode is enabled.
+     */
+    get strict() {
+        return this._strict;
+    }
+
+    /**
+     * Determines whether or not the assembler emits documents with a
+     * canonical key ordering.
+     *
+     * @return {Boolean} True if canonical mode is enabled.
+     */
+    get canonical() {
+        return this._canonical;
+    }
+
+    /**
+     * Determines whether or not the assembler emits the source file of each
+     * resource in the resource's metadata.
+     *
+     * @return {Boolean} True if provenance metadata is enabled.
+     */
+    get provenance() {
+        return this._provenance;
+    }
+
+    /**
+     * Enables or disables canonical mode. When enabled, the parameters,
+     * mappings, conditions, resources and outputs of the document are
+     * sorted by name, and the keys of all objects within these sections are
+     * sorted. Resource attributes (Type, Properties, etc.) retain their
+     * standard order.
+     *
+     * @param {Boolean} canonical If set to true, enables canonical mode.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setCanonical(canonical) {
+        this._canonical = !!canonical;
+
+        return this;
+    }
+
+    /**
+     * Enables or disables provenance metadata. When enabled, the source file
+     * and directory level of every resource that was loaded by a template
+     * builder are emitted as Metadata.Generator.Source and
+     * Metadata.Generator.Level, so that errors reported by cloud formation
+     * can be traced back to the file that generated the resource. Templates
+     * that declare their own Generator metadata are not modified.
+     *
+     * @param {Boolean} provenance If set to true, enables provenance
+     *        metadata.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setProvenance(provenance) {
+        this._provenance = !!provenance;
+
+        return this;
+    }
+
+    /**
+     * Enables or disables strict mode. When enabled, assembly will fail with
+     * a single error that lists every token that could not be resolved.
+     *
+     * @param {Boolean} strict If set to true, enables strict mode.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setStrict(strict) {
+        this._strict = !!strict;
+
+        return this;
+    }
+
+    /**
+     * Sets the description of the stack.
+     *
+     * @param {String} description The stack description.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setDescription(description) {
+        if (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH) {
+            throw new Error(`Invalid description specified (arg #1). Must be a string no longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+        }
+        this._description = description;
+
+        return this;
+    }
+
+    /**
+     * Sets the metadata object of the stack.
+     *
+     * @param {Object} metadata The metadata to emit for the stack.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setMetadata(metadata) {
+        if (!metadata || (metadata instanceof Array) || typeof metadata !== 'object') {
+            throw new Error('Invalid metadata specified (arg #1)');
+        }
+        this._metadata = metadata;
+
+        return this;
+    }
+
+    /**
+     * Sets the data bag that will be shared by all templates in the stack.
+     *
+     * @param {Object} dataBag An object containing token replacements.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    setDataBag(dataBag) {
+        if (!dataBag || (dataBag instanceof Array) || typeof dataBag !== 'object') {
+            throw new Error('Invalid data bag specified (arg #1)');
+        }
+        this._dataBag = dataBag;
+
+        return this;
+    }
+
+    /**
+     * Adds a tag that will be applied to every taggable resource in the
+     * stack. The tag will be emitted using the format expected by each
+     * resource type.
+     *
+     * @param {String} key The tag key.
+     * @param {String|Object} value The tag value. This can be a string, or a
+     *        cloud formation expression (ex: { Ref: 'Stage' }).
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addTag(key, value) {
+        _tagging.checkTag(key, value);
+        this._tags[key] = value;
+
+        return this;
+    }
+
+    /**
+     * Adds a tag that will be applied to every taggable resource emitted by
+     * files within a specific directory (including sub directories). The tag
+     * overrides stack wide tags, and tags declared for parent directories.
+     *
+     * @param {String} directory The path of the directory, relative to the
+     *        template root (ex: api/users).
+     * @param {String} key The tag key.
+     * @param {String|Object} value The tag value. This can be a string, or a
+     *        cloud formation expression.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addDirectoryTag(directory, key, value) {
+        if (typeof directory !== 'string' || directory.length <= 0) {
+            throw new Error('Invalid directory specified (arg #1)');
+        }
+        _tagging.checkTag(key, value, 2);
+        directory = _normalizeDirectory(directory);
+        if (!this._directoryTags[directory]) {
+            this._directoryTags[directory] = {};
+        }
+        this._directoryTags[directory][key] = value;
+
+        return this;
+    }
+
+    /**
+     * Declares a parameter for the stack. Templates can reference the
+     * parameter using a parameter token (<% param:Name %>), which will be
+     * converted into a reference to the parameter when the template is
+     * finalized.
+     *
+     * @param {String} name The name of the parameter. Must be alphanumeric.
+     * @param {Object} [options={}] The parameter declaration, using the
+     *        property names defined by cloud formation (Type, Default,
+     *        AllowedValues, AllowedPattern, NoEcho, MinValue, MaxValue, etc.).
+     *        If a type is not specified, it will default to "String".
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addParameter(name, options) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid parameter name specified (arg #1). Must be alphanumeric.');
+        }
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        if (this._parameters.hasOwnProperty(name)) {
+            throw new Error(`A parameter with name [${name}] has already been defined`);
+        }
+
+        const declaration = {
+            Type: 'String'
+        };
+        for (let prop in options) {
+            if (!PARAMETER_PROPERTIES.hasOwnProperty(prop)) {
+                throw new Error(`Invalid parameter property specified (options.${prop})`);
+            }
+            const value = options[prop];
+            const expectedType = PARAMETER_PROPERTIES[prop];
+            if (value === undefined) {
+                continue;
+            }
+            if (expectedType === 'array' ? !(value instanceof Array) :
+                    (expectedType !== undefined && typeof value !== expectedType)) {
+                throw new Error(`Invalid parameter property specified (options.${prop}). Must be of type: ${expectedType}`);
+            }
+            declaration[prop] = value;
+        }
+
+        const type = declaration.Type;
+        if (PARAMETER_TYPES.indexOf(type) < 0 &&
+            type.indexOf('AWS::') !== 0 &&
+            type.indexOf('List<AWS::') !== 0) {
+            throw new Error(`Invalid parameter type specified (options.Type). Must be one of: [${PARAMETER_TYPES}], or an AWS specific type`);
+        }
+        if (declaration.AllowedValues && declaration.Default !== undefined &&
+            declaration.AllowedValues.indexOf(declaration.Default) < 0) {
+            throw new Error('Default value is not one of the allowed values (options.Default)');
+        }
+
+        this._parameters[name] = declaration;
+
+        return this;
+    }
+
+    /**
+     * Declares a mapping for the stack. Templates can look up values from the
+     * mapping using tokens generated by `tokens.findInMap()`, which will be
+     * converted into Fn::FindInMap expressions when the templates are
+     * finalized.
+     *
+     * @param {String} name The name of the mapping. Must be alphanumeric.
+     * @param {Object} table A two level lookup table. Top level keys
+     *        typically identify a region or stage, and map to objects that
+     *        contain the values for that region or stage.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addMapping(name, table) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid mapping name specified (arg #1). Must be alphanumeric.');
+        }
+        if (!table || (table instanceof Array) || typeof table !== 'object' ||
+            Object.keys(table).length <= 0) {
+            throw new Error('Invalid mapping table specified (arg #2)');
+        }
+        for (let topKey in table) {
+            const entry = table[topKey];
+            if (!entry || (entry instanceof Array) || typeof entry !== 'object') {
+                throw new Error(`Invalid mapping entry specified for key [${topKey}]. Must be an object`);
+            }
+            for (let secondKey in entry) {
+                const value = entry[secondKey];
+                const isValid = (value instanceof Array) ?
+                    value.every((item) => typeof item === 'string') :
+                    (typeof value === 'string' || typeof value === 'number');
+                if (!isValid) {
+                    throw new Error(`Invalid mapping value specified for key [${topKey}.${secondKey}]. Must be a string, number or list of strings`);
+                }
+            }
+        }
+        if (this._mappings.hasOwnProperty(name)) {
+            throw new Error(`A mapping with name [${name}] has already been defined`);
+        }
+        this._mappings[name] = table;
+
+        return this;
+    }
+
+    /**
+     * Declares a condition for the stack. Conditions can be associated with
+     * templates using `Template.setCondition()`, and can be used within
+     * Fn::If expressions. The `conditions` module provides builder methods
+     * for condition expressions.
+     *
+     * @param {String} name The name of the condition. Must be alphanumeric.
+     * @param {Object} expression The condition expression.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addCondition(name, expression) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid condition name specified (arg #1). Must be alphanumeric.');
+        }
+        if (!expression || (expression instanceof Array) || typeof expression !== 'object') {
+            throw new Error('Invalid condition expression specified (arg #2)');
+        }
+        if (this._conditions.hasOwnProperty(name)) {
+            throw new Error(`A condition with name [${name}] has already been defined`);
+        }
+        this._conditions[name] = expression;
+
+        return this;
+    }
+
+    /**
+     * Registers a hook that is invoked for every template before it is
+     * finalized. Hooks are invoked with the template and a context object
+     * that contains the shared data bag (dataBag), and may modify the
+     * template in place. Hooks receive a copy of each template, so changes
+     * made by a hook only affect the document being assembled. A hook may
+     * also return a template (or an array of templates) to replace the
+     * template, or null to remove it. Templates added by a hook are visited
+     * by hooks that run later, but not by the hook that added them.
+     *
+     * @param {Function} handler The hook handler.
+     * @param {Object} [options={}] Optional parameters for the hook.
+     * @param {String|Array} [options.type='*'] A resource type, or a list of
+     *        resource types, that the hook applies to. Types can be glob
+     *        patterns (ex: AWS::Lambda::*).
+     * @param {Number} [options.order=0] The order of the hook. Hooks with
+     *        lower values run first, and hooks with the same order run in
+     *        the order in which they were registered.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addPreFinalizeHook(handler, options) {
+        _addHook(this._preFinalizeHooks, handler, options);
+
+        return this;
+    }
+
+    /**
+     * Registers a hook that is invoked for every resource after it has been
+     * finalized, and after tags have been applied. Hooks are invoked with the
+     * finalized resource, its key, and a context object that contains the
+     * shared data bag (dataBag) and the map of all finalized resources
+     * (resources). A hook may modify the resource in place, return a new
+     * resource to replace it, or return null to remove it. Resources can be
+     * added by adding them to the resource map. Resources added by a hook
+     * are visited by hooks that run later, but not by the hook that added
+     * them.
+     *
+     * @param {Function} handler The hook handler.
+     * @param {Object} [options={}] Optional parameters for the hook.
+     * @param {String|Array} [options.type='*'] A resource type, or a list of
+     *        resource types, that the hook applies to. Types can be glob
+     *        patterns (ex: AWS::Lambda::*).
+     * @param {Number} [options.order=0] The order of the hook. Hooks with
+     *        lower values run first, and hooks with the same order run in
+     *        the order in which they were registered.
+     *
+     * @return {Object} A reference to the assembler. Can be used to
+     *         chain multiple calls.
+     */
+    addPostFinalizeHook(handler, options) {
+        _addHook(this._postFinalizeHooks, handler, options);
+
+        return this;
+    }
+
+    /**
+     * Finalizes each template in the list, and assembles the results into a
+     * single cloud formation document. Tokens within the templates are
+     * resolved using the shared data bag, merged with the properties exported
+     * by every template in the list.
+     *
+     * Outputs declared by the templates are collected into the outputs
+     * section of the document. An error will be thrown if declared parameters
+     * are unused, or if the templates reference undeclared parameters,
+     * conditions or mappings. If strict mode is enabled, an error will also be thrown
+     * that reports every token that could not be resolved.
+     *
+     * Pre finalize hooks are run on the templates before any templates are
+     * finalized, and post finalize hooks are run on the finalized resources
+     * before the document is checked.
+     *
+     * @param {Array} templates The list of templates to assemble.
+     *
+     * @return {Object} An object that represents the cloud formation document.
+     */
+    assemble(templates) {
+        if (!(templates instanceof Array)) {
+            throw new Error('Invalid templates specified (arg #1)');
+        }
+        templates.forEach((template, index) => {
+            if (!(template instanceof Template)) {
+                throw new Error(`Invalid template specified at index [${index}]`);
+            }
+        });
+
+        templates = this._runPreFinalizeHooks(templates);
+        const data = this._buildDataBag(templates);
+        const unresolvedTokens = this._strict ? [] : undefined;
+        const resources = {};
+        const outputs = {};
+        const sources = {};
+        templates.forEach((template) => {
+            if (resources.hasOwnProperty(template.key)) {
+                const source = (template.source && sources[template.key]) ?
+                    ` emitted by [${sources[template.key]}] and [${template.source}]` : '';
+                throw new Error(`Duplicate template key: [${template.key}]${source}`);
+            }
+            sources[template.key] = template.source;
+            this._logger.trace(`Finalizing template: [${template.key}]`);
+            resources[template.key] = template.finalize(data, unresolvedTokens);
+            if (this._provenance) {
+                this._addProvenance(template, resources[template.key]);
+            }
+
+            const templateOutputs = template.finalizeOutputs(data, unresolvedTokens);
+            for (let name in templateOutputs) {
+                if (outputs.hasOwnProperty(name)) {
+                    throw new Error(`Duplicate output name: [${name}] declared by template [${template.key}]`);
+                }
+                outputs[name] = templateOutputs[name];
+            }
+        });
+
+        this._applyTags(templates, resources);
+        this._runPostFinalizeHooks(resources);
+
+        if (unresolvedTokens && unresolvedTokens.length > 0) {
+            const messages = unresolvedTokens.map((record) => {
+                return `  [${record.key}] ${record.path}: <% ${record.token} %>`;
+            });
+            const error = new Error(`Unresolved tokens found in templates:
+${messages.join('\n')}`);
+            error.unresolvedTokens = unresolvedTokens;
+            this._logger.error(error, 'Stack assembly failed due to unresolved tokens');
+            throw error;
+        }
+
+        const document = {
+            AWSTemplateFormatVersion: TEMPLATE_FORMAT_VERSION,
+            Description: this._description
+        };
+        if (this._metadata) {
+            document.Metadata = this._metadata;
+        }
+        if (Object.keys(this._parameters).length > 0) {
+            document.Parameters = this._parameters;
+        }
+        if (Object.keys(this._mappings).length > 0) {
+            document.Mappings = this._mappings;
+        }
+        if (Object.keys(this._conditions).length > 0) {
+            document.Conditions = this._conditions;
+        }
+        document.Resources = resources;
+        if (Object.keys(outputs).length > 0) {
+            document.Outputs = outputs;
+        }
+
+        this._checkParameters(templates, document);
+        this._checkConditions(document);
+        this._checkMappings(document);
+
+        if (this._canonical) {
+            ['Metadata', 'Parameters', 'Mappings', 'Conditions', 'Outputs'].forEach((section) => {
+                if (document[section]) {
+                    document[section] = _sortKeys(document[section]);
+                }
+            });
+            const sorted = {};
+            Object.keys(resources).sort().forEach((key) => {
+                const resource = {};
+                for (let attribute in resources[key]) {
+                    resource[attribute] = _sortKeys(resources[key][attribute]);
+                }
+                sorted[key] = resource;
+            });
+            document.Resources = sorted;
+        }
+
+        this._logger.info('Stack assembled', {
+            resourceCount: templates.length
+        });
+
+        return document;
+    }
+
+    /**
+     * Assembles the templates into a cloud formation document, and serializes
+     * the document into a JSON string.
+     *
+     * @param {Array} templates The list of templates to assemble.
+     * @param {Number} [indent=4] The number of spaces to use when indenting
+     *        the output.
+     *
+     * @return {String} The cloud formation document as a JSON string.
+     */
+    toJson(templates, indent) {
+        if (typeof indent !== 'number' || indent < 0) {
+            indent = 4;
+        }
+        return JSON.stringify(this.assemble(templates), null, indent);
+    }
+
+    /**
+     * Assembles the templates into a cloud formation document, and serializes
+     * the document into YAML, using short form tags for intrinsic functions.
+     *
+     * @param {Array} templates The list of templates to assemble.
+     *
+     * @return {String} The cloud formation document as a YAML string.
+     */
+    toYaml(templates) {
+        return _yamlSerializer.stringify(this.assemble(templates));
+    }
+}
+
+module.exports = StackAssembler;
@@ -0,0 +1,413 @@
+'use strict';
+
+const SpecValidator = require('./spec-validator');
+
+const SECTIONS = ['Parameters', 'Mappings', 'Conditions', 'Outputs'];
+const IMPACT_REPLACEMENT = 'Replacement';
+const IMPACT_CONDITIONAL = 'Conditional';
+const IMPACT_UNKNOWN = 'Unknown';
+const IMPACT_UPDATE = 'Update';
+const IMPACT_SEVERITY = [IMPACT_UPDATE, IMPACT_UNKNOWN, IMPACT_CONDITIONAL, IMPACT_REPLACEMENT];
+const UPDATE_TYPE_IMPACTS = {
+    Immutable: IMPACT_REPLACEMENT,
+    Conditional: IMPACT_CONDITIONAL,
+    Mutable: IMPACT_UPDATE
+};
+const CHANGE_SYMBOLS = {
+    added: '+',
+    removed: '-',
+    modified: '~'
+};
+
+/**
+ * Determines whether or not the specified value is a plain object.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is an object, and not an array.
+ */
+function _isObject(value) {
+    return !!value && !(value instanceof Array) && typeof value === 'object';
+}
+
+/**
+ * Determines whether or not two values are deeply equal.
+ *
+ * @private
+ * @param {*} first The first value.
+ * @param {*} second The second value.
+ *
+ * @return {Boolean} True if the values are equal.
+ */
+function _isEqual(first, second) {
+    return JSON.stringify(first) === JSON.stringify(second);
+}
+
+/**
+ * Recursively compares two values, and adds a change record to the list for
+ * every value that has been added, removed or modified. Objects are compared
+ * key by key, and arrays are compared by index.
+ *
+ * @private
+ * @param {*} oldValue The old value.
+ * @param {*} newValue The new value.
+ * @param {String} path The path of the values.
+ * @param {Array} changes The list to which change records will be added.
+ */
+function _compareValues(oldValue, newValue, path, changes) {
+    if (oldValue === undefined && newValue === undefined) {
+        return;
+    }
+    if (oldValue === undefined) {
+        changes.push({
+            change: 'added',
+            path: path,
+            newValue: newValue
+        });
+    } else if (newValue === undefined) {
+        changes.push({
+            change: 'removed',
+            path: path,
+            oldValue: oldValue
+        });
+    } else if (_isObject(oldValue) && _isObject(newValue)) {
+        const keys = Object.keys(oldValue);
+        Object.keys(newValue).forEach((key) => {
+            if (keys.indexOf(key) < 0) {
+                keys.push(key);
+            }
+        });
+        keys.forEach((key) => {
+            _compareValues(oldValue[key], newValue[key], `${path}.${key}`, changes);
+        });
+    } else if ((oldValue instanceof Array) && (newValue instanceof Array)) {
+        const length = Math.max(oldValue.length, newValue.length);
+        for (let index = 0; index < length; index++) {
+            _compareValues(oldValue[index], newValue[index], `${path}[${index}]`, changes);
+        }
+    } else if (!_isEqual(oldValue, newValue)) {
+        changes.push({
+            change: 'modified',
+            path: path,
+            oldValue: oldValue,
+            newValue: newValue
+        });
+    }
+}
+
+/**
+ * Returns the more severe of two update impacts.
+ *
+ * @private
+ * @param {String} first The first impact.
+ * @param {String} second The second impact.
+ *
+ * @return {String} The more severe impact.
+ */
+function _maxImpact(first, second) {
+    return (IMPACT_SEVERITY.indexOf(first) >= IMPACT_SEVERITY.indexOf(second)) ? first : second;
+}
+
+/**
+ * Returns the severity of the impact of changing a property with the
+ * specified update type.
+ *
+ * @private
+ * @param {String} updateType The update type (Mutable, Immutable or
+ *        Conditional).
+ *
+ * @return {Number} The severity, or -1 if the update type is not known.
+ */
+function _getSeverity(updateType) {
+    return IMPACT_SEVERITY.indexOf(UPDATE_TYPE_IMPACTS[updateType]);
+}
+
+/**
+ * Formats a value for inclusion in a text report.
+ *
+ * @private
+ * @param {*} value The value to format.
+ *
+ * @return {String} The formatted value.
+ */
+function _formatValue(value) {
+    const text = JSON.stringify(value);
+    return (text.length > 60) ? `${text.substring(0, 57)}...` : text;
+}
+
+/**
+ * Compares two assembled cloud formation documents, and reports resources
+ * that have been added, removed or modified, along with property level
+ * changes. The resource specification is used to predict the impact of each
+ * modification, based on the update type of the modified properties. For
+ * example, changing an immutable property (such as the key schema of a
+ * dynamo db table) will cause the resource to be replaced.
+ */
+class StackDiff {
+    /**
+     * @param {Object} oldDocument The currently deployed (or previously
+     *        generated) cloud formation document.
+     * @param {Object} newDocument The newly generated cloud formation
+     *        document.
+     * @param {Object} [validator=new SpecValidator()] An optional spec
+     *        validator that provides access to the resource specification.
+     */
+    constructor(oldDocument, newDocument, validator) {
+        if (!_isObject(oldDocument)) {
+            throw new Error('Invalid old document specified (arg #1)');
+        }
+        if (!_isObject(newDocument)) {
+            throw new Error('Invalid new document specified (arg #2)');
+        }
+        if (validator === undefined) {
+            validator = new SpecValidator();
+        }
+        if (!(validator instanceof SpecValidator)) {
+            throw new Error('Invalid validator specified (arg #3)');
+        }
+        this._validator = validator;
+        this._report = this._compare(oldDocument, newDocument);
+    }
+
+    /**
+     * Determines the update type of a property path within a resource. The
+     * update types of the property and of every nested property along the
+     * path are considered, and the one with the most severe impact is
+     * returned.
+     *
+     * @private
+     * @param {String} resourceType The type of the resource.
+     * @param {String} path The path of the property (ex:
+     *        Properties.KeySchema[0].AttributeName).
+     *
+     * @return {String} The update type (Mutable, Immutable, Conditional), or
+     *         undefined if the update type is not known.
+     */
+    _getUpdateType(resourceType, path) {
+        const tokens = path.replace(/\[[0-9]+\]/g, '').split('.').slice(1);
+        let definition = this._validator.getPropertySpec(resourceType, tokens[0]);
+        let updateType = definition ? definition.UpdateType : undefined;
+        for (let index = 1; definition && index < tokens.length; index++) {
+            const propertyType = this._validator.getPropertyType(resourceType, definition.ItemType || definition.Type);
+            definition = (propertyType && propertyType.Properties) ? propertyType.Properties[tokens[index]] : undefined;
+            if (definition && _getSeverity(definition.UpdateType) > _getSeverity(updateType)) {
+                updateType = definition.UpdateType;
+            }
+        }
+        return updateType;
+    }
+
+    /**
+     * Compares the resources of two documents.
+     *
+     * @private
+     * @param {Object} oldResources The resources of the old document.
+     * @param {Object} newResources The resources of the new document.
+     *
+     * @return {Object} The added, removed and modified resources.
+     */
+    _compareResources(oldResources, newResources) {
+        const result = {
+            added: [],
+            removed: [],
+            modified: []
+        };
+        Object.keys(oldResources).forEach((key) => {
+            if (!newResources.hasOwnProperty(key)) {
+                result.removed.push({
+                    key: key,
+                    type: oldResources[key].Type
+                });
+            }
+        });
+        Object.keys(newResources).forEach((key) => {
+            const newResource = newResources[key];
+            const oldResource = oldResources[key];
+            if (!oldResource) {
+                result.added.push({
+                    key: key,
+                    type: newResource.Type
+                });
+                return;
+            }
+
+            const changes = [];
+            let impact = IMPACT_UPDATE;
+            if (oldResource.Type !== newResource.Type) {
+                changes.push({
+                    change: 'modified',
+                    path: 'Type',
+                    oldValue: oldResource.Type,
+                    newValue: newResource.Type
+                });
+                impact = IMPACT_REPLACEMENT;
+            }
+            const attributes = Object.keys(oldResource).concat(Object.keys(newResource))
+                .filter((name, index, list) => name !== 'Type' && list.indexOf(name) === index);
+            attributes.forEach((name) => {
+                _compareValues(oldResource[name], newResource[name], name, changes);
+            });
+            if (changes.length <= 0) {
+                return;
+            }
+
+            changes.forEach((change) => {
+                if (change.path.indexOf('Properties.') !== 0 || oldResource.Type !== newResource.Type) {
+                    return;
+                }
+                change.updateType = this._getUpdateType(newResource.Type, change.path);
+                impact = _maxImpact(impact, UPDATE_TYPE_IMPACTS[change.updateType] || IMPACT_UNKNOWN);
+            });
+            result.modified.push({
+                key: key,
+                type: newResource.Type,
+                impact: impact,
+                changes: changes
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Compares two documents, and generates a report of the differences.
+     *
+     * @private
+     * @param {Object} oldDocument The old document.
+     * @param {Object} newDocument The new document.
+     *
+     * @return {Object} The diff report.
+     */
+    _compare(oldDocument, newDocument) {
+        const report = {
+            resources: this._compareResources(oldDocument.Resources || {}, newDocument.Resources || {})
+        };
+        SECTIONS.forEach((section) => {
+            const oldSection = oldDocument[section] || {};
+            const newSection = newDocument[section] || {};
+            const names = Object.keys(oldSection).concat(Object.keys(newSection))
+                .filter((name, index, list) => list.indexOf(name) === index);
+            const result = {
+                added: [],
+                removed: [],
+                modified: []
+            };
+            names.forEach((name) => {
+                if (!oldSection.hasOwnProperty(name)) {
+                    result.added.push(name);
+                } else if (!newSection.hasOwnProperty(name)) {
+                    result.removed.push(name);
+                } else if (!_isEqual(oldSection[name], newSection[name])) {
+                    result.modified.push(name);
+                }
+            });
+            report[section.charAt(0).toLowerCase() + section.substring(1)] = result;
+        });
+        return report;
+    }
+
+    /**
+     * Gets the diff report. The report contains the added, removed and
+     * modified resources, and the names of added, removed and modified
+     * parameters, mappings, conditions and outputs. Each modified resource
+     * includes a list of property level changes, and the predicted impact of
+     * the update (Replacement, Conditional, Unknown or Update).
+     *
+     * @return {Object} The diff report.
+     */
+    get report() {
+        return this._report;
+    }
+
+    /**
+     * Gets the list of modified resources that are expected to be replaced.
+     * Resources whose replacement depends on the values being changed
+     * (Conditional) are not included.
+     *
+     * @return {Array} The list of modified resources that will be replaced.
+     */
+    get replacements() {
+        return this._report.resources.modified.filter((resource) => resource.impact === IMPACT_REPLACEMENT);
+    }
+
+    /**
+     * Determines whether or not the documents are different.
+     *
+     * @return {Boolean} True if any differences were found.
+     */
+    get hasChanges() {
+        const report = this._report;
+        return Object.keys(report).some((section) => {
+            const result = report[section];
+            return result.added.length > 0 || result.removed.length > 0 || result.modified.length > 0;
+        });
+    }
+
+    /**
+     * Serializes the diff report into a JSON string.
+     *
+     * @param {Number} [indent=4] The number of spaces to use when indenting
+     *        the output.
+     *
+     * @return {String} The diff report as a JSON string.
+     */
+    toJson(indent) {
+        if (typeof indent !== 'number' || indent < 0) {
+            indent = 4;
+        }
+        return JSON.stringify(this._report, null, indent);
+    }
+
+    /**
+     * Generates a human readable summary of the differences.
+     *
+     * @return {String} The text report.
+     */
+    toText() {
+        if (!this.hasChanges) {
+            return 'No changes\n';
+        }
+        const lines = [];
+        const resources = this._report.resources;
+        if (resources.added.length + resources.removed.length + resources.modified.length > 0) {
+            lines.push('Resources');
+            resources.added.forEach((resource) => {
+                lines.push(`  + ${resource.key} (${resource.type})`);
+            });
+            resources.removed.forEach((resource) => {
+                lines.push(`  - ${resource.key} (${resource.type})`);
+            });
+            resources.modified.forEach((resource) => {
+                lines.push(`  ~ ${resource.key} (${resource.type}) [${resource.impact}]`);
+                resource.changes.forEach((change) => {
+                    let line = `      ${CHANGE_SYMBOLS[change.change]} ${change.path}`;
+                    if (change.change === 'modified') {
+                        line = `${line}: ${_formatValue(change.oldValue)} -> ${_formatValue(change.newValue)}`;
+                    } else {
+                        line = `${line}: ${_formatValue(change.change === 'added' ? change.newValue : change.oldValue)}`;
+                    }
+                    if (change.updateType) {
+                        line = `${line} (${change.updateType})`;
+                    }
+                    lines.push(line);
+                });
+            });
+        }
+        SECTIONS.forEach((section) => {
+            const result = this._report[section.charAt(0).toLowerCase() + section.substring(1)];
+            if (result.added.length + result.removed.length + result.modified.length <= 0) {
+                return;
+            }
+            lines.push(section);
+            ['added', 'removed', 'modified'].forEach((change) => {
+                result[change].forEach((name) => {
+                    lines.push(`  ${CHANGE_SYMBOLS[change]} ${name}`);
+                });
+            });
+        });
+        return `${lines.join('\n')}
+`;
+    }
+}
+
+module.exports = StackDiff;
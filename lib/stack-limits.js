@@ -0,0 +1,182 @@
+'use strict';
+
+const DEFAULT_THRESHOLD = 0.8;
+const DEFAULT_LIMITS = {
+    resources: 500,
+    parameters: 200,
+    outputs: 200,
+    mappings: 200,
+    bodySize: 51200,
+    logicalIdLength: 255
+};
+const S3_BODY_SIZE = 1048576;
+const LIMIT_DESCRIPTIONS = {
+    resources: 'Number of resources',
+    parameters: 'Number of parameters',
+    outputs: 'Number of outputs',
+    mappings: 'Number of mappings',
+    bodySize: 'Template body size (bytes)',
+    logicalIdLength: 'Logical id length'
+};
+const ID_SECTIONS = ['Parameters', 'Mappings', 'Conditions', 'Resources', 'Outputs'];
+
+/**
+ * Returns the number of keys defined in a section of the document.
+ *
+ * @private
+ * @param {Object} section The section of the document.
+ *
+ * @return {Number} The number of keys in the section.
+ */
+function _countKeys(section) {
+    return (section && typeof section === 'object') ? Object.keys(section).length : 0;
+}
+
+/**
+ * Returns a copy of an object without any properties whose values are
+ * undefined, so that the copy can be merged over default values.
+ *
+ * @private
+ * @param {Object} value The object to copy.
+ *
+ * @return {Object} The copy.
+ */
+function _omitUndefined(value) {
+    const result = {};
+    if (value && typeof value === 'object') {
+        Object.keys(value).forEach((key) => {
+            if (value[key] !== undefined) {
+                result[key] = value[key];
+            }
+        });
+    }
+    return result;
+}
+
+/**
+ * A module that measures an assembled cloud formation document against the
+ * limits (quotas) imposed by cloud formation. Limits can be overridden to
+ * reflect quota increases, or changes made by AWS.
+ */
+const stackLimits = {
+
+    /**
+     * The default limits used when checking a document.
+     */
+    DEFAULT_LIMITS: Object.freeze(Object.assign({}, DEFAULT_LIMITS)),
+
+    /**
+     * Checks a document against cloud formation limits, and returns a report
+     * that lists measurements that are above the warning threshold or the
+     * limit.
+     *
+     * @param {Object} document The cloud formation document, typically
+     *        generated by a StackAssembler.
+     * @param {Object} [options={}] Options that control the check.
+     * @param {Number} [options.threshold=0.8] The fraction of a limit above
+     *        which a warning is reported. Must be between 0 and 1.
+     * @param {Object} [options.limits={}] Overrides for one or more of the
+     *        default limits (resources, parameters, outputs, mappings,
+     *        bodySize, logicalIdLength).
+     * @param {String} [options.body=undefined] The serialized template body.
+     *        If omitted, the size of the compact JSON representation of the
+     *        document will be measured.
+     * @param {Boolean} [options.s3=false] If set to true, the body size limit
+     *        for templates uploaded to S3 will be used instead of the limit
+     *        for templates that are passed directly.
+     *
+     * @return {Object} A report that contains a list of measurements, and
+     *         lists of warnings and errors. Each warning/error identifies the
+     *         limit, the measured value, the maximum value and a message.
+     *         Logical id warnings/errors also identify the offending key.
+     */
+    check: function(document, options) {
+        if (!document || (document instanceof Array) || typeof document !== 'object') {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        options = Object.assign({
+            threshold: DEFAULT_THRESHOLD,
+            limits: {},
+            s3: false
+        }, _omitUndefined(options));
+        if (typeof options.threshold !== 'number' || options.threshold <= 0 || options.threshold > 1) {
+            throw new Error('Invalid threshold specified (options.threshold). Must be a number between 0 and 1');
+        }
+        if (!options.limits || typeof options.limits !== 'object') {
+            throw new Error('Invalid limits specified (options.limits)');
+        }
+        if (options.body !== undefined && typeof options.body !== 'string') {
+            throw new Error('Invalid body specified (options.body)');
+        }
+
+        const limits = Object.assign({}, DEFAULT_LIMITS, {
+            bodySize: options.s3 ? S3_BODY_SIZE : DEFAULT_LIMITS.bodySize
+        }, _omitUndefined(options.limits));
+        Object.keys(limits).forEach((name) => {
+            if (!DEFAULT_LIMITS.hasOwnProperty(name)) {
+                throw new Error(`Unknown limit specified (options.limits.${name})`);
+            }
+            if (typeof limits[name] !== 'number' || limits[name] <= 0) {
+                throw new Error(`Invalid limit specified (options.limits.${name})`);
+            }
+        });
+
+        const body = (options.body !== undefined) ? options.body : JSON.stringify(document);
+        const report = {
+            measurements: [],
+            warnings: [],
+            errors: []
+        };
+
+        const measure = (name, value, key) => {
+            const max = limits[name];
+            const measurement = {
+                limit: name,
+                value: value,
+                max: max
+            };
+            const subject = key ? `${LIMIT_DESCRIPTIONS[name]} [${key}]` : LIMIT_DESCRIPTIONS[name];
+            if (key) {
+                measurement.key = key;
+            } else {
+                report.measurements.push(measurement);
+            }
+            if (value > max) {
+                report.errors.push(Object.assign({
+                    message: `${subject} exceeds the limit: ${value} > ${max}`
+                }, measurement));
+            } else if (value > max * options.threshold) {
+                report.warnings.push(Object.assign({
+                    message: `${subject} is approaching the limit: ${value} of ${max}`
+                }, measurement));
+            }
+        };
+
+        measure('resources', _countKeys(document.Resources));
+        measure('parameters', _countKeys(document.Parameters));
+        measure('outputs', _countKeys(document.Outputs));
+        measure('mappings', _countKeys(document.Mappings));
+        measure('bodySize', Buffer.byteLength(body, 'utf8'));
+
+        let longestId = 0;
+        ID_SECTIONS.forEach((section) => {
+            const entries = document[section];
+            if (!entries || typeof entries !== 'object') {
+                return;
+            }
+            Object.keys(entries).forEach((key) => {
+                longestId = Math.max(longestId, key.length);
+                measure('logicalIdLength', key.length, key);
+            });
+        });
+        report.measurements.push({
+            limit: 'logicalIdLength',
+            value: longestId,
+            max: limits.logicalIdLength
+        });
+
+        return report;
+    }
+};
+
+module.exports = stackLimits;
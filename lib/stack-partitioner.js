@@ -0,0 +1,593 @@
+'use strict';
+
+const _path = require('path');
+const _clone = require('clone');
+const _camelCase = require('camelcase');
+const _loggerProvider = require('wysknd-log').loggerProvider;
+const Template = require('./templates/template');
+const StackTemplate = require('./templates/cloudformation/stack-template');
+const StackAssembler = require('./stack-assembler');
+const DependencyGraph = require('./dependency-graph');
+const _stackLimits = require('./stack-limits');
+
+const TEMPLATE_FORMAT_VERSION = '2010-09-09';
+const ROOT_PARTITION = 'root';
+const STRATEGIES = ['directory', 'components'];
+const SUB_VARIABLE_PATTERN = /\$\{([^!}][^}]*)\}/g;
+const LIST_PARAMETER_PATTERN = /^(List<.*>|CommaDelimitedList)$/;
+
+/**
+ * Generates an alphanumeric identifier by concatenating the specified values
+ * and capitalizing the first letter of each value.
+ *
+ * @private
+ * @param {...String} part The values to concatenate.
+ *
+ * @return {String} The identifier.
+ */
+function _toLogicalId() {
+    return Array.prototype.slice.call(arguments).map((part) => {
+        part = part.replace(/[^a-zA-Z0-9]/g, '');
+        return `${part.charAt(0).toUpperCase()}${part.substring(1)}`;
+    }).join('');
+}
+
+/**
+ * Returns the name of the top level directory that contains the specified
+ * source file. Files in the root directory are assigned to the root
+ * partition.
+ *
+ * @private
+ * @param {String} source The path to the source file, relative to the
+ *        template root.
+ *
+ * @return {String} The partition name.
+ */
+function _getDirectoryPartition(source) {
+    const tokens = _path.normalize(source || '').split(/[\\/]/);
+    return (tokens.length > 1) ? tokens[0] : ROOT_PARTITION;
+}
+
+/**
+ * Generates a variable reference for use within a Fn::Sub string.
+ *
+ * @private
+ * @param {String} name The name of the variable.
+ *
+ * @return {String} The variable reference (ex: ${name}).
+ */
+function _toSubVariable(name) {
+    return '${' + name + '}';
+}
+
+/**
+ * Rewrites the variable references in a Fn::Sub string, using the specified
+ * resolver to replace references to resources in other partitions.
+ *
+ * @private
+ * @param {Array} args The arguments of the Fn::Sub expression (template
+ *        string and variable map).
+ * @param {Function} resolve The resolver for cross partition references.
+ *
+ * @return {Object} The rewritten Fn::Sub expression.
+ */
+function _rewriteSub(args, resolve) {
+    const variables = args[1] ? _rewrite(args[1], resolve) : {};
+    const text = args[0].replace(SUB_VARIABLE_PATTERN, (match, name) => {
+        if (variables.hasOwnProperty(name)) {
+            return match;
+        }
+        const index = name.indexOf('.');
+        const target = (index < 0) ? name : name.substring(0, index);
+        const attribute = (index < 0) ? undefined : name.substring(index + 1);
+        const replacement = resolve(target, attribute);
+        if (!replacement) {
+            return match;
+        }
+        if (typeof replacement.Ref === 'string') {
+            return _toSubVariable(replacement.Ref);
+        }
+        const variable = _toLogicalId(target, attribute || 'Ref');
+        variables[variable] = replacement;
+        return _toSubVariable(variable);
+    });
+    return {
+        'Fn::Sub': (Object.keys(variables).length > 0) ? [text, variables] : text
+    };
+}
+
+/**
+ * Recursively copies a value, replacing references (Ref, Fn::GetAtt and
+ * Fn::Sub variables) for which the resolver returns a replacement.
+ *
+ * @private
+ * @param {*} value The value to rewrite.
+ * @param {Function} resolve A function that accepts the referenced key and
+ *        attribute, and returns a replacement expression, or undefined if
+ *        the reference should not be changed.
+ *
+ * @return {*} The rewritten value.
+ */
+function _rewrite(value, resolve) {
+    if (value instanceof Array) {
+        return value.map((item) => _rewrite(item, resolve));
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    const keys = Object.keys(value);
+    if (keys.length === 1) {
+        const args = value[keys[0]];
+        if (keys[0] === 'Ref' && typeof args === 'string') {
+            return resolve(args) || value;
+        }
+        if (keys[0] === 'Fn::GetAtt') {
+            const target = (typeof args === 'string') ? args.split('.') : args;
+            if (target instanceof Array && typeof target[0] === 'string' &&
+                typeof target[1] === 'string') {
+                return resolve(target[0], target.slice(1).join('.')) || value;
+            }
+        }
+        if (keys[0] === 'Fn::Sub') {
+            if (typeof args === 'string') {
+                return _rewriteSub([args], resolve);
+            }
+            if (args instanceof Array && typeof args[0] === 'string') {
+                return _rewriteSub(args, resolve);
+            }
+        }
+    }
+    const result = {};
+    keys.forEach((key) => {
+        result[key] = _rewrite(value[key], resolve);
+    });
+    return result;
+}
+
+/**
+ * Recursively inspects a value, and adds the names of all conditions and
+ * mappings referenced within the value to the specified lists.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {Array} conditions The list to which condition names will be added.
+ * @param {Array} mappings The list to which mapping names will be added.
+ */
+function _findNames(value, conditions, mappings) {
+    const add = (list, name) => {
+        if (typeof name === 'string' && list.indexOf(name) < 0) {
+            list.push(name);
+        }
+    };
+    if (value instanceof Array) {
+        value.forEach((item) => _findNames(item, conditions, mappings));
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach((key) => {
+            const child = value[key];
+            if (key === 'Condition') {
+                add(conditions, child);
+            } else if (key === 'Fn::If' && child instanceof Array) {
+                add(conditions, child[0]);
+            } else if (key === 'Fn::FindInMap' && child instanceof Array) {
+                add(mappings, child[0]);
+            }
+            _findNames(child, conditions, mappings);
+        });
+    }
+}
+
+/**
+ * Splits the resources of a large stack into multiple nested (child)
+ * stacks, and generates a parent stack that creates the child stacks. Refs
+ * and Fn::GetAtt references between resources in different child stacks are
+ * automatically converted into child stack outputs and parameters, and the
+ * parent stack passes stack parameters through to the child stacks that use
+ * them.
+ *
+ * Resources can be grouped by the top level directory of the file that
+ * emitted them, by connected components of the dependency graph, or using a
+ * custom function.
+ */
+class StackPartitioner {
+    /**
+     * @param {Object} options Options that control partitioning.
+     * @param {String|Function} options.templateUrl The URL of the location
+     *        (in S3) to which the child documents will be uploaded, or a
+     *        function that accepts a partition name and returns the URL of
+     *        the child document. If a URL is specified, each child document
+     *        is expected at "<url>/<partition name>.json".
+     * @param {String|Function} [options.strategy='directory'] The strategy
+     *        used to group resources into partitions. Can be "directory",
+     *        "components", or a function that accepts a template and returns
+     *        the name of its partition.
+     * @param {Number} [options.maxResources=500] The maximum number of
+     *        resources per partition when grouping by connected components.
+     *        Components that exceed this number are split across multiple
+     *        partitions in dependency order, so that resources only
+     *        reference resources in the same or in earlier partitions.
+     */
+    constructor(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            throw new Error('Invalid options specified (arg #1)');
+        }
+        if ((typeof options.templateUrl !== 'string' || options.templateUrl.length <= 0) &&
+            typeof options.templateUrl !== 'function') {
+            throw new Error('Invalid template url specified (options.templateUrl)');
+        }
+        const strategy = (options.strategy === undefined) ? STRATEGIES[0] : options.strategy;
+        if (STRATEGIES.indexOf(strategy) < 0 && typeof strategy !== 'function') {
+            throw new Error(`Invalid strategy specified (options.strategy). Must be a function or one of [${STRATEGIES}]`);
+        }
+        const maxResources = (options.maxResources === undefined) ?
+            _stackLimits.DEFAULT_LIMITS.resources : options.maxResources;
+        if (typeof maxResources !== 'number' || maxResources < 1 || maxResources % 1 !== 0) {
+            throw new Error('Invalid max resources specified (options.maxResources)');
+        }
+
+        this._logger = _loggerProvider.getLogger('stack_partitioner');
+        this._templateUrl = options.templateUrl;
+        this._strategy = strategy;
+        this._maxResources = maxResources;
+    }
+
+    /**
+     * Returns the URL of the document for the specified partition.
+     *
+     * @private
+     * @param {String} name The name of the partition.
+     *
+     * @return {String} The URL of the child document.
+     */
+    _getTemplateUrl(name) {
+        if (typeof this._templateUrl === 'function') {
+            return this._templateUrl(name);
+        }
+        return `${this._templateUrl.replace(/\/+$/, '')}/${name}.json`;
+    }
+
+    /**
+     * Assigns every resource in the document to a partition, using the
+     * configured strategy.
+     *
+     * @private
+     * @param {Object} document The assembled cloud formation document.
+     * @param {Array} templates The templates used to assemble the document.
+     *
+     * @return {Object} A map of resource keys to partition names.
+     */
+    _assignPartitions(document, templates) {
+        const assignments = {};
+        if (this._strategy === 'components') {
+            const graph = new DependencyGraph(document);
+            const nodes = graph.nodes;
+            const parents = {};
+            const find = (node) => {
+                while (parents[node] !== node) {
+                    node = parents[node];
+                }
+                return node;
+            };
+            nodes.forEach((node) => {
+                parents[node] = node;
+            });
+            graph.edges.forEach((edge) => {
+                if (parents.hasOwnProperty(edge.to)) {
+                    parents[find(edge.from)] = find(edge.to);
+                }
+            });
+
+            const components = [];
+            const componentMap = {};
+            nodes.forEach((node) => {
+                const root = find(node);
+                if (!componentMap[root]) {
+                    componentMap[root] = [];
+                    components.push(componentMap[root]);
+                }
+                componentMap[root].push(node);
+            });
+
+            let order;
+            const groups = [];
+            components.forEach((component) => {
+                if (component.length <= this._maxResources) {
+                    groups.push(component);
+                    return;
+                }
+                this._logger.warn(`Splitting connected component that exceeds the resource limit: [${component.length}]`);
+                order = order || graph.getTopologicalOrder();
+                const sorted = order.filter((node) => component.indexOf(node) >= 0);
+                for (let start = 0; start < sorted.length; start += this._maxResources) {
+                    groups.push(sorted.slice(start, start + this._maxResources));
+                }
+            });
+
+            let index = 1;
+            let count = 0;
+            groups.forEach((component) => {
+                if (count > 0 && count + component.length > this._maxResources) {
+                    index++;
+                    count = 0;
+                }
+                component.forEach((node) => {
+                    assignments[node] = `partition${index}`;
+                });
+                count += component.length;
+            });
+        } else {
+            templates.forEach((template) => {
+                assignments[template.key] = (typeof this._strategy === 'function') ?
+                    this._strategy(template) : _getDirectoryPartition(template.source);
+            });
+        }
+        return assignments;
+    }
+
+    /**
+     * Assembles the templates into a single document, and then splits the
+     * document into a parent document and one child document per partition.
+     *
+     * @param {Array} templates The list of templates to partition.
+     * @param {Object} [assembler=new StackAssembler()] The assembler that
+     *        will be used to assemble the templates. Stack parameters,
+     *        mappings and conditions defined on the assembler will be copied
+     *        to the child documents that use them.
+     *
+     * @return {Object} An object with the parent document (parent), and a map
+     *         of partition names to child documents (children).
+     */
+    partition(templates, assembler) {
+        if (!(templates instanceof Array)) {
+            throw new Error('Invalid templates specified (arg #1)');
+        }
+        templates.forEach((template, index) => {
+            if (!(template instanceof Template)) {
+                throw new Error(`Invalid template specified at index [${index}]`);
+            }
+        });
+        if (assembler === undefined) {
+            assembler = new StackAssembler();
+        }
+        if (!(assembler instanceof StackAssembler)) {
+            throw new Error('Invalid assembler specified (arg #2)');
+        }
+
+        const document = assembler.assemble(templates);
+        return this.splitDocument(document, this._assignPartitions(document, templates));
+    }
+
+    /**
+     * Splits an assembled document into a parent document and one child
+     * document per partition. References to resources in Fn::Sub strings are
+     * rewritten along with Refs and Fn::GetAtt expressions.
+     *
+     * @param {Object} document The assembled cloud formation document.
+     * @param {Object} assignments A map of resource keys to partition names.
+     *        Every resource in the document must be assigned to a partition.
+     *
+     * @return {Object} An object with the parent document (parent), and a map
+     *         of partition names to child documents (children).
+     */
+    splitDocument(document, assignments) {
+        if (!document || (document instanceof Array) || typeof document !== 'object' ||
+            !document.Resources || typeof document.Resources !== 'object') {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        if (!assignments || (assignments instanceof Array) || typeof assignments !== 'object') {
+            throw new Error('Invalid assignments specified (arg #2)');
+        }
+
+        const resources = document.Resources;
+        const parameters = document.Parameters || {};
+        const partitions = {};
+        const names = [];
+        Object.keys(resources).forEach((key) => {
+            const name = assignments[key];
+            if (typeof name !== 'string' || name.length <= 0) {
+                throw new Error(`No partition assigned to resource: [${key}]`);
+            }
+            if (!partitions[name]) {
+                const stackKey = _camelCase(`${name}-stack`);
+                if (!stackKey.match(/^[a-zA-Z0-9]+$/)) {
+                    throw new Error(`Invalid partition name: [${name}]`);
+                }
+                names.forEach((existing) => {
+                    if (partitions[existing].stackKey === stackKey) {
+                        throw new Error(`Partitions [${existing}] and [${name}] map to the same stack: [${stackKey}]`);
+                    }
+                });
+                if (resources.hasOwnProperty(stackKey) || parameters.hasOwnProperty(stackKey)) {
+                    throw new Error(`Stack key for partition [${name}] conflicts with an existing key: [${stackKey}]`);
+                }
+                names.push(name);
+                partitions[name] = {
+                    stackKey: stackKey,
+                    keys: [],
+                    parameters: {},
+                    resources: {},
+                    outputs: {},
+                    dependencies: []
+                };
+            }
+            partitions[name].keys.push(key);
+        });
+
+        const createResolver = (consumer) => {
+            return (target, attribute) => {
+                if (resources.hasOwnProperty(target)) {
+                    const owner = assignments[target];
+                    if (consumer && owner === consumer.name) {
+                        return undefined;
+                    }
+                    const outputName = _toLogicalId(target, attribute || 'Ref');
+                    if (parameters.hasOwnProperty(outputName)) {
+                        throw new Error(`Cross stack reference [${outputName}] conflicts with a stack parameter`);
+                    }
+                    const output = {
+                        Value: attribute ? {
+                            'Fn::GetAtt': [target, attribute]
+                        } : {
+                            Ref: target
+                        }
+                    };
+                    if (resources[target].Condition !== undefined) {
+                        output.Condition = resources[target].Condition;
+                    }
+                    partitions[owner].outputs[outputName] = output;
+                    const value = {
+                        'Fn::GetAtt': [partitions[owner].stackKey, `Outputs.${outputName}`]
+                    };
+                    if (!consumer) {
+                        return value;
+                    }
+                    consumer.partition.parameters[outputName] = {
+                        definition: {
+                            Type: 'String'
+                        },
+                        value: value
+                    };
+                    return {
+                        Ref: outputName
+                    };
+                }
+                if (consumer && !attribute && parameters.hasOwnProperty(target)) {
+                    const definition = parameters[target];
+                    const value = {
+                        Ref: target
+                    };
+                    consumer.partition.parameters[target] = {
+                        definition: _clone(definition),
+                        value: (definition.Type || '').match(LIST_PARAMETER_PATTERN) ? {
+                            'Fn::Join': [',', value]
+                        } : value
+                    };
+                }
+                return undefined;
+            };
+        };
+
+        const addSections = (source, resolve) => {
+            const conditions = [];
+            const mappings = [];
+            _findNames(source, conditions, mappings);
+            for (let index = 0; index < conditions.length; index++) {
+                _findNames((document.Conditions || {})[conditions[index]], conditions, mappings);
+            }
+            const result = {};
+            if (mappings.length > 0 && document.Mappings) {
+                result.Mappings = {};
+                mappings.forEach((name) => {
+                    result.Mappings[name] = _clone(document.Mappings[name]);
+                });
+            }
+            if (conditions.length > 0 && document.Conditions) {
+                result.Conditions = {};
+                conditions.forEach((name) => {
+                    result.Conditions[name] = _rewrite(document.Conditions[name], resolve);
+                });
+            }
+            return result;
+        };
+
+        const children = {};
+        names.forEach((name) => {
+            const partition = partitions[name];
+            const resolve = createResolver({
+                name: name,
+                partition: partition
+            });
+            partition.keys.forEach((key) => {
+                const resource = _rewrite(resources[key], resolve);
+                let dependsOn = resource.DependsOn;
+                if (typeof dependsOn === 'string') {
+                    dependsOn = [dependsOn];
+                }
+                if (dependsOn instanceof Array) {
+                    resource.DependsOn = dependsOn.filter((target) => {
+                        const owner = assignments[target];
+                        if (resources.hasOwnProperty(target) && owner !== name) {
+                            if (partition.dependencies.indexOf(owner) < 0) {
+                                partition.dependencies.push(owner);
+                            }
+                            return false;
+                        }
+                        return true;
+                    });
+                }
+                partition.resources[key] = resource;
+            });
+            partition.sections = addSections(partition.resources, resolve);
+        });
+
+        const parentResolve = createResolver(undefined);
+        const outputs = (document.Outputs) ? _rewrite(document.Outputs, parentResolve) : undefined;
+
+        names.forEach((name) => {
+            const partition = partitions[name];
+            const child = {
+                AWSTemplateFormatVersion: TEMPLATE_FORMAT_VERSION,
+                Description: document.Description ? `${document.Description} (${name})` : name
+            };
+            const parameterNames = Object.keys(partition.parameters);
+            if (parameterNames.length > 0) {
+                child.Parameters = {};
+                parameterNames.forEach((parameterName) => {
+                    child.Parameters[parameterName] = partition.parameters[parameterName].definition;
+                });
+            }
+            Object.assign(child, partition.sections);
+            child.Resources = partition.resources;
+            if (Object.keys(partition.outputs).length > 0) {
+                child.Outputs = partition.outputs;
+            }
+            children[name] = child;
+        });
+
+        const parent = {
+            AWSTemplateFormatVersion: TEMPLATE_FORMAT_VERSION,
+            Description: document.Description
+        };
+        if (document.Metadata) {
+            parent.Metadata = _clone(document.Metadata);
+        }
+        if (document.Parameters) {
+            parent.Parameters = _clone(document.Parameters);
+        }
+        Object.assign(parent, addSections(outputs, parentResolve));
+        parent.Resources = {};
+        names.forEach((name) => {
+            const partition = partitions[name];
+            const template = new StackTemplate(partition.stackKey, this._getTemplateUrl(name));
+            Object.keys(partition.parameters).forEach((parameterName) => {
+                template.setParameter(parameterName, partition.parameters[parameterName].value);
+            });
+            partition.dependencies.forEach((owner) => {
+                template.addDependency(partitions[owner].stackKey);
+            });
+            const data = {};
+            partition.dependencies.forEach((owner) => {
+                data[partitions[owner].stackKey] = partitions[owner].stackKey;
+            });
+            parent.Resources[partition.stackKey] = template.finalize(data);
+        });
+        if (outputs) {
+            parent.Outputs = outputs;
+        }
+
+        const cycles = new DependencyGraph(parent).findCycles();
+        if (cycles.length > 0) {
+            throw new Error(`Partitions have circular dependencies: ${cycles.map((cycle) => `[${cycle.join(' -> ')}]`).join(', ')}`);
+        }
+
+        this._logger.info('Stack partitioned', {
+            partitions: names.map((name) => `${name} (${partitions[name].keys.length})`)
+        });
+
+        return {
+            parent: parent,
+            children: children
+        };
+    }
+}
+
+module.exports = StackPartitioner;
@@ -0,0 +1,172 @@
+'use strict';
+
+const SpecValidator = require('./spec-validator');
+
+const FORMAT_LIST = 'list';
+const FORMAT_MAP = 'map';
+const MAX_KEY_LENGTH = 128;
+const MAX_VALUE_LENGTH = 256;
+const RESERVED_PREFIX = 'aws:';
+
+const _customFormats = {};
+let _validator = undefined;
+
+/**
+ * Returns the validator for the resource specification bundled with the
+ * library, loading the specification when first used.
+ *
+ * @private
+ * @return {Object} The spec validator.
+ */
+function _getValidator() {
+    if (!_validator) {
+        _validator = new SpecValidator();
+    }
+    return _validator;
+}
+
+/**
+ * Determines whether or not a value is a plain map of tag keys to values,
+ * as opposed to a cloud formation expression (Ref, Fn::*), an array or a
+ * primitive.
+ *
+ * @private
+ * @param {*} value The value to check.
+ *
+ * @return {Boolean} True if the value is a plain map.
+ */
+function _isPlainMap(value) {
+    if (!value || (value instanceof Array) || typeof value !== 'object') {
+        return false;
+    }
+    const keys = Object.keys(value);
+    return !(keys.length === 1 && (keys[0] === 'Ref' || keys[0].indexOf('Fn::') === 0));
+}
+
+/**
+ * A module that applies resource tags using the format expected by each
+ * resource type. Most resources expect a list of Key/Value pairs, while a few
+ * expect a map of keys to values. Formats are determined using the resource
+ * specification, and can be registered for resource types that use a
+ * different format. The specification bundled with the library only covers a
+ * subset of resource types, and any type that it does not define is assumed
+ * to use the list format.
+ */
+const tagging = {
+
+    /**
+     * Checks that the specified tag key and value are valid.
+     *
+     * @param {String} key The tag key.
+     * @param {String|Object} value The tag value. This can be a string, or a
+     *        cloud formation expression (ex: { Ref: ... }).
+     * @param {Number} [keyArg=1] The position of the key in the caller's
+     *        argument list, used when reporting errors.
+     */
+    checkTag: function(key, value, keyArg) {
+        if (typeof keyArg !== 'number') {
+            keyArg = 1;
+        }
+        if (typeof key !== 'string' || key.length <= 0 || key.length > MAX_KEY_LENGTH) {
+            throw new Error(`Invalid tag key specified (arg #${keyArg}). Must be a string between 1 and ${MAX_KEY_LENGTH} characters`);
+        }
+        if (key.toLowerCase().indexOf(RESERVED_PREFIX) === 0) {
+            throw new Error(`Invalid tag key specified (arg #${keyArg}). Keys cannot start with [${RESERVED_PREFIX}]`);
+        }
+        if (typeof value === 'string') {
+            if (value.length > MAX_VALUE_LENGTH) {
+                throw new Error(`Invalid tag value specified (arg #${keyArg + 1}). Cannot exceed ${MAX_VALUE_LENGTH} characters`);
+            }
+        } else if (!value || (value instanceof Array) || typeof value !== 'object') {
+            throw new Error(`Invalid tag value specified (arg #${keyArg + 1})`);
+        }
+    },
+
+    /**
+     * Registers the tag format for a resource type, overriding the format
+     * defined by the resource specification.
+     *
+     * @param {String} resourceType The resource type (ex: AWS::SNS::Topic).
+     * @param {String} format The tag format ("list" or "map").
+     */
+    setTagFormat: function(resourceType, format) {
+        if (typeof resourceType !== 'string' || resourceType.length <= 0) {
+            throw new Error('Invalid resource type specified (arg #1)');
+        }
+        if (format !== FORMAT_LIST && format !== FORMAT_MAP) {
+            throw new Error(`Invalid format specified (arg #2). Must be one of [${FORMAT_LIST},${FORMAT_MAP}]`);
+        }
+        _customFormats[resourceType] = format;
+    },
+
+    /**
+     * Returns the tag format for the specified resource type.
+     *
+     * @param {String} resourceType The resource type (ex: AWS::EC2::VPC).
+     *
+     * @return {String} The tag format ("list" or "map"), or undefined if the
+     *         resource specification defines the resource type without tags.
+     */
+    getTagFormat: function(resourceType) {
+        if (_customFormats.hasOwnProperty(resourceType)) {
+            return _customFormats[resourceType];
+        }
+        const validator = _getValidator();
+        if (!validator.hasResourceType(resourceType)) {
+            return FORMAT_LIST;
+        }
+        const spec = validator.getPropertySpec(resourceType, 'Tags');
+        if (!spec) {
+            return undefined;
+        }
+        if (spec.Type === 'List') {
+            return FORMAT_LIST;
+        }
+        if (spec.Type === 'Map' || spec.PrimitiveType === 'Json') {
+            return FORMAT_MAP;
+        }
+        return undefined;
+    },
+
+    /**
+     * Merges a map of tags into the tags of a finalized resource. Tags that
+     * are already defined on the resource are not overwritten. If the
+     * current value is a cloud formation expression (ex: Fn::If), or is not
+     * a value of the expected format, it is returned unchanged, because the
+     * tags that it evaluates to cannot be determined.
+     *
+     * @param {*} current The current value of the resource's Tags property.
+     * @param {Object} tags A map of tag keys to values.
+     * @param {String} format The tag format ("list" or "map").
+     *
+     * @return {*} The merged tags in the specified format, or the current
+     *         value if the tags cannot be merged.
+     */
+    mergeTags: function(current, tags, format) {
+        if (format === FORMAT_MAP) {
+            if (current === undefined) {
+                return Object.assign({}, tags);
+            }
+            if (!_isPlainMap(current)) {
+                return current;
+            }
+            return Object.assign({}, tags, current);
+        }
+        if (current !== undefined && !(current instanceof Array)) {
+            return current;
+        }
+        const list = current ? current.slice() : [];
+        const keys = list.map((tag) => (tag && tag.Key));
+        for (let key in tags) {
+            if (keys.indexOf(key) < 0) {
+                list.push({
+                    Key: key,
+                    Value: tags[key]
+                });
+            }
+        }
+        return list;
+    }
+};
+
+module.exports = tagging;
@@ -3,8 +3,88 @@
 const _fs = require('fs');
 const _path = require('path');
 const Promise = require('bluebird').Promise;
+const _minimatch = require('minimatch');
 const _loggerProvider = require('wysknd-log').loggerProvider;
 const DirInfo = require('./dir-info');
+const Template = require('./templates/template');
+const _profiles = require('./profiles');
+const _snippets = require('./snippets');
+const _yamlSerializer = require('./yaml-serializer');
+
+const IGNORE_FILE = '.cfignore';
+const HELPER_PREFIX = '_';
+const NODE_MODULES_DIR = 'node_modules';
+const MAX_LOGICAL_ID_LENGTH = 255;
+const SNIPPET_PARSERS = {
+    '.json': JSON.parse,
+    '.yaml': _yamlSerializer.parse,
+    '.yml': _yamlSerializer.parse
+};
+
+/**
+ * Converts a path into a form that can be matched against glob patterns,
+ * using "/" as a separator, and without a leading "./".
+ *
+ * @private
+ * @param {String} path The path to convert.
+ *
+ * @return {String} The converted path.
+ */
+function _toGlobPath(path) {
+    return _path.normalize(path).split(_path.sep).join('/').replace(/^\.\//, '');
+}
+
+/**
+ * Determines whether or not a path matches a glob pattern. Directories also
+ * match patterns that match their contents (ex: "test/**").
+ *
+ * @private
+ * @param {String} path The path to match, using "/" as a separator.
+ * @param {String} pattern The glob pattern.
+ * @param {Boolean} isDirectory True if the path refers to a directory.
+ * @param {Object} [options={}] Additional options for the matcher.
+ *
+ * @return {Boolean} True if the path matches the pattern.
+ */
+function _matches(path, pattern, isDirectory, options) {
+    options = Object.assign({
+        dot: true
+    }, options);
+    return _minimatch(path, pattern, options) ||
+        (isDirectory && _minimatch(`${path}/`, pattern, options));
+}
+
+/**
+ * Parses the contents of an ignore file into a list of rules. Each non empty
+ * line that does not begin with "#" is treated as a glob pattern, relative to
+ * the directory that contains the ignore file. Patterns without a "/" match
+ * files and directories at any depth, and patterns with a trailing "/" only
+ * match directories.
+ *
+ * @private
+ * @param {String} contents The contents of the ignore file.
+ * @param {String} base The path of the directory that contains the file,
+ *        relative to the template root.
+ *
+ * @return {Array} A list of ignore rules.
+ */
+function _parseIgnoreFile(contents, base) {
+    return contents.split(/\r?\n/).map((line) => line.trim())
+        .filter((line) => line.length > 0 && line.charAt(0) !== '#')
+        .map((line) => {
+            const directoryOnly = line.charAt(line.length - 1) === '/';
+            let pattern = line.replace(/\/+$/, '');
+            const anchored = pattern.indexOf('/') >= 0;
+            pattern = pattern.replace(/^\//, '');
+            return {
+                line: line,
+                pattern: pattern,
+                matchBase: !anchored,
+                directoryOnly: directoryOnly,
+                base: base
+            };
+        });
+}
 
 /**
  * Class that loads all template objects defined in the current directory, and
@@ -16,25 +96,228 @@ class TemplateBuilder {
      *        methods for the current directory.
      * @param {Object} [dataBag={}] An optional object containing properties
      *        and keys that can be passed to template generators
+     * @param {Object} [options={}] Optional parameters that control the
+     *        build. These options are passed on to the builders of all sub
+     *        directories.
+     * @param {Boolean} [options.deterministic=false] If set to true,
+     *        directory entries will be processed in sorted order, so that
+     *        the same directory tree always produces templates in the same
+     *        order.
+     * @param {Array} [options.include=[]] An optional list of glob patterns.
+     *        If specified, only files whose paths (relative to the template
+     *        root) match at least one of the patterns will be loaded.
+     * @param {Array} [options.exclude=[]] An optional list of glob patterns.
+     *        Files and directories whose paths (relative to the template
+     *        root) match any of the patterns will be ignored.
+     * @param {Object} [options.cache=undefined] An optional object that is
+     *        used to cache the templates loaded from each file, keyed by the
+     *        absolute path of the file. Files that have entries in the cache
+     *        will not be reloaded, allowing unchanged files to be skipped
+     *        when a template tree is rebuilt.
      */
-    constructor(dirInfo, dataBag) {
+    constructor(dirInfo, dataBag, options) {
         if (!(dirInfo instanceof DirInfo)) {
             throw new Error('Invalid directory info specified (arg #1)');
         }
         if (!dataBag || (dataBag instanceof Array) || typeof dataBag !== 'object') {
             dataBag = {};
         }
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
         this._logger = _loggerProvider.getLogger('template_builder');
         this._dirInfo = dirInfo;
         this._dataBag = dataBag;
+        ['include', 'exclude'].forEach((prop) => {
+            const patterns = options[prop];
+            if (patterns !== undefined && (!(patterns instanceof Array) ||
+                patterns.some((pattern) => typeof pattern !== 'string' || pattern.length <= 0))) {
+                throw new Error(`Invalid ${prop} patterns specified (options.${prop}). Must be an array of strings`);
+            }
+        });
+        const cache = options.cache;
+        if (cache !== undefined && (!cache || (cache instanceof Array) || typeof cache !== 'object')) {
+            throw new Error('Invalid cache specified (options.cache)');
+        }
+        this._options = {
+            deterministic: !!options.deterministic,
+            include: (options.include || []).slice(),
+            exclude: (options.exclude || []).slice(),
+            cache: cache
+        };
+        this._ignoreRules = [];
+        this._isChild = false;
 
         this._logger.trace('Template loader initialized', {
-            dirInfo: this._dirInfo
+            dirInfo: this._dirInfo,
+            options: this._options
+        });
+    }
+
+    /**
+     * Reads the ignore file (.cfignore) in the current directory, if one
+     * exists, and adds its rules to the rules inherited from parent
+     * directories.
+     *
+     * @private
+     * @param {Array} files The list of entries in the current directory.
+     *
+     * @return {Promise} A promise that will be resolved once the ignore file
+     *         has been read.
+     */
+    _loadIgnoreRules(files) {
+        if (files.indexOf(IGNORE_FILE) < 0) {
+            return Promise.resolve();
+        }
+        const filePath = this._dirInfo.getFilePath(IGNORE_FILE);
+        return new Promise((resolve, reject) => {
+            _fs.readFile(filePath, 'utf8', (err, contents) => {
+                if (err) {
+                    this._logger.error(err);
+                    reject(err);
+                    return;
+                }
+                const base = _toGlobPath(this._dirInfo.relPath);
+                this._ignoreRules = this._ignoreRules.concat(_parseIgnoreFile(contents, base));
+                this._logger.debug(`Ignore rules loaded: [${_path.join(this._dirInfo.relPath, IGNORE_FILE)}]`);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Determines whether or not a directory entry should be ignored, and
+     * returns the reason.
+     *
+     * @private
+     * @param {String} file The name of the entry.
+     * @param {String} relPath The path of the entry, relative to the
+     *        template root.
+     * @param {Boolean} isDirectory True if the entry is a directory.
+     *
+     * @return {String} The reason for ignoring the entry, or undefined if the
+     *         entry should be processed.
+     */
+    _getIgnoreReason(file, relPath, isDirectory) {
+        const path = _toGlobPath(relPath);
+        if (file === IGNORE_FILE) {
+            return 'ignore file';
+        }
+        if (isDirectory && file === NODE_MODULES_DIR) {
+            return 'node modules directory';
+        }
+        if (!this._isChild && ((isDirectory && file === _profiles.PROFILES_DIR) ||
+            (!isDirectory && file === _profiles.CONFIG_FILE))) {
+            return 'profile configuration';
+        }
+        if (!isDirectory && file.indexOf(HELPER_PREFIX) === 0) {
+            return `helper file with [${HELPER_PREFIX}] prefix`;
+        }
+        const exclude = this._options.exclude.find((pattern) => _matches(path, pattern, isDirectory));
+        if (exclude) {
+            return `matches exclude pattern [${exclude}]`;
+        }
+        const rule = this._ignoreRules.find((rule) => {
+            if (rule.directoryOnly && !isDirectory) {
+                return false;
+            }
+            const rulePath = (rule.base === '.') ? path : _toGlobPath(_path.relative(rule.base, path));
+            return _matches(rulePath, rule.pattern, isDirectory, {
+                matchBase: rule.matchBase
+            });
+        });
+        if (rule) {
+            return `matches [${rule.line}] in [${_path.join(rule.base, IGNORE_FILE)}]`;
+        }
+        const include = this._options.include;
+        if (!isDirectory && include.length > 0 &&
+            !include.some((pattern) => _matches(path, pattern, isDirectory))) {
+            return 'does not match include patterns';
+        }
+        return undefined;
+    }
+
+    /**
+     * Checks that every template has a key that is a valid cloud formation
+     * logical id, and that no two templates share the same key. Keys are
+     * compared after camel case conversion, so keys such as "user_table"
+     * and "userTable" are treated as duplicates. This check is performed
+     * once, by the builder for the root directory.
+     *
+     * @private
+     * @param {Array} templates The list of templates to check.
+     */
+    _checkKeys(templates) {
+        const messages = [];
+        const sources = {};
+        templates.forEach((template) => {
+            if (!(template instanceof Template)) {
+                return;
+            }
+            const key = template.key;
+            const source = template.source || 'unknown source';
+            if (!key.match(/^[a-zA-Z0-9]+$/) || key.length > MAX_LOGICAL_ID_LENGTH) {
+                messages.push(`  Invalid logical id [${key}] emitted by [${source}]. Must be alphanumeric, and no longer than ${MAX_LOGICAL_ID_LENGTH} characters`);
+            }
+            if (sources.hasOwnProperty(key)) {
+                messages.push(`  Duplicate logical id [${key}] emitted by [${sources[key]}] and [${source}]`);
+            } else {
+                sources[key] = source;
+            }
         });
+
+        if (messages.length > 0) {
+            throw new Error(`Template key validation failed:
+${messages.join('\n')}`);
+        }
     }
 
     /**
-     * Loads template objects from the specified path. Non javascript files will
+     * Normalizes the value emitted by a template file into a list of
+     * templates, and records the source file and directory level on each
+     * template.
+     *
+     * @private
+     * @param {*} templates The value emitted by the template file. This can
+     *        be a single template, an array of templates, or null/undefined.
+     * @param {String} fileRelPath The path of the file, relative to the
+     *        template root.
+     * @param {String} fileAbsPath The absolute path of the file, used to
+     *        cache the templates.
+     *
+     * @return {Array} The list of templates.
+     */
+    _processTemplates(templates, fileRelPath, fileAbsPath) {
+        if (templates === null || templates === undefined) {
+            this._logger.warn(`No templates emitted by generator: [${fileRelPath}]`);
+            templates = [];
+        } else if (!(templates instanceof Array)) {
+            templates = [templates];
+        }
+
+        templates.forEach((template) => {
+            if (template instanceof Template && template.source === undefined) {
+                template.setSource(fileRelPath, this._dirInfo.level);
+            }
+        });
+
+        this._logger.debug(`Templates loaded (file): [${fileRelPath}]`, {
+            templates: templates.map((res) => res.key)
+        });
+
+        if (this._options.cache) {
+            this._options.cache[fileAbsPath] = templates.slice();
+        }
+        return templates;
+    }
+
+    /**
+     * Loads template objects from the specified path. Javascript files may
+     * export templates, or generator functions that return templates (or a
+     * promise for templates). JSON and YAML files are loaded as raw cloud
+     * formation snippets, using the file name without the extension as the
+     * snippet name. JSON and YAML files that are not snippets (ex:
+     * package.json) should be excluded using ignore rules. Other files will
      * be ignored, and attempts will be made to build templates recursively
      * from sub directories.
      *
@@ -60,37 +343,67 @@ class TemplateBuilder {
                     return;
                 }
 
+                const ignoreReason = this._getIgnoreReason(file, fileRelPath, stats.isDirectory());
+                if (ignoreReason) {
+                    this._logger.info(`Ignoring: [${fileRelPath}] (${ignoreReason})`);
+                    resolve([]);
+                    return;
+                }
+
+                const cache = this._options.cache;
+                if (!stats.isDirectory() && cache && cache.hasOwnProperty(fileAbsPath)) {
+                    this._logger.debug(`Using cached templates: [${fileRelPath}]`);
+                    resolve(cache[fileAbsPath].slice());
+                    return;
+                }
+
                 if (stats.isDirectory()) {
                     this._logger.info(`Processing directory: [${fileRelPath}]`);
 
                     const childInfo = this._dirInfo.getChildDir(file);
-                    const childBuilder = new TemplateBuilder(childInfo, this._dataBag);
-                    return childBuilder.build().then(resolve);
+                    const childBuilder = new TemplateBuilder(childInfo, this._dataBag, this._options);
+                    childBuilder._ignoreRules = this._ignoreRules.slice();
+                    childBuilder._isChild = true;
+                    return childBuilder.build().then(resolve, reject);
 
                 } else if (pathComponents.ext === '.js') {
                     this._logger.info(`Processing file: [${fileRelPath}]`);
-                    let templates = require(fileAbsPath);
+                    Promise.try(() => {
+                        let templates = require(fileAbsPath);
 
-                    if (typeof templates === 'function') {
-                        this._logger.trace(`Invoking template generator function: [${fileRelPath}]`);
-                        templates = templates(this._dirInfo, this._dataBag);
-                    }
-
-                    if (templates === null || templates === undefined) {
-                        this._logger.warn(`No templates emitted by generator: [${fileRelPath}]`);
-                        templates = [];
-                    } else if (!(templates instanceof Array)) {
-                        templates = [templates];
-                    }
-
-                    this._logger.debug(`Templates loaded (file): [${fileRelPath}]`, {
-                        templates: templates.map((res) => res.key)
+                        if (typeof templates === 'function') {
+                            this._logger.trace(`Invoking template generator function: [${fileRelPath}]`);
+                            templates = templates(this._dirInfo, this._dataBag);
+                        }
+                        return templates;
+                    }).then((templates) => {
+                        resolve(this._processTemplates(templates, fileRelPath, fileAbsPath));
+                    }).catch((ex) => {
+                        this._logger.error(ex, `Error loading templates from file: [${fileRelPath}]`);
+                        reject(ex);
                     });
 
-                    resolve(templates);
+                } else if (SNIPPET_PARSERS.hasOwnProperty(pathComponents.ext)) {
+                    this._logger.info(`Processing snippet: [${fileRelPath}]`);
+                    _fs.readFile(fileAbsPath, 'utf8', (err, contents) => {
+                        if (err) {
+                            this._logger.error(err);
+                            reject(err);
+                            return;
+                        }
+                        Promise.try(() => {
+                            const snippet = SNIPPET_PARSERS[pathComponents.ext](contents);
+                            return _snippets.createTemplates(pathComponents.name, snippet);
+                        }).then((templates) => {
+                            resolve(this._processTemplates(templates, fileRelPath, fileAbsPath));
+                        }).catch((ex) => {
+                            this._logger.error(ex, `Error loading templates from snippet: [${fileRelPath}]`);
+                            reject(ex);
+                        });
+                    });
 
                 } else {
-                    this._logger.warn(`Ignoring: [${fileRelPath}]`);
+                    this._logger.warn(`Ignoring: [${fileRelPath}] (unsupported file type)`);
                     resolve([]);
                 }
             });
@@ -101,17 +414,49 @@ class TemplateBuilder {
     /**
      * Loads all templates in the current directory and sub directories.
      *
+     * Templates are returned in the order in which the directory entries were
+     * listed, which is sorted if the builder is in deterministic mode.
+     *
+     * If a profile is selected, its data bag is loaded from the profiles
+     * directory (or cf.config.js file) in the template root, and merged with
+     * the data bag of the builder before any templates are generated. Values
+     * in the builder's data bag take precedence over values defined by the
+     * profile. The name of the active profile is available to generators via
+     * the profile property of the directory info object.
+     *
+     * @param {Object} [options={}] Optional parameters for the build.
+     * @param {String} [options.profile=undefined] The name of the profile
+     *        to build with.
+     *
      * @return {Promise} A promise that will be rejected or resolved based on
      *         the outcome of the load operation. If resolved, the an array
      *         of templates will be provided to the success callback.
      */
-    build() {
+    build(options) {
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        const profile = options.profile;
+        if (profile !== undefined) {
+            if (typeof profile !== 'string' || profile.length <= 0) {
+                return Promise.reject(new Error('Invalid profile specified (options.profile)'));
+            }
+            return _profiles.load(this._dirInfo.absPath, profile).then((profileBag) => {
+                this._logger.info(`Building with profile: [${profile}]`);
+                const dirInfo = this._dirInfo.withProfile(profile);
+                const dataBag = _profiles.merge(profileBag, this._dataBag);
+                return new TemplateBuilder(dirInfo, dataBag, this._options).build();
+            });
+        }
+
         const path = this._dirInfo.relPath;
         this._logger.debug(`Loading files for: [${path}]`);
         const templateList = [];
-        const addtemplates = (templates) => {
-            templates.forEach((template) => {
-                templateList.push(template);
+        const addtemplates = (results) => {
+            results.forEach((templates) => {
+                templates.forEach((template) => {
+                    templateList.push(template);
+                });
             });
         };
         return new Promise((resolve, reject) => {
@@ -124,20 +469,27 @@ class TemplateBuilder {
                     return reject(err);
                 }
 
-                this._logger.trace(`Processing files in: [${path}]`);
-                const promises = [];
-                data.forEach((file) => {
-                    promises.push(this._generateTemplates(file)
-                        .then(addtemplates));
-
-                });
+                if (this._options.deterministic) {
+                    data.sort();
+                }
 
-                Promise.all(promises).then(() => {
+                this._loadIgnoreRules(data).then(() => {
+                    this._logger.trace(`Processing files in: [${path}]`);
+                    const promises = [];
+                    data.forEach((file) => {
+                        promises.push(this._generateTemplates(file));
+                    });
+                    return Promise.all(promises);
+                }).then((results) => {
+                    addtemplates(results);
+                    if (!this._isChild) {
+                        this._checkKeys(templateList);
+                    }
                     this._logger.info(`Templates loaded (dir): [${path}]`, {
                         templates: templateList.map((res) => res.key)
                     });
                     resolve(templateList);
-                }, (err) => {
+                }).catch((err) => {
                     this._logger.error(err, `One or more templates failed to generate`);
                     reject(err);
                 });
@@ -0,0 +1,376 @@
+'use strict';
+
+const _fs = require('fs');
+const _path = require('path');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird').Promise;
+const _loggerProvider = require('wysknd-log').loggerProvider;
+const DirInfo = require('./dir-info');
+const TemplateBuilder = require('./template-builder');
+const StackAssembler = require('./stack-assembler');
+const StackDiff = require('./stack-diff');
+const _profiles = require('./profiles');
+
+const DEFAULT_DELAY = 100;
+const NODE_MODULES_DIR = 'node_modules';
+
+/**
+ * Returns the absolute paths of a directory and all of its sub directories,
+ * excluding node_modules directories. Entries that are removed while the
+ * directory is being listed are skipped.
+ *
+ * @private
+ * @param {String} dirPath The absolute path of the directory.
+ *
+ * @return {Array} A list of directory paths.
+ */
+function _listDirectories(dirPath) {
+    let files;
+    try {
+        files = _fs.readdirSync(dirPath);
+    } catch (ex) {
+        if (ex.code === 'ENOENT') {
+            return [];
+        }
+        throw ex;
+    }
+    let dirs = [dirPath];
+    files.forEach((file) => {
+        if (file === NODE_MODULES_DIR) {
+            return;
+        }
+        const filePath = _path.join(dirPath, file);
+        let stats;
+        try {
+            stats = _fs.statSync(filePath);
+        } catch (ex) {
+            if (ex.code === 'ENOENT') {
+                return;
+            }
+            throw ex;
+        }
+        if (stats.isDirectory()) {
+            dirs = dirs.concat(_listDirectories(filePath));
+        }
+    });
+    return dirs;
+}
+
+/**
+ * Determines whether or not a path is the same as, or is contained within,
+ * a directory.
+ *
+ * @private
+ * @param {String} filePath The path to check.
+ * @param {String} dirPath The path of the directory.
+ *
+ * @return {Boolean} True if the path is within the directory.
+ */
+function _isWithin(filePath, dirPath) {
+    return filePath === dirPath || filePath.indexOf(`${dirPath}${_path.sep}`) === 0;
+}
+
+/**
+ * Class that watches a template tree for changes, and rebuilds the stack
+ * every time a file is added, changed or removed. Only the generators that
+ * are affected by a change are re-run. The templates loaded from all other
+ * files are reused from the previous build.
+ *
+ * When a file changes, the file and every module that (directly or
+ * indirectly) requires it are removed from the require cache, so that
+ * changes to helper modules are picked up by the generators that use them.
+ * Changes to profile configuration result in a full rebuild.
+ *
+ * The watcher emits the following events:
+ *  - build: Emitted after every successful build, with an object that
+ *    contains the assembled document (document), a diff against the
+ *    document from the previous build (diff), and the paths of the files
+ *    that triggered the build, relative to the template root (changes).
+ *  - error: Emitted if a build fails. The watcher continues watching for
+ *    changes, and the next change will trigger another build. Errors are
+ *    logged if no error listeners are registered.
+ */
+class TemplateWatcher extends EventEmitter {
+    /**
+     * @param {Object} dirInfo An object that contains information about the
+     *        root directory of the template tree.
+     * @param {Object} assembler The assembler used to generate the cloud
+     *        formation document from the templates.
+     * @param {Object} [options={}] Optional parameters for the watcher. All
+     *        options other than the ones listed below are passed on to the
+     *        template builder.
+     * @param {Object} [options.dataBag={}] The data bag passed to the
+     *        template generators.
+     * @param {String} [options.profile=undefined] The name of the profile
+     *        to build with.
+     * @param {Number} [options.delay=100] The number of milliseconds to wait
+     *        after a change before rebuilding, so that multiple changes made
+     *        in quick succession trigger a single build.
+     */
+    constructor(dirInfo, assembler, options) {
+        super();
+        if (!(dirInfo instanceof DirInfo)) {
+            throw new Error('Invalid directory info specified (arg #1)');
+        }
+        if (!(assembler instanceof StackAssembler)) {
+            throw new Error('Invalid assembler specified (arg #2)');
+        }
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        if (options.profile !== undefined && (typeof options.profile !== 'string' || options.profile.length <= 0)) {
+            throw new Error('Invalid profile specified (options.profile)');
+        }
+        if (options.delay !== undefined && (typeof options.delay !== 'number' || options.delay < 0)) {
+            throw new Error('Invalid delay specified (options.delay)');
+        }
+        this._logger = _loggerProvider.getLogger('template_watcher');
+        this._dirInfo = dirInfo;
+        this._assembler = assembler;
+        this._dataBag = options.dataBag;
+        this._profile = options.profile;
+        this._delay = (options.delay === undefined) ? DEFAULT_DELAY : options.delay;
+        this._cache = {};
+        this._builderOptions = Object.assign({}, options, {
+            cache: this._cache
+        });
+        delete this._builderOptions.dataBag;
+        delete this._builderOptions.profile;
+        delete this._builderOptions.delay;
+
+        this._document = undefined;
+        this._watchers = {};
+        this._changes = [];
+        this._timer = undefined;
+        this._building = false;
+    }
+
+    /**
+     * Gets the document generated by the most recent successful build.
+     *
+     * @return {Object} The cloud formation document, or undefined if no
+     *         build has completed.
+     */
+    get document() {
+        return this._document;
+    }
+
+    /**
+     * Determines whether or not the watcher is watching for changes.
+     *
+     * @return {Boolean} True if the watcher has been started.
+     */
+    get isWatching() {
+        return Object.keys(this._watchers).length > 0;
+    }
+
+    /**
+     * Starts or stops watching directories, so that every directory in the
+     * template tree has exactly one watcher. Watchers that report errors
+     * (for example, because the directory was removed) are closed and
+     * discarded.
+     *
+     * @private
+     */
+    _syncWatchers() {
+        const dirs = _listDirectories(this._dirInfo.absPath);
+        Object.keys(this._watchers).forEach((dir) => {
+            if (dirs.indexOf(dir) < 0) {
+                this._logger.debug(`Stopped watching directory: [${dir}]`);
+                this._watchers[dir].close();
+                delete this._watchers[dir];
+            }
+        });
+        dirs.forEach((dir) => {
+            if (!this._watchers.hasOwnProperty(dir)) {
+                this._logger.debug(`Watching directory: [${dir}]`);
+                const watcher = _fs.watch(dir, (event, file) => {
+                    this._onChange(file ? _path.join(dir, file) : dir);
+                });
+                watcher.on('error', (ex) => {
+                    this._logger.warn(ex, `Stopped watching directory: [${dir}]`);
+                    watcher.close();
+                    if (this._watchers[dir] === watcher) {
+                        delete this._watchers[dir];
+                    }
+                });
+                this._watchers[dir] = watcher;
+            }
+        });
+    }
+
+    /**
+     * Records a change to a file, and schedules a rebuild.
+     *
+     * @private
+     * @param {String} filePath The absolute path of the file that changed.
+     */
+    _onChange(filePath) {
+        this._logger.trace(`Change detected: [${filePath}]`);
+        if (this._changes.indexOf(filePath) < 0) {
+            this._changes.push(filePath);
+        }
+        if (this._timer) {
+            clearTimeout(this._timer);
+        }
+        this._timer = setTimeout(() => {
+            this._timer = undefined;
+            this._flush();
+        }, this._delay);
+    }
+
+    /**
+     * Rebuilds the stack using all changes recorded since the last build. If
+     * a build is already in progress, the rebuild is deferred until the
+     * current build completes.
+     *
+     * @private
+     */
+    _flush() {
+        if (this._building || !this.isWatching || this._changes.length <= 0) {
+            return;
+        }
+        const changes = this._changes;
+        this._changes = [];
+        this._invalidate(changes);
+        this._build(changes).catch(() => undefined).then(() => {
+            if (this.isWatching) {
+                this._syncWatchers();
+                this._flush();
+            }
+        }).catch((ex) => {
+            this._logger.error(ex, 'Error updating directory watchers');
+        });
+    }
+
+    /**
+     * Removes changed files, and every module that depends on them, from the
+     * require cache and from the template cache.
+     *
+     * @private
+     * @param {Array} changes The absolute paths of the files that changed.
+     */
+    _invalidate(changes) {
+        const rootPath = this._dirInfo.absPath;
+        const profilePaths = [
+            _path.join(rootPath, _profiles.CONFIG_FILE),
+            _path.join(rootPath, _profiles.PROFILES_DIR)
+        ];
+        let invalid = changes.slice();
+        if (changes.some((filePath) => profilePaths.some((profilePath) => _isWithin(filePath, profilePath)))) {
+            this._logger.info('Profile configuration changed. All templates will be reloaded');
+            invalid = [rootPath];
+        }
+
+        const parents = {};
+        Object.keys(require.cache).forEach((id) => {
+            require.cache[id].children.forEach((child) => {
+                parents[child.id] = (parents[child.id] || []).concat(id);
+            });
+        });
+        Object.keys(require.cache).forEach((id) => {
+            if (invalid.indexOf(id) < 0 && invalid.some((filePath) => _isWithin(id, filePath))) {
+                invalid.push(id);
+            }
+        });
+        for (let index = 0; index < invalid.length; index++) {
+            (parents[invalid[index]] || []).forEach((id) => {
+                if (_isWithin(id, rootPath) && invalid.indexOf(id) < 0) {
+                    invalid.push(id);
+                }
+            });
+        }
+
+        invalid.forEach((filePath) => {
+            Object.keys(require.cache).forEach((id) => {
+                if (_isWithin(id, filePath)) {
+                    this._logger.debug(`Removing module from require cache: [${id}]`);
+                    delete require.cache[id];
+                }
+            });
+            Object.keys(this._cache).forEach((id) => {
+                if (_isWithin(id, filePath)) {
+                    delete this._cache[id];
+                }
+            });
+        });
+    }
+
+    /**
+     * Builds and assembles the templates, emitting the result.
+     *
+     * @private
+     * @param {Array} changes The absolute paths of the files that triggered
+     *        the build.
+     *
+     * @return {Promise} A promise that will be resolved with the result of
+     *         the build, or rejected if the build fails.
+     */
+    _build(changes) {
+        this._building = true;
+        const builder = new TemplateBuilder(this._dirInfo, this._dataBag, this._builderOptions);
+        return Promise.try(() => {
+            return builder.build({
+                profile: this._profile
+            });
+        }).then((templates) => {
+            const document = this._assembler.assemble(templates);
+            const result = {
+                document: document,
+                diff: new StackDiff(this._document || {}, document),
+                changes: changes.map((filePath) => _path.relative(this._dirInfo.absPath, filePath))
+            };
+            this._document = document;
+            this._building = false;
+            this._logger.info(`Stack rebuilt: [${result.changes.join(', ')}]`);
+            this._logger.info(result.diff.toText());
+            this.emit('build', result);
+            return result;
+        }).catch((ex) => {
+            this._building = false;
+            this._logger.error(ex, 'Stack rebuild failed');
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', ex);
+            }
+            throw ex;
+        });
+    }
+
+    /**
+     * Builds the stack, and starts watching the template tree for changes.
+     *
+     * @return {Promise} A promise that will be resolved with the result of
+     *         the initial build (the same object that is emitted with the
+     *         build event), or rejected if the initial build fails. The
+     *         watcher is not started if the initial build fails.
+     */
+    start() {
+        if (this.isWatching) {
+            throw new Error('The watcher has already been started');
+        }
+        return this._build([]).then((result) => {
+            this._syncWatchers();
+            this._logger.info(`Watching for changes: [${this._dirInfo.absPath}]`);
+            return result;
+        });
+    }
+
+    /**
+     * Stops watching the template tree for changes. Pending changes are
+     * discarded.
+     */
+    stop() {
+        if (this._timer) {
+            clearTimeout(this._timer);
+            this._timer = undefined;
+        }
+        Object.keys(this._watchers).forEach((dir) => {
+            this._watchers[dir].close();
+        });
+        this._watchers = {};
+        this._changes = [];
+        this._logger.info(`Stopped watching for changes: [${this._dirInfo.absPath}]`);
+    }
+}
+
+module.exports = TemplateWatcher;
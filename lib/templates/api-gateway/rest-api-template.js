@@ -41,6 +41,35 @@ class RestApiTemplate extends Template {
 
         return this;
     }
+
+    /**
+     * Declares a stack output for the root url of the api, for a specific
+     * deployment stage.
+     *
+     * @param {String} name The logical name of the output.
+     * @param {String} stageName The name of the deployment stage.
+     * @param {Object} [options={}] Optional settings for the output. See
+     *        `Template.addOutput()` for more information.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addRootUrlOutput(name, stageName, options) {
+        if (typeof stageName !== 'string' || stageName.length <= 0) {
+            throw new Error('Invalid stage name specified (arg #2)');
+        }
+        return this.addOutput(name, {
+            'Fn::Join': ['', [
+                'https://', {
+                    Ref: this.key
+                },
+                '.execute-api.', {
+                    Ref: 'AWS::Region'
+                },
+                `.amazonaws.com/${stageName}`
+            ]]
+        }, options);
+    }
 }
 
 module.exports = RestApiTemplate;
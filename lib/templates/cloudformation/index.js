@@ -0,0 +1,13 @@
+'use strict';
+
+/**
+ * Entry point for cloud formation templates
+ */
+const index = {
+    /**
+     * Reference to the template abstraction for nested stacks
+     */
+    StackTemplate: require('./stack-template')
+};
+
+module.exports = index;
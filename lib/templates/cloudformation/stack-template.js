@@ -0,0 +1,108 @@
+'use strict';
+
+const Template = require('../template');
+
+/**
+ * Specialized template class for a nested cloud formation stack.
+ *
+ * @extends {Template}
+ */
+class StackTemplate extends Template {
+    /**
+     * @param {String} key A key that uniquely identifies the template
+     * @param {String} templateUrl The URL of the template (in S3) that
+     *        defines the nested stack
+     */
+    constructor(key, templateUrl) {
+        if (typeof templateUrl !== 'string' || templateUrl.length <= 0) {
+            throw new Error('Invalid template url specified (arg #2)');
+        }
+        super(key, 'AWS::CloudFormation::Stack', {
+            TemplateURL: templateUrl,
+            Parameters: undefined,
+            TimeoutInMinutes: undefined,
+            NotificationARNs: undefined
+        });
+    }
+
+    /**
+     * Sets the URL of the template that defines the nested stack.
+     *
+     * @param {String} templateUrl The template URL
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setTemplateUrl(templateUrl) {
+        if (typeof templateUrl !== 'string' || templateUrl.length <= 0) {
+            throw new Error('Invalid template url specified (arg #1)');
+        }
+
+        this.properties.TemplateURL = templateUrl;
+        return this;
+    }
+
+    /**
+     * Sets the value of a parameter that will be passed to the nested stack.
+     *
+     * @param {String} name The name of the parameter
+     * @param {String|Object} value The value of the parameter. This can be a
+     *        string, or a cloud formation expression (ex: { Ref: ... })
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setParameter(name, value) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid parameter name specified (arg #1). Must be alphanumeric.');
+        }
+        if (typeof value !== 'string' &&
+            (!value || (value instanceof Array) || typeof value !== 'object')) {
+            throw new Error('Invalid parameter value specified (arg #2)');
+        }
+
+        this._ensureProperty('Parameters', {});
+        this.properties.Parameters[name] = value;
+        return this;
+    }
+
+    /**
+     * Sets the length of time that cloud formation will wait for the nested
+     * stack to be created.
+     *
+     * @param {Number} timeout The timeout in minutes
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setTimeout(timeout) {
+        if (typeof timeout !== 'number' || timeout <= 0 || timeout % 1 !== 0) {
+            throw new Error('Invalid timeout specified (arg #1). Must be a positive integer');
+        }
+
+        this.properties.TimeoutInMinutes = timeout;
+        return this;
+    }
+
+    /**
+     * Adds an SNS topic to which stack related events will be published.
+     *
+     * @param {String|Object} topicArn The ARN of the SNS topic, or a cloud
+     *        formation expression that returns the ARN
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addNotificationArn(topicArn) {
+        if (typeof topicArn !== 'string' &&
+            (!topicArn || (topicArn instanceof Array) || typeof topicArn !== 'object')) {
+            throw new Error('Invalid topic arn specified (arg #1)');
+        }
+
+        this._ensureProperty('NotificationARNs', []);
+        this.properties.NotificationARNs.push(topicArn);
+        return this;
+    }
+}
+
+module.exports = StackTemplate;
@@ -136,6 +136,21 @@ class TableTemplate extends Template {
         return this;
     }
 
+    /**
+     * Declares a stack output for the ARN of the table's stream. A stream
+     * specification must be set on the table for this value to be available.
+     *
+     * @param {String} name The logical name of the output.
+     * @param {Object} [options={}] Optional settings for the output. See
+     *        `Template.addOutput()` for more information.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addStreamArnOutput(name, options) {
+        return this.addAttributeOutput(name, 'StreamArn', options);
+    }
+
     /**
      * Adds a local secondary index to the table.
      *
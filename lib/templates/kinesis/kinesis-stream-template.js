@@ -28,7 +28,8 @@ class StreamTemplate extends Template {
     }
 
     /**
-     * Adds tag to the kinesis stream.
+     * Adds tag to the kinesis stream. Tag values must be strings, and tags
+     * are otherwise handled in the same way as other templates.
      *
      * @param {name} tag name
      *
@@ -46,23 +47,8 @@ class StreamTemplate extends Template {
             throw new Error('Tag value (arg #2) is expected to be a string');
         }
 
-        let wasUpdated = false;
-        this.properties.Tags.forEach((tag) => {
-            if (tag.Name === name) {
-                tag.Value = value;
-                wasUpdated = true;
-            }
-        });
-        if (!wasUpdated) {
-            this.properties.Tags.push({
-                Name: name,
-                Value: value
-            });
-        }
-
-        return this;
+        return super.addTag(name, value);
     }
-
 }
 
-module.exports = StreamTemplate;
\ No newline at end of file
+module.exports = StreamTemplate;
@@ -17,14 +17,12 @@ class VpcTemplate extends Template {
             throw new Error('Invalid VPC Name specified (arg #2)');
         }
         super(key, 'AWS::EC2::VPC', {
-            Tags: [{
-                Name: vpcName
-            }],
             CidrBlock: '',
             EnableDnsSupport: true,
-            EnableHostnames: false,
+            EnableDnsHostnames: false,
             InstanceTenancy: 'default'
         });
+        this.addTag('Name', vpcName);
     }
 
     /**
@@ -76,7 +74,7 @@ class VpcTemplate extends Template {
      *         chain multiple calls.
      */
     enableHostnameSupport() {
-        this.properties.EnableHostnames = true;
+        this.properties.EnableDnsHostnames = true;
 
         return this;
     }
@@ -88,7 +86,7 @@ class VpcTemplate extends Template {
      *         chain multiple calls.
      */
     disableHostnameSupport() {
-        this.properties.EnableHostnames = false;
+        this.properties.EnableDnsHostnames = false;
 
         return this;
     }
@@ -5,6 +5,88 @@ const _clone = require('clone');
 const _camelCase = require('camelcase');
 
 const _loggerProvider = require('wysknd-log').loggerProvider;
+const _tokens = require('../tokens');
+const _tagging = require('../tagging');
+
+const TOKEN_DELIMITER = '<%  %>';
+const TOKEN_PATTERN = /<% ([^<% >]+) %>/g;
+const INTRINSIC_TOKEN_PATTERN = /<% (param|map):([^<% >]+) %>/g;
+
+const RESOURCE_ATTRIBUTES = ['DeletionPolicy', 'UpdateReplacePolicy', 'CreationPolicy', 'UpdatePolicy', 'Metadata'];
+const DELETION_POLICIES = ['Delete', 'Retain', 'Snapshot'];
+const SNAPSHOT_TYPES = [
+    'AWS::EC2::Volume', 'AWS::ElastiCache::CacheCluster',
+    'AWS::ElastiCache::ReplicationGroup', 'AWS::Neptune::DBCluster',
+    'AWS::RDS::DBCluster', 'AWS::RDS::DBInstance', 'AWS::Redshift::Cluster'
+];
+const CREATION_POLICY_TYPES = [
+    'AWS::AutoScaling::AutoScalingGroup', 'AWS::EC2::Instance',
+    'AWS::CloudFormation::WaitCondition', 'AWS::AppStream::Fleet'
+];
+const CREATION_POLICY_KEYS = ['AutoScalingCreationPolicy', 'ResourceSignal', 'StartFleet'];
+const UPDATE_POLICY_KEYS = [
+    'AutoScalingReplacingUpdate', 'AutoScalingRollingUpdate',
+    'AutoScalingScheduledAction', 'CodeDeployLambdaAliasUpdate',
+    'EnableVersionUpgrade', 'UseOnlineResharding'
+];
+
+/**
+ * Returns a list of tokens within a string that cannot be resolved using the
+ * specified data bag. Tokens that resolve to undefined, null or empty values
+ * are also treated as unresolved.
+ *
+ * @private
+ * @param {String} value The string to inspect.
+ * @param {Object} data A databag containing token replacements.
+ *
+ * @return {Array} An array of unresolved token names.
+ */
+function _findUnresolvedTokens(value, data) {
+    const tokens = [];
+    const pattern = new RegExp(TOKEN_PATTERN.source, 'g');
+    let match = pattern.exec(value);
+    while (match) {
+        const token = match[1];
+        let resolved = data[token];
+        if (!(token in data)) {
+            resolved = token.split('.').reduce((prev, cur) => {
+                return (prev && typeof prev === 'object') ? prev[cur] : undefined;
+            }, data);
+        }
+        if (resolved === undefined || resolved === null || resolved === '') {
+            tokens.push(token);
+        }
+        match = pattern.exec(value);
+    }
+    return tokens;
+}
+
+/**
+ * Recursively inspects a value, and adds the names of all stack parameters
+ * referenced using parameter tokens (<% param:Name %>) to the specified list.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ * @param {Array} names The list to which parameter names will be added.
+ */
+function _findParameterReferences(value, names) {
+    if (typeof value === 'string') {
+        const pattern = new RegExp(INTRINSIC_TOKEN_PATTERN.source, 'g');
+        let match = pattern.exec(value);
+        while (match) {
+            if (match[1] === 'param' && names.indexOf(match[2]) < 0) {
+                names.push(match[2]);
+            }
+            match = pattern.exec(value);
+        }
+    } else if (value instanceof Array) {
+        value.forEach((item) => _findParameterReferences(item, names));
+    } else if (value && typeof value === 'object') {
+        for (let prop in value) {
+            _findParameterReferences(value[prop], names);
+        }
+    }
+}
 
 /**
  * Template class for a cloud formation template.
@@ -43,6 +125,50 @@ class Template {
         this._dependencies = [];
         this._properties = _clone(props);
         this._exports = _clone(exports);
+        this._outputs = [];
+        this._condition = undefined;
+        this._attributes = {};
+        this._tags = {};
+        this._source = undefined;
+        this._level = undefined;
+    }
+
+    /**
+     * Validates and sets a policy attribute (DeletionPolicy or
+     * UpdateReplacePolicy) on the template.
+     *
+     * @private
+     * @param {String} attribute The name of the attribute.
+     * @param {String} policy The policy value.
+     */
+    _setRemovalPolicy(attribute, policy) {
+        if (DELETION_POLICIES.indexOf(policy) < 0) {
+            throw new Error(`Invalid policy specified (arg #1). Must be one of: [${DELETION_POLICIES}]`);
+        }
+        if (policy === 'Snapshot' && SNAPSHOT_TYPES.indexOf(this._resourceType) < 0) {
+            throw new Error(`Snapshot policy is not supported for resource type: [${this._resourceType}]`);
+        }
+        this._attributes[attribute] = policy;
+    }
+
+    /**
+     * Validates that the specified policy object only contains keys from a
+     * list of allowed keys.
+     *
+     * @private
+     * @param {Object} policy The policy object to check.
+     * @param {Array} allowedKeys The list of allowed keys.
+     */
+    _checkPolicyKeys(policy, allowedKeys) {
+        if (!policy || (policy instanceof Array) || typeof policy !== 'object' ||
+            Object.keys(policy).length <= 0) {
+            throw new Error('Invalid policy specified (arg #1)');
+        }
+        for (let key in policy) {
+            if (allowedKeys.indexOf(key) < 0) {
+                throw new Error(`Invalid policy key specified: [${key}]. Must be one of: [${allowedKeys}]`);
+            }
+        }
     }
 
     /**
@@ -82,24 +208,89 @@ class Template {
     }
 
 
+    /**
+     * Replaces tokens within a string value with matching values from the
+     * data bag. Parameter tokens (<% param:Name %>) and map lookup tokens
+     * (<% map:... %>) are converted into the equivalent intrinsic functions.
+     * If the string contains other text in addition to these tokens, the
+     * result will be a Fn::Join expression.
+     *
+     * @private
+     * @param {String} value The string value to parse.
+     * @param {Object} data A databag containing token replacements.
+     * @param {String} path The path of the property within the template.
+     * @param {Array} [unresolvedTokens=undefined] An optional array that will
+     *        be populated with records for tokens that could not be resolved.
+     *
+     * @return {String|Object} The finalized value.
+     */
+    _finalizeString(value, data, path, unresolvedTokens) {
+        const interpolate = (text) => {
+            if (unresolvedTokens instanceof Array) {
+                _findUnresolvedTokens(text, data).forEach((token) => {
+                    unresolvedTokens.push({
+                        key: this._key,
+                        path: path,
+                        token: token
+                    });
+                });
+            }
+            return _interpolate(text, data, {
+                delimiter: TOKEN_DELIMITER
+            });
+        };
+
+        const parts = [];
+        const pattern = new RegExp(INTRINSIC_TOKEN_PATTERN.source, 'g');
+        let lastIndex = 0;
+        let match = pattern.exec(value);
+        while (match) {
+            if (match.index > lastIndex) {
+                parts.push(interpolate(value.substring(lastIndex, match.index)));
+            }
+            parts.push(_tokens.toIntrinsic(match[1], match[2]));
+            lastIndex = pattern.lastIndex;
+            match = pattern.exec(value);
+        }
+
+        if (parts.length === 0) {
+            return interpolate(value);
+        }
+        if (lastIndex < value.length) {
+            parts.push(interpolate(value.substring(lastIndex)));
+        }
+        if (parts.length === 1) {
+            return parts[0];
+        }
+        return {
+            'Fn::Join': ['', parts]
+        };
+    }
+
     /**
      * Recursively parses properties, replacing tokens within string properties
      * with matching values from the data bag.
      *
      * @param {Object|String} value The value of the property to parse
      * @param {Object} data A databag containing token replacements.
+     * @param {String} [path=''] The path of the property within the template,
+     *        used when reporting unresolved tokens.
+     * @param {Array} [unresolvedTokens=undefined] An optional array that will
+     *        be populated with records for tokens that could not be resolved.
      */
-    _finalizeProperty(value, data) {
+    _finalizeProperty(value, data, path, unresolvedTokens) {
+        path = path || '';
         if (typeof value === 'string') {
-            return _interpolate(value, data, {
-                delimiter: '<%  %>'
-            });
+            return this._finalizeString(value, data, path, unresolvedTokens);
         } else if (value instanceof Array) {
-            return value.map((item) => this._finalizeProperty(item, data));
+            return value.map((item, index) => {
+                return this._finalizeProperty(item, data, `${path}[${index}]`, unresolvedTokens);
+            });
         } else if (value && typeof value === 'object') {
             const result = {};
             for (let prop in value) {
-                result[prop] = this._finalizeProperty(value[prop], data);
+                const propPath = path ? `${path}.${prop}` : prop;
+                result[prop] = this._finalizeProperty(value[prop], data, propPath, unresolvedTokens);
             }
             return result;
         } else {
@@ -152,32 +343,371 @@ class Template {
         return this._exports;
     }
 
+    /**
+     * Returns the names of all stack parameters referenced by this template
+     * using parameter tokens (<% param:Name %>).
+     *
+     * @return {Array} A list of parameter names.
+     */
+    get parameterReferences() {
+        const names = [];
+        _findParameterReferences(this._properties, names);
+        _findParameterReferences(this._dependencies, names);
+        _findParameterReferences(this._outputs, names);
+        _findParameterReferences(this._attributes, names);
+        _findParameterReferences(this._tags, names);
+        return names;
+    }
+
+    /**
+     * Returns the name of the condition that determines whether or not the
+     * resource represented by this template is created.
+     *
+     * @return {String} The condition name, or undefined if the resource is
+     *         not conditional.
+     */
+    get condition() {
+        return this._condition;
+    }
+
+    /**
+     * Returns a map of the resource level attributes (DeletionPolicy,
+     * UpdateReplacePolicy, CreationPolicy, UpdatePolicy and Metadata) that
+     * have been set on this template.
+     *
+     * @return {Object} The resource attribute map.
+     */
+    get attributes() {
+        return this._attributes;
+    }
+
+    /**
+     * Returns a map of the tags that have been added to this template.
+     *
+     * @return {Object} A map of tag keys to values.
+     */
+    get tags() {
+        return this._tags;
+    }
+
+    /**
+     * Returns the list of stack outputs declared by this template.
+     *
+     * @return {Array} The list of outputs.
+     */
+    get outputs() {
+        return this._outputs;
+    }
+
+    /**
+     * Returns the path of the file that emitted this template, relative to
+     * the template root. This value is set by the template builder when the
+     * template is loaded.
+     *
+     * @return {String} The relative path of the source file, or undefined if
+     *         the template was not loaded by a template builder.
+     */
+    get source() {
+        return this._source;
+    }
+
+    /**
+     * Returns the level of the directory that contains the file that emitted
+     * this template, with a level of 1 indicating the template root (see
+     * DirInfo.level).
+     *
+     * @return {Number} The directory level of the source file, or undefined
+     *         if the level is not known.
+     */
+    get level() {
+        return this._level;
+    }
+
     /**
      * Generates a template by recursively traversing all properties
      * added to the current template, and replacing tokens as necessary.
      *
      * @param {Object} dataBag A hash containing data that can be injected
      *        into placeholders within the tokens.
+     * @param {Array} [unresolvedTokens=undefined] An optional array that, if
+     *        specified, will be populated with a record (key, path and token)
+     *        for every token that could not be resolved using the data bag.
      *
      * @return {Object} An object that represents the template markup
      */
-    finalize(data) {
+    finalize(data, unresolvedTokens) {
         if (!data || (data instanceof Array) || typeof data !== 'object') {
             data = {};
         }
         const result = {
-            Type: this._resourceType,
-            Properties: {},
-            DependsOn: this._finalizeProperty(this._dependencies, data)
+            Type: this._resourceType
         };
+        if (this._condition !== undefined) {
+            result.Condition = this._condition;
+        }
+        RESOURCE_ATTRIBUTES.forEach((attribute) => {
+            const value = this._attributes[attribute];
+            if (value !== undefined) {
+                result[attribute] = this._finalizeProperty(value, data, attribute, unresolvedTokens);
+            }
+        });
+        result.Properties = {};
+        result.DependsOn = this._finalizeProperty(this._dependencies, data, 'DependsOn', unresolvedTokens);
         for (let prop in this._properties) {
             let propValue = this._properties[prop];
-            result.Properties[prop] = this._finalizeProperty(propValue, data);
+            result.Properties[prop] = this._finalizeProperty(propValue, data, `Properties.${prop}`, unresolvedTokens);
+        }
+        if (Object.keys(this._tags).length > 0) {
+            const tags = this._finalizeProperty(this._tags, data, 'Properties.Tags', unresolvedTokens);
+            const format = _tagging.getTagFormat(this._resourceType);
+            result.Properties.Tags = _tagging.mergeTags(result.Properties.Tags, tags, format);
         }
 
         return result;
     }
 
+    /**
+     * Generates the stack outputs declared by this template, replacing tokens
+     * as necessary.
+     *
+     * @param {Object} dataBag A hash containing data that can be injected
+     *        into placeholders within the tokens.
+     * @param {Array} [unresolvedTokens=undefined] An optional array that, if
+     *        specified, will be populated with a record for every token that
+     *        could not be resolved using the data bag.
+     *
+     * @return {Object} A map of output names to output declarations.
+     */
+    finalizeOutputs(data, unresolvedTokens) {
+        if (!data || (data instanceof Array) || typeof data !== 'object') {
+            data = {};
+        }
+        const result = {};
+        this._outputs.forEach((output) => {
+            const path = `Outputs.${output.name}`;
+            const declaration = {};
+            if (output.description !== undefined) {
+                declaration.Description = this._finalizeProperty(output.description, data, `${path}.Description`, unresolvedTokens);
+            }
+            declaration.Value = this._finalizeProperty(output.value, data, `${path}.Value`, unresolvedTokens);
+            if (output.exportName !== undefined) {
+                declaration.Export = {
+                    Name: this._finalizeProperty(output.exportName, data, `${path}.Export.Name`, unresolvedTokens)
+                };
+            }
+            result[output.name] = declaration;
+        });
+
+        return result;
+    }
+
+    /**
+     * Declares a stack output for the current template. Outputs can optionally
+     * be exported, allowing other stacks to import them using Fn::ImportValue.
+     *
+     * @param {String} name The logical name of the output. Must be
+     *        alphanumeric.
+     * @param {Object|String} value The value of the output. This may be a
+     *        string, or a cloud formation expression (ex: Ref, Fn::GetAtt).
+     *        Tokens within the value will be replaced when the template is
+     *        finalized.
+     * @param {Object} [options={}] Optional settings for the output.
+     * @param {String|Object} [options.exportName=undefined] The name under
+     *        which the output will be exported.
+     * @param {String} [options.description=undefined] A description of the
+     *        output.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addOutput(name, value, options) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid output name specified (arg #1). Must be alphanumeric.');
+        }
+        if (value === undefined || value === null) {
+            throw new Error('Invalid value specified (arg #2)');
+        }
+        if (!options || (options instanceof Array) || typeof options !== 'object') {
+            options = {};
+        }
+        const exportName = options.exportName;
+        if (exportName !== undefined && (!exportName || (typeof exportName !== 'string' && typeof exportName !== 'object'))) {
+            throw new Error('Invalid export name specified (options.exportName)');
+        }
+        if (options.description !== undefined && typeof options.description !== 'string') {
+            throw new Error('Invalid description specified (options.description)');
+        }
+        const existingOutput = this._outputs.find((output) => output.name === name);
+        if (existingOutput !== undefined) {
+            throw new Error(`An output with name [${name}] has already been defined`);
+        }
+
+        this._outputs.push({
+            name: name,
+            value: value,
+            exportName: exportName,
+            description: options.description
+        });
+
+        return this;
+    }
+
+    /**
+     * Declares a stack output whose value is a reference (Ref) to the
+     * current template.
+     *
+     * @param {String} name The logical name of the output.
+     * @param {Object} [options={}] Optional settings for the output. See
+     *        `addOutput()` for more information.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addRefOutput(name, options) {
+        return this.addOutput(name, {
+            Ref: this._key
+        }, options);
+    }
+
+    /**
+     * Declares a stack output whose value is an attribute (Fn::GetAtt) of the
+     * current template.
+     *
+     * @param {String} name The logical name of the output.
+     * @param {String} attribute The name of the attribute.
+     * @param {Object} [options={}] Optional settings for the output. See
+     *        `addOutput()` for more information.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addAttributeOutput(name, attribute, options) {
+        if (typeof attribute !== 'string' || attribute.length <= 0) {
+            throw new Error('Invalid attribute specified (arg #2)');
+        }
+        return this.addOutput(name, {
+            'Fn::GetAtt': [this._key, attribute]
+        }, options);
+    }
+
+    /**
+     * Associates a stack condition with the template. The resource will only
+     * be created if the condition evaluates to true.
+     *
+     * @param {String} name The name of a condition declared on the stack.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCondition(name) {
+        if (typeof name !== 'string' || name.length <= 0) {
+            throw new Error('Invalid condition name specified (arg #1)');
+        }
+        this._condition = name;
+
+        return this;
+    }
+
+    /**
+     * Sets the policy that determines what happens to the resource when it is
+     * removed from the stack, or when the stack is deleted.
+     *
+     * @param {String} policy The deletion policy - Delete, Retain or Snapshot.
+     *        Snapshots are only supported by a limited set of resource types.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setDeletionPolicy(policy) {
+        this._setRemovalPolicy('DeletionPolicy', policy);
+
+        return this;
+    }
+
+    /**
+     * Sets the policy that determines what happens to the existing resource
+     * when it is replaced during a stack update.
+     *
+     * @param {String} policy The update replace policy - Delete, Retain or
+     *        Snapshot. Snapshots are only supported by a limited set of
+     *        resource types.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setUpdateReplacePolicy(policy) {
+        this._setRemovalPolicy('UpdateReplacePolicy', policy);
+
+        return this;
+    }
+
+    /**
+     * Sets the creation policy of the resource, which prevents the resource
+     * from reaching create complete until signals are received or a timeout
+     * is exceeded. Only supported for auto scaling groups, EC2 instances,
+     * wait conditions and AppStream fleets.
+     *
+     * @param {Object} policy The creation policy. Allowed keys are
+     *        AutoScalingCreationPolicy, ResourceSignal and StartFleet.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setCreationPolicy(policy) {
+        if (CREATION_POLICY_TYPES.indexOf(this._resourceType) < 0) {
+            throw new Error(`Creation policy is not supported for resource type: [${this._resourceType}]`);
+        }
+        this._checkPolicyKeys(policy, CREATION_POLICY_KEYS);
+        this._attributes.CreationPolicy = policy;
+
+        return this;
+    }
+
+    /**
+     * Sets the update policy of the resource, which determines how cloud
+     * formation handles updates to the resource.
+     *
+     * @param {Object} policy The update policy. Allowed keys are
+     *        AutoScalingReplacingUpdate, AutoScalingRollingUpdate,
+     *        AutoScalingScheduledAction, CodeDeployLambdaAliasUpdate,
+     *        EnableVersionUpgrade and UseOnlineResharding.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setUpdatePolicy(policy) {
+        this._checkPolicyKeys(policy, UPDATE_POLICY_KEYS);
+        this._attributes.UpdatePolicy = policy;
+
+        return this;
+    }
+
+    /**
+     * Sets a metadata value on the resource. Metadata values are emitted as a
+     * part of the resource's metadata section, and may contain tokens.
+     *
+     * @param {String} key The metadata key.
+     * @param {*} value The metadata value. A value of undefined will remove
+     *        the key from the metadata.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setMetadata(key, value) {
+        if (typeof key !== 'string' || key.length <= 0) {
+            throw new Error('Invalid metadata key specified (arg #1)');
+        }
+        const metadata = this._attributes.Metadata || {};
+        if (value === undefined) {
+            delete metadata[key];
+        } else {
+            metadata[key] = value;
+        }
+        this._attributes.Metadata = (Object.keys(metadata).length > 0) ? metadata : undefined;
+
+        return this;
+    }
+
     /**
      * Adds a dependency for the current template.
      *
@@ -196,6 +726,71 @@ class Template {
         return this;
     }
 
+    /**
+     * Adds a tag to the resource represented by this template. Tags are
+     * emitted using the format expected by the resource type, which is a
+     * list of Key/Value pairs for most resources, and a map of keys to
+     * values for some. Tags that are declared directly using the Tags
+     * property take precedence over tags added using this method. An error
+     * will be thrown if the resource type is not known to support tags.
+     * Formats for such types can be registered using
+     * tagging.setTagFormat().
+     *
+     * @param {String} key The tag key.
+     * @param {String|Object} value The tag value. This can be a string that
+     *        contains tokens, or a cloud formation expression.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    addTag(key, value) {
+        _tagging.checkTag(key, value);
+        if (!_tagging.getTagFormat(this._resourceType)) {
+            throw new Error(`Resource type does not support tags: [${this._resourceType}]. Use tagging.setTagFormat() to register a tag format for the type`);
+        }
+
+        this._tags[key] = value;
+        return this;
+    }
+
+    /**
+     * Creates a deep copy of this template. The copy is an instance of the
+     * same class, and can be modified without affecting this template.
+     *
+     * @return {Object} The copy of the template.
+     */
+    clone() {
+        const copy = Object.create(Object.getPrototypeOf(this));
+        Object.keys(this).forEach((prop) => {
+            copy[prop] = (prop === '_logger') ? this._logger : _clone(this[prop]);
+        });
+        return copy;
+    }
+
+    /**
+     * Sets the path of the file that emitted this template, relative to the
+     * template root.
+     *
+     * @param {String} source The relative path of the source file.
+     * @param {Number} [level=undefined] The level of the directory that
+     *        contains the source file.
+     *
+     * @return {Object} A reference to the template. Can be used to
+     *         chain multiple calls.
+     */
+    setSource(source, level) {
+        if (typeof source !== 'string' || source.length <= 0) {
+            throw new Error('Invalid source specified (arg #1)');
+        }
+        if (level !== undefined && (typeof level !== 'number' || level < 1 || Math.floor(level) !== level)) {
+            throw new Error('Invalid level specified (arg #2)');
+        }
+
+        this._source = source;
+        this._level = level;
+        return this;
+    }
+
     /**
      * Debugging function that dumps the current properties of the template.
      *
@@ -0,0 +1,117 @@
+'use strict';
+
+const _fn = require('./fn');
+
+const MAP_KEY_SEPARATOR = '|';
+const REF_PREFIX = 'ref:';
+
+/**
+ * Converts a mapping key into its token representation. Keys may be literal
+ * strings, or references to parameters/pseudo parameters.
+ *
+ * @private
+ * @param {String|Object} key The key to convert.
+ * @param {Number} argIndex The index of the argument, used when reporting
+ *        errors.
+ *
+ * @return {String} The token representation of the key.
+ */
+function _encodeMapKey(key, argIndex) {
+    if (key && typeof key === 'object' && !(key instanceof Array) &&
+        Object.keys(key).length === 1 && typeof key.Ref === 'string') {
+        key = `${REF_PREFIX}${key.Ref}`;
+    }
+    if (typeof key !== 'string' || !key.match(/^[^<% >|]+$/)) {
+        throw new Error(`Invalid map key specified (arg #${argIndex}). Must be a string without spaces, or a Ref object`);
+    }
+    return key;
+}
+
+/**
+ * Converts the token representation of a mapping key back into a value that
+ * can be used within a Fn::FindInMap expression.
+ *
+ * @private
+ * @param {String} key The token representation of the key.
+ *
+ * @return {String|Object} The mapping key.
+ */
+function _decodeMapKey(key) {
+    if (key.indexOf(REF_PREFIX) === 0) {
+        return _fn.ref(key.substring(REF_PREFIX.length));
+    }
+    return key;
+}
+
+/**
+ * A module that generates special tokens that can be passed to any template
+ * setter that accepts strings. These tokens are converted into cloud
+ * formation intrinsic functions when the template is finalized.
+ */
+const tokens = {
+
+    /**
+     * Generates a token that references a stack parameter. The token will be
+     * converted into a Ref to the parameter when the template is finalized.
+     *
+     * @param {String} name The name of the parameter.
+     *
+     * @return {String} The parameter token.
+     */
+    parameter: function(name) {
+        if (typeof name !== 'string' || !name.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid parameter name specified (arg #1). Must be alphanumeric.');
+        }
+        return `<% param:${name} %>`;
+    },
+
+    /**
+     * Generates a token that looks up a value from a stack mapping. The token
+     * will be converted into a Fn::FindInMap expression when the template is
+     * finalized.
+     *
+     * @param {String} mapName The name of the mapping.
+     * @param {String|Object} topKey The top level key. This can be a literal
+     *        string, or a Ref object (ex: { Ref: 'AWS::Region' }).
+     * @param {String|Object} secondKey The second level key. This can be a
+     *        literal string, or a Ref object.
+     *
+     * @return {String} The map lookup token.
+     */
+    findInMap: function(mapName, topKey, secondKey) {
+        if (typeof mapName !== 'string' || !mapName.match(/^[a-zA-Z0-9]+$/)) {
+            throw new Error('Invalid map name specified (arg #1). Must be alphanumeric.');
+        }
+        const keys = [
+            mapName,
+            _encodeMapKey(topKey, 2),
+            _encodeMapKey(secondKey, 3)
+        ];
+        return `<% map:${keys.join(MAP_KEY_SEPARATOR)} %>`;
+    },
+
+    /**
+     * Converts the body of a special token into the equivalent cloud
+     * formation intrinsic function. This method is used by templates during
+     * finalization.
+     *
+     * @param {String} type The type of the token (param or map).
+     * @param {String} body The body of the token, excluding the type prefix.
+     *
+     * @return {Object} The cloud formation intrinsic function.
+     */
+    toIntrinsic: function(type, body) {
+        if (type === 'param') {
+            return _fn.ref(body);
+        } else if (type === 'map') {
+            const keys = body.split(MAP_KEY_SEPARATOR);
+            if (keys.length !== 3) {
+                throw new Error(`Malformed map token: [${body}]`);
+            }
+            return _fn.findInMap(keys[0], _decodeMapKey(keys[1]), _decodeMapKey(keys[2]));
+        }
+        throw new Error(`Unsupported token type: [${type}]`);
+    }
+};
+
+module.exports = tokens;
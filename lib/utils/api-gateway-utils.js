@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 /**
  * A module that exposes utility methods related to api gateway
  */
@@ -22,20 +24,15 @@ const apiGatewayUtils = {
         if (typeof suffix !== 'string') {
             suffix = '${stageVariables.stack}';
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:apigateway:', {
-                    'Ref': 'AWS::Region'
-                },
-                ':lambda:path/2015-03-31/functions/arn:aws:lambda:', {
-                    'Ref': 'AWS::Region'
-                },
-                ':', {
-                    'Ref': 'AWS::AccountId'
-                },
-                `:function:${lambdaFunction}${suffix}/invocations`
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:apigateway:',
+            _fn.ref('AWS::Region'),
+            ':lambda:path/2015-03-31/functions/arn:aws:lambda:',
+            _fn.ref('AWS::Region'),
+            ':',
+            _fn.ref('AWS::AccountId'),
+            `:function:${lambdaFunction}${suffix}/invocations`
+        ]);
     },
 
     /**
@@ -52,14 +49,11 @@ const apiGatewayUtils = {
         if (typeof s3Path !== 'string' || s3Path.length <= 0) {
             throw new Error('Invalid s3 path specified (arg #1)');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:apigateway:', {
-                    'Ref': 'AWS::Region'
-                },
-                `:s3:path/${s3Path}`
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:apigateway:',
+            _fn.ref('AWS::Region'),
+            `:s3:path/${s3Path}`
+        ]);
     }
 };
 
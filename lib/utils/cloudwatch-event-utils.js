@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 /**
  * A module that exposes utility methods related to cloudwatch events.
  */
@@ -16,17 +18,13 @@ const cloudwatchEventUtils = {
         if (typeof ruleName !== 'string' || ruleName.length <= 0) {
             throw new Error('Invalid rule name specified (arg #1)');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:events:', {
-                    'Ref': 'AWS::Region'
-                },
-                ':', {
-                    'Ref': 'AWS::AccountId'
-                },
-                `:rule/${ruleName}`
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:events:',
+            _fn.ref('AWS::Region'),
+            ':',
+            _fn.ref('AWS::AccountId'),
+            `:rule/${ruleName}`
+        ]);
     }
 };
 
@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 /**
  * A module that exposes utility methods related to AWS cognito
  */
@@ -16,17 +18,13 @@ const cognitoUtils = {
         if (typeof userPoolId !== 'string' || userPoolId.length <= 0) {
             throw new Error('Invalid user pool id specified (arg #1)');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:cognito-idp:', {
-                    'Ref': 'AWS::Region'
-                },
-                ':', {
-                    'Ref': 'AWS::AccountId'
-                },
-                `:userpool/${userPoolId}`
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:cognito-idp:',
+            _fn.ref('AWS::Region'),
+            ':',
+            _fn.ref('AWS::AccountId'),
+            `:userpool/${userPoolId}`
+        ]);
     }
 };
 
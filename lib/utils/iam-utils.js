@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 /**
  * A module that exposes utility methods related to IAM objects.
  */
@@ -8,7 +10,8 @@ const iamUtils = {
     /**
      * Gets an IAM role URI based on the role name. If the role value is
      * prefixed with "$REGION", the generated role name will be prefixed
-     * with the current region.
+     * with the current region. Role names that vary by region can also be
+     * specified using a map lookup token (see `tokens.findInMap()`).
      *
      * @param {String} role The name of the role.
      *
@@ -23,21 +26,16 @@ const iamUtils = {
         let regionToken = '';
         let roleName = role;
         if (role.indexOf('$REGION') >= 0) {
-            regionToken = {
-                Ref: 'AWS::Region'
-            };
+            regionToken = _fn.ref('AWS::Region');
             roleName = role.replace('$REGION', '');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:iam::', {
-                    Ref: 'AWS::AccountId'
-                },
-                ':role/',
-                regionToken,
-                roleName
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:iam::',
+            _fn.ref('AWS::AccountId'),
+            ':role/',
+            regionToken,
+            roleName
+        ]);
     },
 
     /**
@@ -66,15 +64,12 @@ const iamUtils = {
         if (typeof policyName !== 'string' || policyName.length <= 0) {
             throw new Error('Invalid policy name specified (arg #1)');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:iam::', {
-                    Ref: 'AWS::AccountId'
-                },
-                ':policy/',
-                policyName
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:iam::',
+            _fn.ref('AWS::AccountId'),
+            ':policy/',
+            policyName
+        ]);
     },
 
     /**
@@ -89,15 +84,12 @@ const iamUtils = {
         if (typeof username !== 'string' || username.length <= 0) {
             throw new Error('Invalid username specified (arg #1)');
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:iam::', {
-                    Ref: 'AWS::AccountId'
-                },
-                ':',
-                username
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:iam::',
+            _fn.ref('AWS::AccountId'),
+            ':',
+            username
+        ]);
     }
 };
 
@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 /**
  * A module that exposes utility methods related to lambda functions.
  */
@@ -23,17 +25,13 @@ const lambdaUtils = {
         } else {
             alias = `:${alias}`;
         }
-        return {
-            'Fn::Join': ['', [
-                'arn:aws:lambda:', {
-                    'Ref': 'AWS::Region'
-                },
-                ':', {
-                    'Ref': 'AWS::AccountId'
-                },
-                `:function:${lambdaFunction}${alias}`
-            ]]
-        };
+        return _fn.join('', [
+            'arn:aws:lambda:',
+            _fn.ref('AWS::Region'),
+            ':',
+            _fn.ref('AWS::AccountId'),
+            `:function:${lambdaFunction}${alias}`
+        ]);
     }
 };
 
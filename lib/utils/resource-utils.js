@@ -1,5 +1,7 @@
 'use strict';
 
+const _fn = require('../fn');
+
 const DirInfo = require('../dir-info');
 
 /**
@@ -27,9 +29,7 @@ const resourceUtils = {
             apiId = 'DEFAULT_API';
         }
 
-        return {
-            Ref: `<% ${dirInfo.getRootToken(apiId)} %>`
-        };
+        return _fn.ref(`<% ${dirInfo.getRootToken(apiId)} %>`);
     }
 };
 
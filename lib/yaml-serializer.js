@@ -0,0 +1,276 @@
+'use strict';
+
+const _yaml = require('js-yaml');
+
+const INDENT = '  ';
+const FUNCTION_NAMES = [
+    'Ref', 'Condition', 'Fn::GetAtt', 'Fn::Sub', 'Fn::Join', 'Fn::Select',
+    'Fn::Split', 'Fn::ImportValue', 'Fn::Base64', 'Fn::GetAZs', 'Fn::Cidr',
+    'Fn::FindInMap', 'Fn::If', 'Fn::Equals', 'Fn::And', 'Fn::Or', 'Fn::Not'
+];
+const RESERVED_WORDS = [
+    'true', 'false', 'yes', 'no', 'on', 'off', 'y', 'n', 'null', '~', '<<'
+];
+
+/**
+ * Returns the short form tag for an intrinsic function.
+ *
+ * @private
+ * @param {String} name The name of the intrinsic function.
+ *
+ * @return {String} The short form tag.
+ */
+function _getTag(name) {
+    return `!${name.replace(/^Fn::/, '')}`;
+}
+
+/**
+ * Determines whether or not a string can be written without quotes.
+ *
+ * @private
+ * @param {String} value The string to check.
+ *
+ * @return {Boolean} True if the string can be written as a plain scalar.
+ */
+function _isPlainSafe(value) {
+    return value.length > 0 &&
+        RESERVED_WORDS.indexOf(value.toLowerCase()) < 0 &&
+        !value.match(/^[-+]?(\.?[0-9]|\.inf|\.nan)/i) &&
+        !value.match(/^[-?:,\[\]{}#&*!|>'"%@`\s]/) &&
+        !value.match(/[\s:]$/) &&
+        value.indexOf(': ') < 0 &&
+        value.indexOf(' #') < 0 &&
+        !value.match(/[^\x20-\x7e\u00a0-\ud7ff\ue000-\ufffd]/);
+}
+
+/**
+ * Determines whether or not a multi line string can be written as a literal
+ * block scalar, while preserving its exact value.
+ *
+ * @private
+ * @param {String} value The string to check.
+ *
+ * @return {Boolean} True if the string can be written as a block scalar.
+ */
+function _isBlockSafe(value) {
+    if (value.indexOf('\n') < 0 || value.match(/[^\t\n\x20-\x7e\u00a0-\ud7ff\ue000-\ufffd]/)) {
+        return false;
+    }
+    const lines = value.replace(/\n+$/, '').split('\n');
+    const firstLine = lines.find((line) => line.length > 0);
+    if (firstLine === undefined) {
+        return false;
+    }
+
+    // Lines that contain only whitespace cannot be distinguished from
+    // indentation, and the first non empty line must not start with
+    // whitespace that could be mistaken for indentation.
+    return !lines.some((line) => line.length > 0 && line.trim().length === 0) &&
+        !firstLine.match(/^\s/);
+}
+
+/**
+ * Serializes a string as a YAML scalar.
+ *
+ * @private
+ * @param {String} value The string to serialize.
+ * @param {String} indent The indentation to apply to the content of block
+ *        scalars.
+ *
+ * @return {String} The serialized scalar.
+ */
+function _stringifyString(value, indent) {
+    if (_isBlockSafe(value)) {
+        const trailing = value.match(/\n*$/)[0].length;
+        const chomping = (trailing === 0) ? '-' : (trailing === 1 ? '' : '+');
+        const lines = value.substring(0, value.length - trailing).split('\n')
+            .concat(new Array(Math.max(trailing - 1, 0)).fill(''))
+            .map((line) => (line.length > 0 ? `${indent}${line}` : ''));
+        return `|${chomping}
+${lines.join('\n')}`;
+    }
+    if (_isPlainSafe(value)) {
+        return value;
+    }
+    if (!value.match(/[^\x20-\x7e\u00a0-\ud7ff\ue000-\ufffd]/)) {
+        return `'${value.replace(/'/g, '\'\'')}'`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Returns the short form representation of an intrinsic function, if the
+ * specified value is an intrinsic function that can be represented using a
+ * short form tag. Functions whose values are other functions are written
+ * using the full function name, because YAML does not allow a node to
+ * have more than one tag.
+ *
+ * @private
+ * @param {*} value The value to inspect.
+ *
+ * @return {Object} An object with the tag and value to serialize, or
+ *         undefined if the value cannot be represented using a tag.
+ */
+function _getShortForm(value) {
+    if (!value || (value instanceof Array) || typeof value !== 'object') {
+        return undefined;
+    }
+    const keys = Object.keys(value);
+    const name = keys[0];
+    if (keys.length !== 1 || FUNCTION_NAMES.indexOf(name) < 0) {
+        return undefined;
+    }
+    let content = value[name];
+    if (name === 'Fn::GetAtt') {
+        if (!(content instanceof Array) || content.length !== 2 ||
+            typeof content[0] !== 'string' || content[0].indexOf('.') >= 0 ||
+            typeof content[1] !== 'string') {
+            return undefined;
+        }
+        content = content.join('.');
+    }
+    if (typeof content !== 'string' && !(content instanceof Array)) {
+        return undefined;
+    }
+    return {
+        tag: _getTag(name),
+        value: content
+    };
+}
+
+/**
+ * Recursively serializes a value into YAML.
+ *
+ * @private
+ * @param {*} value The value to serialize.
+ * @param {String} indent The indentation of the lines that make up the
+ *        value.
+ *
+ * @return {String} The serialized value. Non empty collections are returned
+ *         as a new line followed by indented lines, and all other values are
+ *         returned inline.
+ */
+function _stringifyValue(value, indent) {
+    const childIndent = `${indent}${INDENT}`;
+    const shortForm = _getShortForm(value);
+    if (shortForm) {
+        const content = _stringifyValue(shortForm.value, indent);
+        return `${shortForm.tag}${content.charAt(0) === '\n' ? '' : ' '}${content}`;
+    }
+    if (value === null || value === undefined) {
+        return 'null';
+    }
+    if (typeof value === 'boolean') {
+        return value.toString();
+    }
+    if (typeof value === 'number') {
+        return isFinite(value) ? value.toString() : 'null';
+    }
+    if (typeof value === 'string') {
+        return _stringifyString(value, indent);
+    }
+    if (value instanceof Array) {
+        if (value.length === 0) {
+            return '[]';
+        }
+        return value.map((item) => {
+            let content = _stringifyValue(item, childIndent);
+            if (content.charAt(0) === '\n') {
+                // Nested collections start on the same line as the dash.
+                content = content.substring(childIndent.length + 1);
+            }
+            return `
+${indent}- ${content}`;
+        }).join('');
+    }
+
+    const keys = Object.keys(value).filter((key) => {
+        const child = value[key];
+        return child !== undefined && typeof child !== 'function';
+    });
+    if (keys.length === 0) {
+        return '{}';
+    }
+    return keys.map((key) => {
+        const content = _stringifyValue(value[key], childIndent);
+        const separator = (content.charAt(0) === '\n') ? '' : ' ';
+        return `
+${indent}${_stringifyString(key, indent)}:${separator}${content}`;
+    }).join('');
+}
+
+/**
+ * Creates the yaml types that parse the short form tag of an intrinsic
+ * function.
+ *
+ * @private
+ * @param {String} name The name of the intrinsic function.
+ *
+ * @return {Array} A list of yaml types.
+ */
+function _createTypes(name) {
+    const construct = (data) => {
+        const result = {};
+        result[name] = data;
+        return result;
+    };
+    const scalarConstruct = (name !== 'Fn::GetAtt') ? construct : (data) => {
+        // The short form of GetAtt is a "resource.attribute" string.
+        const index = data.indexOf('.');
+        return construct([data.substring(0, index), data.substring(index + 1)]);
+    };
+
+    return ['scalar', 'sequence', 'mapping'].map((kind) => {
+        return new _yaml.Type(_getTag(name), {
+            kind: kind,
+            construct: (kind === 'scalar') ? scalarConstruct : construct
+        });
+    });
+}
+
+const SCHEMA = _yaml.DEFAULT_SCHEMA.extend(FUNCTION_NAMES.reduce((types, name) => {
+    return types.concat(_createTypes(name));
+}, []));
+
+/**
+ * A module that converts cloud formation documents to and from YAML, using
+ * the short form tags (ex: !Ref, !GetAtt, !Sub, !Join) for intrinsic
+ * functions. Multi line strings (such as request/response mapping templates)
+ * are written as literal block scalars.
+ */
+const yamlSerializer = {
+
+    /**
+     * Serializes a cloud formation document into YAML.
+     *
+     * @param {Object} document The cloud formation document.
+     *
+     * @return {String} The YAML representation of the document.
+     */
+    stringify: function(document) {
+        if (!document || (document instanceof Array) || typeof document !== 'object') {
+            throw new Error('Invalid document specified (arg #1)');
+        }
+        return `${_stringifyValue(document, '').substring(1)}
+`;
+    },
+
+    /**
+     * Parses a YAML cloud formation document, converting short form tags
+     * into the equivalent JSON structures.
+     *
+     * @param {String} text The YAML text to parse.
+     *
+     * @return {Object} The cloud formation document.
+     */
+    parse: function(text) {
+        if (typeof text !== 'string') {
+            throw new Error('Invalid text specified (arg #1)');
+        }
+        return _yaml.load(text, {
+            schema: SCHEMA
+        });
+    }
+};
+
+module.exports = yamlSerializer;
@@ -0,0 +1,313 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _fs = require('fs');
+var Promise = require('bluebird').Promise;
+var _path = require('path');
+var _fixtures = require('../utils/fixtures');
+var _cli = require('../../lib/cli');
+
+var EXIT_CODES = _cli.EXIT_CODES;
+
+describe('cli', function() {
+    var _rootDir;
+    var _streams;
+
+    function _streamFile(properties) {
+        return 'module.exports = function(dirInfo, dataBag) {\n' +
+            '    const Template = require(' + JSON.stringify(_fixtures.TEMPLATE_MODULE) + ');\n' +
+            '    return new Template(dataBag.name || \'stream\', \'AWS::Kinesis::Stream\', ' +
+            JSON.stringify(properties) + ');\n' +
+            '};\n';
+    }
+
+    function _streamDocument(properties) {
+        return JSON.stringify({
+            Resources: {
+                stream: {
+                    Type: 'AWS::Kinesis::Stream',
+                    Properties: properties
+                }
+            }
+        });
+    }
+
+    function _createStream() {
+        return {
+            data: '',
+            write: function(chunk) {
+                this.data += chunk;
+            }
+        };
+    }
+
+    function _run(args) {
+        return _cli.run(args, _streams);
+    }
+
+    beforeEach(function() {
+        _rootDir = _fixtures.createTempDir('cli');
+        _streams = {
+            stdout: _createStream(),
+            stderr: _createStream()
+        };
+    });
+
+    afterEach(function() {
+        _fixtures.removeTempDir(_rootDir);
+    });
+
+    it('should implement methods and properties required by the interface', function() {
+        expect(_cli).to.have.property('run').and.to.be.a('function');
+        expect(_cli.EXIT_CODES).to.deep.equal({
+            SUCCESS: 0,
+            ERROR: 1,
+            USAGE: 2,
+            INVALID: 3,
+            CHANGES: 4,
+            REPLACEMENTS: 5
+        });
+    });
+
+    describe('run() [usage]', function() {
+        it('should return an error exit code if the args are invalid', function() {
+            return _run('build').then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.ERROR);
+                expect(_streams.stderr.data).to.equal('Error: Invalid args specified (arg #1)\n');
+            });
+        });
+
+        it('should write the usage message if help is requested', function() {
+            return _run(['--help']).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(_streams.stdout.data).to.match(/^Usage: cf-generator <command>/);
+            });
+        });
+
+        it('should return the usage exit code if the command is missing or unknown', function() {
+            return _run([]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.USAGE);
+                expect(_streams.stderr.data).to.equal('Error: No command specified\n' +
+                    'Run "cf-generator --help" for usage\n');
+                return _run(['deploy']);
+            }).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.USAGE);
+                expect(_streams.stderr.data).to.contain('Error: Unknown command: [deploy]\n');
+            });
+        });
+
+        it('should return the usage exit code if an option is invalid', function() {
+            var cases = [
+                [
+                    ['build', _rootDir, '--verbose'], 'Unknown option: [--verbose]'
+                ],
+                [
+                    ['build', _rootDir, '--profile'], 'Option requires a value: [--profile]'
+                ],
+                [
+                    ['build', _rootDir, '--strict=yes'], 'Option does not accept a value: [--strict]'
+                ],
+                [
+                    ['build', _rootDir, '--format', 'xml'], 'Invalid format: [xml]. Must be one of [json,yaml]'
+                ],
+                [
+                    ['build', _rootDir, '--set', 'name'], 'Invalid data bag value: [name]. Must be of the form key=value'
+                ]
+            ];
+
+            return cases.reduce(function(promise, testCase) {
+                return promise.then(function() {
+                    _streams.stderr.data = '';
+                    return _run(testCase[0]);
+                }).then(function(exitCode) {
+                    expect(exitCode).to.equal(EXIT_CODES.USAGE);
+                    expect(_streams.stderr.data).to.contain('Error: ' + testCase[1] + '\n');
+                });
+            }, Promise.resolve());
+        });
+
+        it('should return the usage exit code if the number of arguments is incorrect', function() {
+            return _run(['diff', 'old.json']).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.USAGE);
+                expect(_streams.stderr.data).to.contain('Error: Invalid arguments. Usage: cf-generator diff <old> <new>\n');
+            });
+        });
+    });
+
+    describe('run() [build]', function() {
+        it('should write the assembled document', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': _streamFile({
+                    ShardCount: 1
+                })
+            });
+
+            return _run(['build', _rootDir, '--set', 'name=events']).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                var resource = JSON.parse(_streams.stdout.data).Resources.events;
+                expect(resource.Type).to.equal('AWS::Kinesis::Stream');
+                expect(resource.Properties).to.deep.equal({
+                    ShardCount: 1
+                });
+            });
+        });
+
+        it('should build the templates using the selected profile', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'profiles/base.json': JSON.stringify({
+                    name: 'events',
+                    shards: 1
+                }),
+                'profiles/prod.json': JSON.stringify({
+                    shards: 4
+                }),
+                'stream.js': 'module.exports = function(dirInfo, dataBag) {\n' +
+                    '    const Template = require(' + JSON.stringify(_fixtures.TEMPLATE_MODULE) + ');\n' +
+                    '    return new Template(dataBag.name + dirInfo.profile, \'AWS::Kinesis::Stream\', {\n' +
+                    '        ShardCount: dataBag.shards\n' +
+                    '    });\n' +
+                    '};\n'
+            });
+
+            return _run(['build', _rootDir, '--profile', 'prod', '--set', 'name=orders']).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(JSON.parse(_streams.stdout.data).Resources.ordersprod.Properties).to.deep.equal({
+                    ShardCount: 4
+                });
+            });
+        });
+
+        it('should write the document to a file if one is specified', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'templates/stream.js': _streamFile({
+                    ShardCount: 1
+                })
+            });
+            var outPath = _path.join(_rootDir, 'stack.yaml');
+
+            return _run(['build', _path.join(_rootDir, 'templates'), '--format=yaml', '--out', outPath]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(_streams.stdout.data).to.equal('');
+                expect(_fs.readFileSync(outPath, 'utf8')).to.contain('Type: AWS::Kinesis::Stream');
+            });
+        });
+
+        it('should return the error exit code if the build fails', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': 'throw new Error(\'generator failed\');\n'
+            });
+
+            return _run(['build', _rootDir]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.ERROR);
+                expect(_streams.stderr.data).to.equal('Error: generator failed\n');
+            });
+        });
+    });
+
+    describe('run() [validate]', function() {
+        it('should return the success exit code if the stack is valid', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': _streamFile({
+                    ShardCount: 1
+                })
+            });
+
+            return _run(['validate', _rootDir]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(_streams.stdout.data).to.equal('Validation passed: 1 resource(s), 0 warning(s)\n');
+            });
+        });
+
+        it('should return the invalid exit code if the stack fails validation', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': _streamFile({
+                    Shards: 1
+                })
+            });
+
+            return _run(['validate', _rootDir]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.INVALID);
+                expect(_streams.stdout.data).to.contain('Error: [stream] ');
+                expect(_streams.stdout.data).to.contain('Validation failed: 1 error(s), 0 warning(s)\n');
+            });
+        });
+
+        it('should return the error exit code if the stack cannot be built', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': 'throw new Error(\'generator failed\');\n'
+            });
+
+            return _run(['validate', _rootDir]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.ERROR);
+                expect(_streams.stderr.data).to.equal('Error: generator failed\n');
+            });
+        });
+    });
+
+    describe('run() [diff]', function() {
+        beforeEach(function() {
+            _fixtures.writeFiles(_rootDir, {
+                'old.json': _streamDocument({
+                    Name: 'events',
+                    ShardCount: 1
+                }),
+                'updated.json': _streamDocument({
+                    Name: 'events',
+                    ShardCount: 2
+                }),
+                'replaced.json': _streamDocument({
+                    Name: 'changes',
+                    ShardCount: 1
+                })
+            });
+        });
+
+        it('should return the success exit code if the documents are the same', function() {
+            return _run(['diff', _path.join(_rootDir, 'old.json'), _path.join(_rootDir, 'old.json')]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(_streams.stdout.data).to.equal('No changes\n');
+            });
+        });
+
+        it('should return the changes exit code if resources will be updated', function() {
+            return _run(['diff', _path.join(_rootDir, 'old.json'), _path.join(_rootDir, 'updated.json')]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.CHANGES);
+                expect(_streams.stdout.data).to.contain('~ stream (AWS::Kinesis::Stream) [Update]');
+            });
+        });
+
+        it('should return the replacements exit code if resources will be replaced', function() {
+            return _run(['diff', _path.join(_rootDir, 'old.json'), _path.join(_rootDir, 'replaced.json'), '--format', 'json']).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.REPLACEMENTS);
+                expect(JSON.parse(_streams.stdout.data).resources.modified[0].impact).to.equal('Replacement');
+            });
+        });
+
+        it('should return the error exit code if a document cannot be read', function() {
+            return _run(['diff', _path.join(_rootDir, 'old.json'), _path.join(_rootDir, 'missing.json')]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.ERROR);
+                expect(_streams.stderr.data).to.contain('ENOENT');
+            });
+        });
+    });
+
+    describe('run() [list]', function() {
+        it('should list resources with the files that generated them', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'stream.js': _streamFile({
+                    ShardCount: 1
+                })
+            });
+
+            return _run(['list', _rootDir]).then(function(exitCode) {
+                expect(exitCode).to.equal(EXIT_CODES.SUCCESS);
+                expect(_streams.stdout.data).to.equal('stream  AWS::Kinesis::Stream  stream.js\n');
+            });
+        });
+    });
+});
@@ -0,0 +1,151 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _conditions = require('../../lib/conditions');
+
+describe('conditions', function() {
+    it('should implement methods required by the interface', function() {
+        expect(_conditions).to.have.property('condition').and.to.be.a('function');
+        expect(_conditions).to.have.property('equals').and.to.be.a('function');
+        expect(_conditions).to.have.property('and').and.to.be.a('function');
+        expect(_conditions).to.have.property('or').and.to.be.a('function');
+        expect(_conditions).to.have.property('not').and.to.be.a('function');
+        expect(_conditions).to.have.property('if').and.to.be.a('function');
+    });
+
+    describe('condition()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            _testValueProvider.allButString('').forEach(function(name) {
+                var createCondition = function() {
+                    return _conditions.condition(name);
+                };
+                expect(createCondition).to.throw('Invalid condition name specified (arg #1)');
+            });
+        });
+
+        it('should return a reference to the condition', function() {
+            expect(_conditions.condition('IsProd')).to.deep.equal({
+                Condition: 'IsProd'
+            });
+        });
+    });
+
+    describe('equals()', function() {
+        it('should throw an error if either value is missing', function() {
+            var equalsFirst = function() {
+                return _conditions.equals(null, 'prod');
+            };
+            var equalsSecond = function() {
+                return _conditions.equals('prod');
+            };
+
+            expect(equalsFirst).to.throw('Invalid value specified (arg #1)');
+            expect(equalsSecond).to.throw('Invalid value specified (arg #2)');
+        });
+
+        it('should return a Fn::Equals expression', function() {
+            expect(_conditions.equals({
+                Ref: 'Stage'
+            }, 'prod')).to.deep.equal({
+                'Fn::Equals': [{
+                    Ref: 'Stage'
+                }, 'prod']
+            });
+        });
+    });
+
+    ['and', 'or'].forEach(function(method) {
+        var functionName = (method === 'and') ? 'Fn::And' : 'Fn::Or';
+
+        describe(method + '()', function() {
+            it('should throw an error if the number of conditions is out of range', function() {
+                var error = 'Invalid conditions specified. ' + functionName + ' requires between 2 and 10 conditions';
+                var condition = _conditions.condition('IsProd');
+                [
+                    [condition],
+                    new Array(12).join('.').split('').map(function() {
+                        return condition;
+                    })
+                ].forEach(function(list) {
+                    var createCondition = function() {
+                        return _conditions[method].apply(_conditions, list);
+                    };
+                    expect(createCondition).to.throw(error);
+                });
+            });
+
+            it('should throw an error if a condition is invalid', function() {
+                var createCondition = function() {
+                    return _conditions[method](_conditions.condition('IsProd'), 'IsDev');
+                };
+
+                expect(createCondition).to.throw('Invalid condition specified (arg #2)');
+            });
+
+            it('should return a ' + functionName + ' expression', function() {
+                var expected = {};
+                expected[functionName] = [{
+                    Condition: 'IsProd'
+                }, {
+                    Condition: 'IsEast'
+                }];
+
+                expect(_conditions[method](_conditions.condition('IsProd'),
+                    _conditions.condition('IsEast'))).to.deep.equal(expected);
+            });
+        });
+    });
+
+    describe('not()', function() {
+        it('should throw an error if invoked without a valid condition', function() {
+            _testValueProvider.allButObject().forEach(function(condition) {
+                var createCondition = function() {
+                    return _conditions.not(condition);
+                };
+                expect(createCondition).to.throw('Invalid condition specified (arg #1)');
+            });
+        });
+
+        it('should return a Fn::Not expression', function() {
+            expect(_conditions.not(_conditions.condition('IsProd'))).to.deep.equal({
+                'Fn::Not': [{
+                    Condition: 'IsProd'
+                }]
+            });
+        });
+    });
+
+    describe('if()', function() {
+        it('should throw an error if the arguments are invalid', function() {
+            var createWithoutName = function() {
+                return _conditions.if('', 'a', 'b');
+            };
+            var createWithoutTrueValue = function() {
+                return _conditions.if('IsProd', undefined, 'b');
+            };
+            var createWithoutFalseValue = function() {
+                return _conditions.if('IsProd', 'a');
+            };
+
+            expect(createWithoutName).to.throw('Invalid condition name specified (arg #1)');
+            expect(createWithoutTrueValue).to.throw('Invalid true value specified (arg #2)');
+            expect(createWithoutFalseValue).to.throw('Invalid false value specified (arg #3)');
+        });
+
+        it('should return a Fn::If expression', function() {
+            expect(_conditions.if('IsProd', 10, {
+                Ref: 'AWS::NoValue'
+            })).to.deep.equal({
+                'Fn::If': ['IsProd', 10, {
+                    Ref: 'AWS::NoValue'
+                }]
+            });
+        });
+    });
+});
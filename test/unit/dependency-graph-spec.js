@@ -0,0 +1,346 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var DependencyGraph = require('../../lib/dependency-graph');
+
+describe('DependencyGraph', function() {
+    function _createDocument() {
+        return _fixtures.createDocument({
+            topic: {
+                Type: 'AWS::SNS::Topic',
+                Properties: {
+                    TopicName: {
+                        'Fn::Sub': '${AWS::StackName}-${Stage}-topic'
+                    }
+                }
+            },
+            queue: {
+                Type: 'AWS::SQS::Queue',
+                DependsOn: 'topic'
+            },
+            subscription: {
+                Type: 'AWS::SNS::Subscription',
+                Properties: {
+                    TopicArn: {
+                        Ref: 'topic'
+                    },
+                    Endpoint: {
+                        'Fn::GetAtt': ['queue', 'Arn']
+                    }
+                }
+            }
+        }, {
+            Parameters: {
+                Stage: {
+                    Type: 'String'
+                }
+            },
+            Outputs: {
+                QueueUrl: {
+                    Value: {
+                        Ref: 'queue'
+                    }
+                }
+            }
+        });
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid document', function() {
+            var error = 'Invalid document specified (arg #1)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(document) {
+                var createGraph = function() {
+                    return new DependencyGraph(document);
+                };
+                expect(createGraph).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the document does not define a valid resources section', function() {
+            var error = 'Document does not define a valid resources section (document.Resources)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(resources) {
+                var createGraph = function() {
+                    return new DependencyGraph({
+                        Resources: resources
+                    });
+                };
+                expect(createGraph).to.throw(error);
+            });
+        });
+
+        it('should create one node per resource', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.nodes).to.deep.equal(['topic', 'queue', 'subscription']);
+        });
+
+        it('should create edges for DependsOn, Ref and Fn::GetAtt references', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.edges).to.deep.equal([{
+                from: 'queue',
+                to: 'topic',
+                type: 'DependsOn',
+                path: 'DependsOn[0]'
+            }, {
+                from: 'subscription',
+                to: 'topic',
+                type: 'Ref',
+                path: 'Properties.TopicArn.Ref'
+            }, {
+                from: 'subscription',
+                to: 'queue',
+                type: 'Fn::GetAtt',
+                path: 'Properties.Endpoint.Fn::GetAtt'
+            }]);
+        });
+
+        it('should ignore references to pseudo parameters and stack parameters', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.getDependencies('topic')).to.deep.equal([]);
+            expect(graph.edges.filter(function(edge) {
+                return edge.from === 'topic';
+            })).to.deep.equal([]);
+        });
+
+        it('should create edges for Fn::Sub variables that reference resources', function() {
+            var graph = new DependencyGraph({
+                Resources: {
+                    bucket: {
+                        Type: 'AWS::S3::Bucket'
+                    },
+                    role: {
+                        Type: 'AWS::IAM::Role'
+                    },
+                    policy: {
+                        Type: 'AWS::IAM::Policy',
+                        Properties: {
+                            Resource: {
+                                'Fn::Sub': '${bucket.Arn}/${!Literal}/*'
+                            },
+                            Roles: [{
+                                'Fn::Sub': ['${Name}-${role}', {
+                                    Name: {
+                                        Ref: 'bucket'
+                                    }
+                                }]
+                            }]
+                        }
+                    }
+                }
+            });
+
+            expect(graph.edges).to.deep.equal([{
+                from: 'policy',
+                to: 'bucket',
+                type: 'Fn::Sub',
+                path: 'Properties.Resource.Fn::Sub'
+            }, {
+                from: 'policy',
+                to: 'role',
+                type: 'Fn::Sub',
+                path: 'Properties.Roles[0].Fn::Sub'
+            }, {
+                from: 'policy',
+                to: 'bucket',
+                type: 'Ref',
+                path: 'Properties.Roles[0].Fn::Sub[1].Name.Ref'
+            }]);
+        });
+
+        it('should track references from the conditions and outputs sections separately', function() {
+            var document = _createDocument();
+            document.Conditions = {
+                IsProd: {
+                    'Fn::Equals': [{
+                        Ref: 'Stage'
+                    }, 'prod']
+                }
+            };
+            document.Outputs.TopicName = {
+                Value: {
+                    'Fn::Sub': '${topic.TopicName}'
+                }
+            };
+            var graph = new DependencyGraph(document);
+
+            expect(graph.sectionReferences).to.deep.equal([{
+                from: 'Outputs.QueueUrl',
+                to: 'queue',
+                type: 'Ref',
+                path: 'Value.Ref'
+            }, {
+                from: 'Outputs.TopicName',
+                to: 'topic',
+                type: 'Fn::Sub',
+                path: 'Value.Fn::Sub'
+            }]);
+            expect(graph.edges.map(function(edge) {
+                return edge.from;
+            })).to.not.include('Outputs.QueueUrl');
+        });
+    });
+
+    describe('getDependencies()', function() {
+        it('should throw an error if the resource is not in the graph', function() {
+            var graph = new DependencyGraph(_createDocument());
+            var getDependencies = function() {
+                return graph.getDependencies('missing');
+            };
+
+            expect(getDependencies).to.throw('Resource not found in graph: [missing]');
+        });
+
+        it('should return the resources that the resource depends upon', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.getDependencies('subscription')).to.deep.equal(['topic', 'queue']);
+            expect(graph.getDependencies('topic')).to.deep.equal([]);
+        });
+    });
+
+    describe('getDependents()', function() {
+        it('should throw an error if the resource is not in the graph', function() {
+            var graph = new DependencyGraph(_createDocument());
+            var getDependents = function() {
+                return graph.getDependents('missing');
+            };
+
+            expect(getDependents).to.throw('Resource not found in graph: [missing]');
+        });
+
+        it('should return the resources that depend upon the resource', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.getDependents('topic')).to.deep.equal(['queue', 'subscription']);
+            expect(graph.getDependents('subscription')).to.deep.equal([]);
+        });
+    });
+
+    describe('findDanglingReferences()', function() {
+        it('should return an empty array if all references are defined', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.findDanglingReferences()).to.deep.equal([]);
+        });
+
+        it('should return references to undefined resources from every section', function() {
+            var document = _createDocument();
+            document.Resources.queue.Properties = {
+                QueueName: {
+                    'Fn::Sub': '${missingSub}'
+                }
+            };
+            document.Conditions = {
+                HasBucket: {
+                    'Fn::Equals': [{
+                        Ref: 'missingCondition'
+                    }, '']
+                }
+            };
+            document.Outputs.Missing = {
+                Value: {
+                    'Fn::GetAtt': ['missingOutput', 'Arn']
+                }
+            };
+            var graph = new DependencyGraph(document);
+
+            expect(graph.findDanglingReferences().map(function(edge) {
+                return edge.from + ' -> ' + edge.to;
+            })).to.deep.equal([
+                'queue -> missingSub',
+                'Conditions.HasBucket -> missingCondition',
+                'Outputs.Missing -> missingOutput'
+            ]);
+        });
+    });
+
+    describe('findCycles()', function() {
+        it('should return an empty array if there are no cycles', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.findCycles()).to.deep.equal([]);
+        });
+
+        it('should return every set of resources that depend on each other', function() {
+            var document = _createDocument();
+            document.Resources.topic.DependsOn = 'subscription';
+            document.Resources.self = {
+                Type: 'AWS::SQS::Queue',
+                DependsOn: 'self'
+            };
+            var graph = new DependencyGraph(document);
+
+            expect(graph.findCycles()).to.deep.equal([
+                ['topic', 'subscription', 'queue'],
+                ['self']
+            ]);
+        });
+    });
+
+    describe('getTopologicalOrder()', function() {
+        it('should throw an error if the graph has cycles', function() {
+            var document = _createDocument();
+            document.Resources.topic.DependsOn = 'queue';
+            var graph = new DependencyGraph(document);
+            var getOrder = function() {
+                return graph.getTopologicalOrder();
+            };
+
+            expect(getOrder).to.throw('Cannot sort resources with circular dependencies: [topic -> queue]');
+        });
+
+        it('should sort resources so that dependencies appear first', function() {
+            var document = _createDocument();
+            var resources = document.Resources;
+            document.Resources = {
+                subscription: resources.subscription,
+                queue: resources.queue,
+                topic: resources.topic
+            };
+            var graph = new DependencyGraph(document);
+
+            expect(graph.getTopologicalOrder()).to.deep.equal(['topic', 'queue', 'subscription']);
+        });
+    });
+
+    describe('validate()', function() {
+        it('should return a reference to the graph if the graph is valid', function() {
+            var graph = new DependencyGraph(_createDocument());
+
+            expect(graph.validate()).to.equal(graph);
+        });
+
+        it('should throw a single error that reports dangling references and cycles', function() {
+            var document = _createDocument();
+            document.Resources.topic.DependsOn = 'queue';
+            document.Outputs.Missing = {
+                Value: {
+                    Ref: 'missing'
+                }
+            };
+            var graph = new DependencyGraph(document);
+            var validate = function() {
+                return graph.validate();
+            };
+
+            expect(validate).to.throw([
+                'Dependency graph validation failed:',
+                '  [Outputs.Missing] Value.Ref: reference to undefined resource [missing]',
+                '  Circular dependency: [topic -> queue]'
+            ].join('\n'));
+        });
+    });
+});
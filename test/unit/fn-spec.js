@@ -0,0 +1,255 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var Fn = require('../../lib/fn');
+var Template = require('../../lib/templates/template');
+
+describe('Fn', function() {
+    function _expectError(build, error) {
+        expect(build).to.throw(error);
+    }
+
+    it('should implement methods required by the interface', function() {
+        ['ref', 'getAtt', 'join', 'sub', 'select', 'split', 'importValue',
+            'base64', 'getAZs', 'cidr', 'if', 'findInMap'
+        ].forEach(function(method) {
+            expect(Fn).to.have.property(method).and.to.be.a('function');
+        });
+    });
+
+    describe('ref()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            _testValueProvider.allButString('').forEach(function(name) {
+                _expectError(function() {
+                    return Fn.ref(name);
+                }, 'Invalid name specified (arg #1)');
+            });
+        });
+
+        it('should return a Ref expression', function() {
+            expect(Fn.ref('Stage')).to.deep.equal({
+                Ref: 'Stage'
+            });
+        });
+    });
+
+    describe('getAtt()', function() {
+        it('should throw an error if the resource or attribute are invalid', function() {
+            _expectError(function() {
+                return Fn.getAtt('', 'Arn');
+            }, 'Invalid resource specified (arg #1)');
+            _expectError(function() {
+                return Fn.getAtt('table');
+            }, 'Invalid attribute specified (arg #2)');
+        });
+
+        it('should return a Fn::GetAtt expression', function() {
+            expect(Fn.getAtt('table', 'Arn')).to.deep.equal({
+                'Fn::GetAtt': ['table', 'Arn']
+            });
+        });
+    });
+
+    describe('join()', function() {
+        it('should throw an error if the delimiter or values are invalid', function() {
+            _expectError(function() {
+                return Fn.join(null, []);
+            }, 'Invalid delimiter specified (arg #1)');
+            _expectError(function() {
+                return Fn.join('', 'a,b');
+            }, 'Invalid values specified (arg #2). Must be an array or an expression');
+        });
+
+        it('should return a Fn::Join expression', function() {
+            expect(Fn.join('', ['arn:', Fn.ref('AWS::Partition')])).to.deep.equal({
+                'Fn::Join': ['', ['arn:', {
+                    Ref: 'AWS::Partition'
+                }]]
+            });
+        });
+    });
+
+    describe('sub()', function() {
+        it('should throw an error if the template string or variables are invalid', function() {
+            _expectError(function() {
+                return Fn.sub('');
+            }, 'Invalid template string specified (arg #1)');
+            _expectError(function() {
+                return Fn.sub('${Name}', 'users');
+            }, 'Invalid variables specified (arg #2)');
+        });
+
+        it('should return a Fn::Sub expression, with variables if specified', function() {
+            expect(Fn.sub('${AWS::StackName}-topic')).to.deep.equal({
+                'Fn::Sub': '${AWS::StackName}-topic'
+            });
+            expect(Fn.sub('${Name}-topic', {
+                Name: 'users'
+            })).to.deep.equal({
+                'Fn::Sub': ['${Name}-topic', {
+                    Name: 'users'
+                }]
+            });
+        });
+    });
+
+    describe('select()', function() {
+        it('should throw an error if the index or values are invalid', function() {
+            [-1, 1.5, 'a', null].forEach(function(index) {
+                _expectError(function() {
+                    return Fn.select(index, []);
+                }, 'Invalid index specified (arg #1). Must be a non negative integer or an expression');
+            });
+            _expectError(function() {
+                return Fn.select(0, 'a');
+            }, 'Invalid values specified (arg #2). Must be an array or an expression');
+        });
+
+        it('should return a Fn::Select expression with a string index', function() {
+            expect(Fn.select(1, Fn.getAZs())).to.deep.equal({
+                'Fn::Select': ['1', {
+                    'Fn::GetAZs': ''
+                }]
+            });
+        });
+    });
+
+    describe('split()', function() {
+        it('should throw an error if the delimiter or source are invalid', function() {
+            _expectError(function() {
+                return Fn.split('', 'a,b');
+            }, 'Invalid delimiter specified (arg #1)');
+            _expectError(function() {
+                return Fn.split(',', 123);
+            }, 'Invalid source specified (arg #2)');
+        });
+
+        it('should return a Fn::Split expression', function() {
+            expect(Fn.split(',', Fn.ref('Subnets'))).to.deep.equal({
+                'Fn::Split': [',', {
+                    Ref: 'Subnets'
+                }]
+            });
+        });
+    });
+
+    describe('importValue()', function() {
+        it('should throw an error if invoked without a valid export name', function() {
+            _expectError(function() {
+                return Fn.importValue('');
+            }, 'Invalid export name specified (arg #1)');
+        });
+
+        it('should return a Fn::ImportValue expression', function() {
+            expect(Fn.importValue('user-table-arn')).to.deep.equal({
+                'Fn::ImportValue': 'user-table-arn'
+            });
+        });
+    });
+
+    describe('base64()', function() {
+        it('should throw an error if invoked without a valid value', function() {
+            _expectError(function() {
+                return Fn.base64(123);
+            }, 'Invalid value specified (arg #1)');
+        });
+
+        it('should return a Fn::Base64 expression', function() {
+            expect(Fn.base64('#!/bin/bash')).to.deep.equal({
+                'Fn::Base64': '#!/bin/bash'
+            });
+        });
+    });
+
+    describe('getAZs()', function() {
+        it('should throw an error if the region is invalid', function() {
+            _expectError(function() {
+                return Fn.getAZs(123);
+            }, 'Invalid region specified (arg #1)');
+        });
+
+        it('should return a Fn::GetAZs expression, defaulting to the region of the stack', function() {
+            expect(Fn.getAZs()).to.deep.equal({
+                'Fn::GetAZs': ''
+            });
+            expect(Fn.getAZs('us-east-1')).to.deep.equal({
+                'Fn::GetAZs': 'us-east-1'
+            });
+        });
+    });
+
+    describe('cidr()', function() {
+        it('should throw an error if the arguments are invalid', function() {
+            _expectError(function() {
+                return Fn.cidr('', 6, 5);
+            }, 'Invalid ip block specified (arg #1)');
+            _expectError(function() {
+                return Fn.cidr('10.0.0.0/16', 257, 5);
+            }, 'Invalid count specified (arg #2). Must be an integer between 1 and 256');
+            _expectError(function() {
+                return Fn.cidr('10.0.0.0/16', 6, 0);
+            }, 'Invalid cidr bits specified (arg #3). Must be an integer between 1 and 128');
+        });
+
+        it('should return a Fn::Cidr expression with string arguments', function() {
+            expect(Fn.cidr('10.0.0.0/16', 6, 5)).to.deep.equal({
+                'Fn::Cidr': ['10.0.0.0/16', '6', '5']
+            });
+        });
+    });
+
+    describe('if()', function() {
+        it('should return a Fn::If expression', function() {
+            expect(Fn.if('IsProd', 'prod', 'dev')).to.deep.equal({
+                'Fn::If': ['IsProd', 'prod', 'dev']
+            });
+        });
+    });
+
+    describe('findInMap()', function() {
+        it('should throw an error if the arguments are invalid', function() {
+            _expectError(function() {
+                return Fn.findInMap('', 'dev', 'role');
+            }, 'Invalid map name specified (arg #1)');
+            _expectError(function() {
+                return Fn.findInMap('Roles', null, 'role');
+            }, 'Invalid top level key specified (arg #2)');
+            _expectError(function() {
+                return Fn.findInMap('Roles', 'dev', []);
+            }, 'Invalid second level key specified (arg #3)');
+        });
+
+        it('should return a Fn::FindInMap expression', function() {
+            expect(Fn.findInMap('Roles', Fn.ref('AWS::Region'), 'role')).to.deep.equal({
+                'Fn::FindInMap': ['Roles', {
+                    Ref: 'AWS::Region'
+                }, 'role']
+            });
+        });
+    });
+
+    it('should produce expressions whose tokens are resolved when a template is finalized', function() {
+        var template = new Template('subscription', 'AWS::SNS::Subscription', {
+            TopicArn: Fn.ref('<% alert_topic %>'),
+            Endpoint: Fn.getAtt('<% alert_queue %>', 'Arn')
+        });
+
+        expect(template.finalize({
+            alert_topic: 'alertTopic',
+            alert_queue: 'alertQueue'
+        }).Properties).to.deep.equal({
+            TopicArn: {
+                Ref: 'alertTopic'
+            },
+            Endpoint: {
+                'Fn::GetAtt': ['alertQueue', 'Arn']
+            }
+        });
+    });
+});
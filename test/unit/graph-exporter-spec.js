@@ -0,0 +1,174 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _fixtures = require('../utils/fixtures');
+var _graphExporter = require('../../lib/graph-exporter');
+
+describe('graphExporter', function() {
+    function _createDocument() {
+        return _fixtures.createDocument({
+            role: {
+                Type: 'AWS::IAM::Role'
+            },
+            handler: {
+                Type: 'AWS::Lambda::Function',
+                Properties: {
+                    Role: {
+                        'Fn::GetAtt': ['role', 'Arn']
+                    },
+                    Description: {
+                        Ref: 'role'
+                    },
+                    Parameter: {
+                        Ref: 'Stage'
+                    }
+                },
+                DependsOn: ['role']
+            },
+            widget: {
+                Type: 'Custom::Widget',
+                Metadata: {
+                    Generator: {
+                        Source: 'api/widget.js'
+                    }
+                }
+            }
+        });
+    }
+
+    var SOURCES = {
+        role: 'role.js',
+        handler: 'api/users/handler.js'
+    };
+
+    it('should implement methods required by the interface', function() {
+        expect(_graphExporter).to.have.property('toDot').and.to.be.a('function');
+        expect(_graphExporter).to.have.property('toMermaid').and.to.be.a('function');
+    });
+
+    ['toDot', 'toMermaid'].forEach(function(method) {
+        describe(method + '() [options]', function() {
+            it('should throw an error if the document is invalid', function() {
+                var render = function() {
+                    return _graphExporter[method](null);
+                };
+
+                expect(render).to.throw('Invalid document specified (arg #1)');
+            });
+
+            it('should throw an error if the sources are invalid', function() {
+                [null, 'api', []].forEach(function(sources) {
+                    var render = function() {
+                        return _graphExporter[method](_createDocument(), {
+                            sources: sources
+                        });
+                    };
+                    expect(render).to.throw('Invalid sources specified (options.sources)');
+                });
+            });
+        });
+    });
+
+    describe('toDot()', function() {
+        it('should render resources clustered by directory and colored by service', function() {
+            expect(_graphExporter.toDot(_createDocument(), {
+                sources: SOURCES
+            })).to.equal([
+                'digraph stack {',
+                '    rankdir=LR;',
+                '    node [shape=box, style=filled];',
+                '    subgraph "cluster_0" {',
+                '        label="(root)";',
+                '        "role" [label="role\\nAWS::IAM::Role", fillcolor="#e76f51"];',
+                '    }',
+                '    subgraph "cluster_1" {',
+                '        label="api";',
+                '        "widget" [label="widget\\nCustom::Widget", fillcolor="#a8dadc"];',
+                '        subgraph "cluster_2" {',
+                '            label="users";',
+                '            "handler" [label="handler\\nAWS::Lambda::Function", fillcolor="#e9c46a"];',
+                '        }',
+                '    }',
+                '    "handler" -> "role" [label="DependsOn, Fn::GetAtt, Ref"];',
+                '}',
+                ''
+            ].join('\n'));
+        });
+
+        it('should not cluster or color resources if disabled', function() {
+            expect(_graphExporter.toDot(_createDocument(), {
+                sources: SOURCES,
+                cluster: false,
+                color: false
+            })).to.equal([
+                'digraph stack {',
+                '    rankdir=LR;',
+                '    node [shape=box];',
+                '    "role" [label="role\\nAWS::IAM::Role"];',
+                '    "handler" [label="handler\\nAWS::Lambda::Function"];',
+                '    "widget" [label="widget\\nCustom::Widget"];',
+                '    "handler" -> "role" [label="DependsOn, Fn::GetAtt, Ref"];',
+                '}',
+                ''
+            ].join('\n'));
+        });
+
+        it('should escape quotes in identifiers', function() {
+            var output = _graphExporter.toDot({
+                Resources: {
+                    topic: {
+                        Type: 'Custom::"Quoted"'
+                    }
+                }
+            });
+
+            expect(output).to.contain('"topic" [label="topic\\nCustom::\\"Quoted\\""');
+        });
+    });
+
+    describe('toMermaid()', function() {
+        it('should render resources clustered by directory and colored by service', function() {
+            expect(_graphExporter.toMermaid(_createDocument(), {
+                sources: SOURCES
+            })).to.equal([
+                'flowchart LR',
+                '    subgraph cluster_0 ["(root)"]',
+                '        role["role<br/>AWS::IAM::Role"]',
+                '    end',
+                '    subgraph cluster_1 ["api"]',
+                '        widget["widget<br/>Custom::Widget"]',
+                '        subgraph cluster_2 ["users"]',
+                '            handler["handler<br/>AWS::Lambda::Function"]',
+                '        end',
+                '    end',
+                '    handler -->|DependsOn, Fn::GetAtt, Ref| role',
+                '    classDef service_IAM fill:#e76f51',
+                '    class role service_IAM',
+                '    classDef service_Lambda fill:#e9c46a',
+                '    class handler service_Lambda',
+                '    classDef service_Widget fill:#a8dadc',
+                '    class widget service_Widget',
+                ''
+            ].join('\n'));
+        });
+
+        it('should not cluster or color resources if disabled', function() {
+            expect(_graphExporter.toMermaid(_createDocument(), {
+                cluster: false,
+                color: false
+            })).to.equal([
+                'flowchart LR',
+                '    role["role<br/>AWS::IAM::Role"]',
+                '    handler["handler<br/>AWS::Lambda::Function"]',
+                '    widget["widget<br/>Custom::Widget"]',
+                '    handler -->|DependsOn, Fn::GetAtt, Ref| role',
+                ''
+            ].join('\n'));
+        });
+    });
+});
@@ -11,7 +11,23 @@ var _index = require('../../lib/index');
 describe('index', function() {
     it('should implement methods required by the interface', function() {
         expect(_index).to.have.property('TemplateBuilder').and.to.be.a('function');
+        expect(_index).to.have.property('TemplateWatcher').and.to.be.a('function');
         expect(_index).to.have.property('DirInfo').and.to.be.a('function');
+        expect(_index).to.have.property('StackAssembler').and.to.be.a('function');
+        expect(_index).to.have.property('DependencyGraph').and.to.be.a('function');
+        expect(_index).to.have.property('StackPartitioner').and.to.be.a('function');
+        expect(_index).to.have.property('StackDiff').and.to.be.a('function');
+        expect(_index).to.have.property('SpecValidator').and.to.be.a('function');
+        expect(_index).to.have.property('stackLimits').and.to.be.an('object');
+        expect(_index).to.have.property('tagging').and.to.be.an('object');
+        expect(_index).to.have.property('snippets').and.to.be.an('object');
+        expect(_index).to.have.property('profiles').and.to.be.an('object');
+        expect(_index).to.have.property('graphExporter').and.to.be.an('object');
+        expect(_index).to.have.property('cli').and.to.be.an('object');
+        expect(_index).to.have.property('yamlSerializer').and.to.be.an('object');
+        expect(_index).to.have.property('conditions').and.to.be.an('object');
+        expect(_index).to.have.property('Fn').and.to.be.an('object');
+        expect(_index).to.have.property('tokens').and.to.be.an('object');
         expect(_index).to.have.property('Template').and.to.be.a('function');
         expect(_index).to.have.property('ApiGatewayTemplates').and.to.be.an('object');
     });
@@ -0,0 +1,174 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var Promise = require('bluebird').Promise;
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var _profiles = require('../../lib/profiles');
+
+describe('profiles', function() {
+    var _rootDir;
+
+    beforeEach(function() {
+        _rootDir = _fixtures.createTempDir('profiles');
+    });
+
+    afterEach(function() {
+        _fixtures.removeTempDir(_rootDir);
+    });
+
+    it('should implement methods and properties required by the interface', function() {
+        expect(_profiles).to.have.property('CONFIG_FILE', 'cf.config.js');
+        expect(_profiles).to.have.property('PROFILES_DIR', 'profiles');
+        expect(_profiles).to.have.property('merge').and.to.be.a('function');
+        expect(_profiles).to.have.property('load').and.to.be.a('function');
+    });
+
+    describe('merge()', function() {
+        it('should deep merge objects, with later values taking precedence', function() {
+            expect(_profiles.merge({
+                stage: 'base',
+                table: {
+                    capacity: 1,
+                    name: 'users'
+                },
+                regions: ['us-east-1']
+            }, {
+                stage: 'prod',
+                table: {
+                    capacity: 10
+                },
+                regions: ['us-west-2']
+            })).to.deep.equal({
+                stage: 'prod',
+                table: {
+                    capacity: 10,
+                    name: 'users'
+                },
+                regions: ['us-west-2']
+            });
+        });
+
+        it('should ignore values that are not objects', function() {
+            expect(_profiles.merge(undefined, null, [], 'abc', {
+                stage: 'dev'
+            })).to.deep.equal({
+                stage: 'dev'
+            });
+        });
+
+        it('should not modify the input objects', function() {
+            var base = {
+                table: {
+                    capacity: 1
+                }
+            };
+            var result = _profiles.merge(base, {
+                table: {
+                    capacity: 10
+                }
+            });
+
+            expect(base.table.capacity).to.equal(1);
+            expect(result.table).to.not.equal(base.table);
+        });
+    });
+
+    describe('load()', function() {
+        it('should throw an error if invoked without a valid root path', function() {
+            var error = 'Invalid root path specified (arg #1)';
+            _testValueProvider.allButString('').forEach(function(rootPath) {
+                var load = function() {
+                    return _profiles.load(rootPath, 'dev');
+                };
+                expect(load).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid profile', function() {
+            var error = 'Invalid profile specified (arg #2)';
+            _testValueProvider.allButString('').forEach(function(profile) {
+                var load = function() {
+                    return _profiles.load(_rootDir, profile);
+                };
+                expect(load).to.throw(error);
+            });
+        });
+
+        it('should reject the promise if no profiles are defined', function() {
+            return expect(_profiles.load(_rootDir, 'dev')).to.be.rejectedWith('No profiles defined in template root: [' + _rootDir + ']');
+        });
+
+        it('should load the profile from the configuration file', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'cf.config.js': 'module.exports = function(profile) {\n' +
+                    '    return {\n' +
+                    '        base: { stage: profile, table: { capacity: 1, name: \'users\' } },\n' +
+                    '        profiles: { prod: { table: { capacity: 10 } } }\n' +
+                    '    };\n' +
+                    '};\n'
+            });
+
+            return expect(_profiles.load(_rootDir, 'prod')).to.eventually.deep.equal({
+                stage: 'prod',
+                table: {
+                    capacity: 10,
+                    name: 'users'
+                }
+            });
+        });
+
+        it('should reject the promise if the configuration file does not define a profiles map', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'cf.config.js': 'module.exports = { base: {} };\n'
+            });
+
+            return expect(_profiles.load(_rootDir, 'prod')).to.be.rejectedWith('Configuration file does not define a valid profiles map: [cf.config.js]');
+        });
+
+        it('should load the profile from the profiles directory', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'profiles/base.json': JSON.stringify({
+                    stage: 'base',
+                    capacity: 1
+                }),
+                'profiles/prod.yaml': 'stage: prod\n',
+                'profiles/dev.js': 'module.exports = function(profile) {\n' +
+                    '    return Promise.resolve({ stage: profile });\n' +
+                    '};\n'
+            });
+
+            return Promise.all([
+                expect(_profiles.load(_rootDir, 'prod')).to.eventually.deep.equal({
+                    stage: 'prod',
+                    capacity: 1
+                }),
+                expect(_profiles.load(_rootDir, 'dev')).to.eventually.deep.equal({
+                    stage: 'dev',
+                    capacity: 1
+                })
+            ]);
+        });
+
+        it('should reject the promise if the profile does not exist', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'profiles/base.json': '{}'
+            });
+
+            return expect(_profiles.load(_rootDir, 'prod')).to.be.rejectedWith('Profile not found: [prod]');
+        });
+
+        it('should reject the promise if a profile file does not define a valid data bag', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'profiles/prod.json': '[]'
+            });
+
+            return expect(_profiles.load(_rootDir, 'prod')).to.be.rejectedWith('Profile does not define a valid data bag: [prod.json]');
+        });
+    });
+});
@@ -0,0 +1,214 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _snippets = require('../../lib/snippets');
+var Template = require('../../lib/templates/template');
+var StackAssembler = require('../../lib/stack-assembler');
+var DependencyGraph = require('../../lib/dependency-graph');
+
+describe('snippets', function() {
+    it('should implement methods required by the interface', function() {
+        expect(_snippets).to.have.property('createTemplates').and.to.be.a('function');
+    });
+
+    describe('createTemplates()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            var error = 'Invalid name specified (arg #1)';
+            _testValueProvider.allButString('').forEach(function(name) {
+                var createTemplates = function() {
+                    return _snippets.createTemplates(name, {});
+                };
+                expect(createTemplates).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid snippet', function() {
+            var error = 'Invalid snippet specified (arg #2)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(snippet) {
+                var createTemplates = function() {
+                    return _snippets.createTemplates('queue', snippet);
+                };
+                expect(createTemplates).to.throw(error);
+            });
+        });
+
+        it('should create a template named after the snippet from a single resource declaration', function() {
+            var templates = _snippets.createTemplates('user_queue', {
+                Type: 'AWS::SQS::Queue',
+                Properties: {
+                    DelaySeconds: 5
+                }
+            });
+
+            expect(templates).to.have.length(1);
+            expect(templates[0]).to.be.an.instanceof(Template);
+            expect(templates[0].key).to.equal('userQueue');
+            expect(templates[0].type).to.equal('AWS::SQS::Queue');
+            expect(templates[0].properties).to.deep.equal({
+                DelaySeconds: 5
+            });
+        });
+
+        it('should create one template per resource from a map of resources', function() {
+            var templates = _snippets.createTemplates('queues', {
+                first_queue: {
+                    Type: 'AWS::SQS::Queue'
+                },
+                second_queue: {
+                    Type: 'AWS::SQS::Queue'
+                }
+            });
+
+            expect(templates.map(function(template) {
+                return template.key;
+            })).to.deep.equal(['firstQueue', 'secondQueue']);
+        });
+
+        it('should create templates from the resources section of a fragment', function() {
+            var templates = _snippets.createTemplates('fragment', {
+                Resources: {
+                    topic: {
+                        Type: 'AWS::SNS::Topic'
+                    }
+                }
+            });
+
+            expect(templates).to.have.length(1);
+            expect(templates[0].key).to.equal('topic');
+        });
+
+        it('should rename references between resources to match the camel case keys', function() {
+            var templates = _snippets.createTemplates('fragment', {
+                Resources: {
+                    MyQueue: {
+                        Type: 'AWS::SQS::Queue'
+                    },
+                    MyPolicy: {
+                        Type: 'AWS::SQS::QueuePolicy',
+                        DependsOn: 'MyQueue',
+                        Properties: {
+                            Queues: [{
+                                Ref: 'MyQueue'
+                            }],
+                            PolicyDocument: {
+                                Resource: {
+                                    'Fn::GetAtt': ['MyQueue', 'Arn']
+                                },
+                                Sid: {
+                                    'Fn::Sub': ['${MyQueue.QueueName}-${AWS::Region}-${Suffix}', {
+                                        Suffix: {
+                                            'Fn::GetAtt': 'MyQueue.Arn'
+                                        }
+                                    }]
+                                },
+                                Stage: {
+                                    Ref: 'Stage'
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+            var document = new StackAssembler().assemble(templates);
+            var policy = document.Resources.myPolicy;
+
+            expect(policy.DependsOn).to.deep.equal(['myQueue']);
+            expect(policy.Properties).to.deep.equal({
+                Queues: [{
+                    Ref: 'myQueue'
+                }],
+                PolicyDocument: {
+                    Resource: {
+                        'Fn::GetAtt': ['myQueue', 'Arn']
+                    },
+                    Sid: {
+                        'Fn::Sub': ['${myQueue.QueueName}-${AWS::Region}-${Suffix}', {
+                            Suffix: {
+                                'Fn::GetAtt': 'myQueue.Arn'
+                            }
+                        }]
+                    },
+                    Stage: {
+                        Ref: 'Stage'
+                    }
+                }
+            });
+            expect(new DependencyGraph(document).findDanglingReferences().map(function(reference) {
+                return reference.to;
+            })).to.deep.equal(['Stage']);
+        });
+
+        it('should throw an error if the resources section is invalid', function() {
+            var createTemplates = function() {
+                return _snippets.createTemplates('fragment', {
+                    Resources: []
+                });
+            };
+
+            expect(createTemplates).to.throw('Snippet does not define a valid resources section (snippet.Resources)');
+        });
+
+        it('should throw an error if a resource does not define a valid type', function() {
+            var createTemplates = function() {
+                return _snippets.createTemplates('queues', {
+                    queue: {
+                        Properties: {}
+                    }
+                });
+            };
+
+            expect(createTemplates).to.throw('Snippet resource does not define a valid type: [queue]');
+        });
+
+        it('should copy resource attributes to the template', function() {
+            var template = _snippets.createTemplates('queue', {
+                Type: 'AWS::SQS::Queue',
+                Condition: 'IsProd',
+                DeletionPolicy: 'Retain',
+                Metadata: {
+                    owner: 'core'
+                },
+                DependsOn: 'topic'
+            })[0];
+
+            expect(template.condition).to.equal('IsProd');
+            expect(template.attributes).to.deep.equal({
+                DeletionPolicy: 'Retain',
+                Metadata: {
+                    owner: 'core'
+                }
+            });
+            expect(template.dependencies).to.have.length(1);
+        });
+
+        it('should throw an error if the metadata is invalid', function() {
+            var createTemplates = function() {
+                return _snippets.createTemplates('queue', {
+                    Type: 'AWS::SQS::Queue',
+                    Metadata: 'owner'
+                });
+            };
+
+            expect(createTemplates).to.throw('Invalid metadata specified for snippet resource: [queue]');
+        });
+
+        it('should throw an error if the resource has an unsupported attribute', function() {
+            var createTemplates = function() {
+                return _snippets.createTemplates('queue', {
+                    Type: 'AWS::SQS::Queue',
+                    Version: '1'
+                });
+            };
+
+            expect(createTemplates).to.throw('Unsupported attribute [Version] in snippet resource: [queue]');
+        });
+    });
+});
@@ -0,0 +1,289 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _path = require('path');
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var SpecValidator = require('../../lib/spec-validator');
+
+describe('SpecValidator', function() {
+    function _createSpecification() {
+        return {
+            ResourceSpecificationVersion: '1.0.0',
+            PropertyTypes: {
+                'AWS::Test::Thing.Settings': {
+                    Properties: {
+                        Enabled: {
+                            PrimitiveType: 'Boolean',
+                            Required: true
+                        },
+                        Ratio: {
+                            PrimitiveType: 'Double'
+                        }
+                    }
+                },
+                Tag: {
+                    Properties: {
+                        Key: {
+                            PrimitiveType: 'String',
+                            Required: true
+                        },
+                        Value: {
+                            PrimitiveType: 'String',
+                            Required: true
+                        }
+                    }
+                }
+            },
+            ResourceTypes: {
+                'AWS::Test::Thing': {
+                    Properties: {
+                        Name: {
+                            PrimitiveType: 'String',
+                            Required: true
+                        },
+                        Count: {
+                            PrimitiveType: 'Integer'
+                        },
+                        Settings: {
+                            Type: 'Settings'
+                        },
+                        Ports: {
+                            Type: 'List',
+                            PrimitiveItemType: 'Integer'
+                        },
+                        Labels: {
+                            Type: 'Map',
+                            PrimitiveItemType: 'String'
+                        },
+                        Tags: {
+                            Type: 'List',
+                            ItemType: 'Tag'
+                        }
+                    }
+                }
+            }
+        };
+    }
+
+    function _createDocument(properties) {
+        return _fixtures.createDocument({
+            thing: {
+                Type: 'AWS::Test::Thing',
+                Properties: properties
+            },
+            other: {
+                Type: 'AWS::Unknown::Type',
+                Properties: {
+                    Anything: 'goes'
+                }
+            }
+        });
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked with an invalid specification', function() {
+            var error = 'Invalid specification specified (arg #1)';
+            [null, 123, true, {}, [], {
+                ResourceTypes: []
+            }].forEach(function(specification) {
+                var createValidator = function() {
+                    return new SpecValidator(specification);
+                };
+                expect(createValidator).to.throw(error);
+            });
+        });
+
+        it('should use the bundled specification if no specification is specified', function() {
+            var validator = new SpecValidator();
+
+            expect(validator.version).to.be.a('string');
+            expect(validator.hasResourceType('AWS::Kinesis::Stream')).to.be.true;
+        });
+
+        it('should load the specification from a file if a path is specified', function() {
+            var rootDir = _fixtures.createTempDir('spec-validator');
+            _fixtures.writeFiles(rootDir, {
+                'spec.json': JSON.stringify(_createSpecification())
+            });
+            try {
+                var validator = new SpecValidator(_path.join(rootDir, 'spec.json'));
+
+                expect(validator.version).to.equal('1.0.0');
+                expect(validator.hasResourceType('AWS::Test::Thing')).to.be.true;
+            } finally {
+                _fixtures.removeTempDir(rootDir);
+            }
+        });
+    });
+
+    describe('getPropertySpec()', function() {
+        it('should return the specification of the property', function() {
+            var validator = new SpecValidator(_createSpecification());
+
+            expect(validator.getPropertySpec('AWS::Test::Thing', 'Count')).to.deep.equal({
+                PrimitiveType: 'Integer'
+            });
+        });
+
+        it('should return undefined if the resource type or property is not defined', function() {
+            var validator = new SpecValidator(_createSpecification());
+
+            expect(validator.getPropertySpec('AWS::Unknown::Type', 'Count')).to.be.undefined;
+            expect(validator.getPropertySpec('AWS::Test::Thing', 'Missing')).to.be.undefined;
+        });
+    });
+
+    describe('getPropertyType()', function() {
+        it('should return resource specific and shared property types', function() {
+            var validator = new SpecValidator(_createSpecification());
+
+            expect(validator.getPropertyType('AWS::Test::Thing', 'Settings')).to.have.property('Properties');
+            expect(validator.getPropertyType('AWS::Test::Thing', 'Tag')).to.have.property('Properties');
+            expect(validator.getPropertyType('AWS::Test::Thing', 'Missing')).to.be.undefined;
+        });
+    });
+
+    describe('validate()', function() {
+        it('should throw an error if invoked without a valid document', function() {
+            var error = 'Invalid document specified (arg #1)';
+            var validator = new SpecValidator(_createSpecification());
+            _testValueProvider.allButObject().concat([
+                [], {}
+            ]).forEach(function(document) {
+                var validate = function() {
+                    return validator.validate(document);
+                };
+                expect(validate).to.throw(error);
+            });
+        });
+
+        it('should return an empty array if all resources are valid', function() {
+            var validator = new SpecValidator(_createSpecification());
+            var errors = validator.validate(_createDocument({
+                Name: 'thing',
+                Count: '3',
+                Settings: {
+                    Enabled: 'true',
+                    Ratio: 0.5
+                },
+                Ports: [80, {
+                    Ref: 'Port'
+                }],
+                Labels: {
+                    env: 'dev'
+                },
+                Tags: [{
+                    Key: 'env',
+                    Value: 'dev'
+                }]
+            }));
+
+            expect(errors).to.deep.equal([]);
+        });
+
+        it('should not validate values returned by intrinsic functions', function() {
+            var validator = new SpecValidator(_createSpecification());
+            var errors = validator.validate(_createDocument({
+                Name: {
+                    'Fn::Sub': '${AWS::StackName}'
+                },
+                Count: {
+                    Ref: 'Count'
+                },
+                Settings: {
+                    'Fn::If': ['IsProd', {}, {
+                        Ref: 'AWS::NoValue'
+                    }]
+                }
+            }));
+
+            expect(errors).to.deep.equal([]);
+        });
+
+        it('should report unknown, missing and mistyped properties', function() {
+            var validator = new SpecValidator(_createSpecification());
+            var errors = validator.validate(_createDocument({
+                Count: 1.5,
+                Unknown: true,
+                Settings: {
+                    Ratio: 'high'
+                },
+                Ports: 80,
+                Labels: [],
+                Tags: [{
+                    Key: 'env'
+                }]
+            }));
+
+            expect(errors).to.deep.equal([{
+                key: 'thing',
+                path: 'Properties.Count',
+                message: 'Expected a value of type [Integer]'
+            }, {
+                key: 'thing',
+                path: 'Properties.Unknown',
+                message: 'Unknown property [Unknown]'
+            }, {
+                key: 'thing',
+                path: 'Properties.Settings.Ratio',
+                message: 'Expected a value of type [Double]'
+            }, {
+                key: 'thing',
+                path: 'Properties.Settings.Enabled',
+                message: 'Missing required property [Enabled]'
+            }, {
+                key: 'thing',
+                path: 'Properties.Ports',
+                message: 'Expected a list'
+            }, {
+                key: 'thing',
+                path: 'Properties.Labels',
+                message: 'Expected a map'
+            }, {
+                key: 'thing',
+                path: 'Properties.Tags[0].Value',
+                message: 'Missing required property [Value]'
+            }, {
+                key: 'thing',
+                path: 'Properties.Name',
+                message: 'Missing required property [Name]'
+            }]);
+        });
+    });
+
+    describe('assertValid()', function() {
+        it('should return a reference to the validator if the document is valid', function() {
+            var validator = new SpecValidator(_createSpecification());
+
+            expect(validator.assertValid(_createDocument({
+                Name: 'thing'
+            }))).to.equal(validator);
+        });
+
+        it('should throw a single error that reports all problems', function() {
+            var validator = new SpecValidator(_createSpecification());
+            var error;
+            try {
+                validator.assertValid(_createDocument({
+                    Count: 'many'
+                }));
+            } catch (ex) {
+                error = ex;
+            }
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.message).to.equal([
+                'Resource specification validation failed:',
+                '  [thing] Properties.Count: Expected a value of type [Integer]',
+                '  [thing] Properties.Name: Missing required property [Name]'
+            ].join('\n'));
+            expect(error.errors).to.have.length(2);
+        });
+    });
+});
@@ -0,0 +1,1232 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _sinon = require('sinon');
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _loggerProvider = require('wysknd-log').loggerProvider;
+var _conditions = require('../../lib/conditions');
+var _tokens = require('../../lib/tokens');
+var StackAssembler = require('../../lib/stack-assembler');
+var Template = require('../../lib/templates/template');
+
+describe('StackAssembler', function() {
+    function _createTemplate(key, type, source, props) {
+        var template = new Template(key, type, props);
+        if (source) {
+            template.setSource(source);
+        }
+        return template;
+    }
+
+    describe('setDescription()', function() {
+        it('should throw an error if invoked without a valid description', function() {
+            var error = 'Invalid description specified (arg #1). Must be a string no longer than 1024 characters';
+            var assembler = new StackAssembler();
+            _testValueProvider.allButString(new Array(1026).join('a')).forEach(function(description) {
+                var setDescription = function() {
+                    return assembler.setDescription(description);
+                };
+                expect(setDescription).to.throw(error);
+            });
+        });
+
+        it('should return a reference to the assembler', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.setDescription('My stack')).to.equal(assembler);
+        });
+    });
+
+    ['setMetadata', 'setDataBag'].forEach(function(method) {
+        describe(method + '()', function() {
+            it('should throw an error if invoked without a valid object', function() {
+                var error = (method === 'setMetadata') ? 'Invalid metadata specified (arg #1)' :
+                    'Invalid data bag specified (arg #1)';
+                var assembler = new StackAssembler();
+                _testValueProvider.allButObject().forEach(function(value) {
+                    var invokeMethod = function() {
+                        return assembler[method](value);
+                    };
+                    expect(invokeMethod).to.throw(error);
+                });
+            });
+
+            it('should return a reference to the assembler', function() {
+                var assembler = new StackAssembler();
+
+                expect(assembler[method]({})).to.equal(assembler);
+            });
+        });
+    });
+
+    describe('assemble()', function() {
+        it('should throw an error if invoked without a valid list of templates', function() {
+            var assembler = new StackAssembler();
+            _testValueProvider.allButArray().forEach(function(templates) {
+                var assemble = function() {
+                    return assembler.assemble(templates);
+                };
+                expect(assemble).to.throw('Invalid templates specified (arg #1)');
+            });
+            var assembleInvalidItem = function() {
+                return assembler.assemble([new Template('topic', 'AWS::SNS::Topic'), {}]);
+            };
+            expect(assembleInvalidItem).to.throw('Invalid template specified at index [1]');
+        });
+
+        it('should assemble the finalized templates into a cloud formation document', function() {
+            var assembler = new StackAssembler({
+                description: 'My stack',
+                metadata: {
+                    Owner: 'core'
+                }
+            });
+            var topic = new Template('alert_topic', 'AWS::SNS::Topic', {
+                DisplayName: 'alerts'
+            });
+
+            expect(assembler.assemble([topic])).to.deep.equal({
+                AWSTemplateFormatVersion: '2010-09-09',
+                Description: 'My stack',
+                Metadata: {
+                    Owner: 'core'
+                },
+                Resources: {
+                    alertTopic: topic.finalize({})
+                }
+            });
+        });
+
+        it('should resolve tokens using the data bag and the properties exported by every template', function() {
+            var assembler = new StackAssembler({
+                dataBag: {
+                    stage: 'dev'
+                }
+            });
+            var topic = new Template('alert_topic', 'AWS::SNS::Topic');
+            var subscription = new Template('alert_subscription', 'AWS::SNS::Subscription', {
+                TopicArn: {
+                    Ref: '<% alert_topic %>'
+                },
+                Endpoint: 'alerts-<% stage %>@example.com'
+            }).addDependency('alert_topic');
+            var document = assembler.assemble([subscription, topic]);
+
+            expect(document.Resources.alertSubscription.Properties).to.deep.equal({
+                TopicArn: {
+                    Ref: 'alertTopic'
+                },
+                Endpoint: 'alerts-dev@example.com'
+            });
+            expect(document.Resources.alertSubscription.DependsOn).to.deep.equal(['alertTopic']);
+        });
+
+        it('should throw an error if two templates have the same key', function() {
+            var assembler = new StackAssembler();
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('alert_topic', 'AWS::SNS::Topic'),
+                    new Template('alertTopic', 'AWS::SNS::Topic')
+                ]);
+            };
+
+            expect(assemble).to.throw('Duplicate template key: [alertTopic]');
+        });
+    });
+
+    describe('toJson()', function() {
+        it('should serialize the assembled document', function() {
+            var assembler = new StackAssembler();
+            var templates = [new Template('topic', 'AWS::SNS::Topic')];
+
+            expect(assembler.toJson(templates)).to.equal(JSON.stringify(assembler.assemble(templates), null, 4));
+            expect(assembler.toJson(templates, 2)).to.equal(JSON.stringify(assembler.assemble(templates), null, 2));
+        });
+    });
+
+    describe('setStrict()', function() {
+        it('should enable or disable strict mode', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.strict).to.be.false;
+            expect(assembler.setStrict(true)).to.equal(assembler);
+            expect(assembler.strict).to.be.true;
+        });
+    });
+
+    describe('assemble() [strict]', function() {
+        function _createTemplates() {
+            return [
+                new Template('topic', 'AWS::SNS::Topic', {
+                    TopicName: '<% stage %>-topic'
+                }),
+                new Template('queue', 'AWS::SQS::Queue', {
+                    QueueName: '<% stage %>-<% name %>'
+                })
+            ];
+        }
+
+        it('should throw a single error that reports every unresolved token', function() {
+            var assembler = new StackAssembler({
+                strict: true
+            });
+            var error;
+            try {
+                assembler.assemble(_createTemplates());
+            } catch (ex) {
+                error = ex;
+            }
+
+            expect(error).to.be.an.instanceof(Error);
+            expect(error.message).to.equal('Unresolved tokens found in templates:\n' +
+                '  [topic] Properties.TopicName: <% stage %>\n' +
+                '  [queue] Properties.QueueName: <% stage %>\n' +
+                '  [queue] Properties.QueueName: <% name %>');
+            expect(error.unresolvedTokens).to.have.length(3);
+            expect(error.unresolvedTokens[0]).to.deep.equal({
+                key: 'topic',
+                path: 'Properties.TopicName',
+                token: 'stage'
+            });
+        });
+
+        it('should not throw an error if all tokens are resolved', function() {
+            var assembler = new StackAssembler({
+                strict: true,
+                dataBag: {
+                    stage: 'dev',
+                    name: 'jobs'
+                }
+            });
+
+            expect(assembler.assemble(_createTemplates()).Resources.queue.Properties.QueueName).to.equal('dev-jobs');
+        });
+
+        it('should not check tokens if strict mode is disabled', function() {
+            var assembler = new StackAssembler();
+            var assemble = function() {
+                return assembler.assemble(_createTemplates());
+            };
+
+            expect(assemble).to.not.throw();
+        });
+    });
+
+    describe('assemble() [outputs]', function() {
+        it('should collect the outputs declared by the templates', function() {
+            var assembler = new StackAssembler();
+            var document = assembler.assemble([
+                new Template('user_table', 'AWS::DynamoDB::Table')
+                    .addAttributeOutput('UserTableArn', 'Arn', {
+                        exportName: {
+                            'Fn::Sub': '${AWS::StackName}-UserTableArn'
+                        }
+                    }),
+                new Template('topic', 'AWS::SNS::Topic').addRefOutput('TopicArn')
+            ]);
+
+            expect(document.Outputs).to.deep.equal({
+                UserTableArn: {
+                    Value: {
+                        'Fn::GetAtt': ['userTable', 'Arn']
+                    },
+                    Export: {
+                        Name: {
+                            'Fn::Sub': '${AWS::StackName}-UserTableArn'
+                        }
+                    }
+                },
+                TopicArn: {
+                    Value: {
+                        Ref: 'topic'
+                    }
+                }
+            });
+        });
+
+        it('should not emit an outputs section if no outputs are declared', function() {
+            var document = new StackAssembler().assemble([
+                new Template('topic', 'AWS::SNS::Topic')
+            ]);
+
+            expect(document).to.not.have.property('Outputs');
+        });
+
+        it('should throw an error if two templates declare outputs with the same name', function() {
+            var assembler = new StackAssembler();
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('topic', 'AWS::SNS::Topic').addRefOutput('Arn'),
+                    new Template('queue', 'AWS::SQS::Queue').addRefOutput('Arn')
+                ]);
+            };
+
+            expect(assemble).to.throw('Duplicate output name: [Arn] declared by template [queue]');
+        });
+
+        it('should report unresolved tokens in export names in strict mode', function() {
+            var assembler = new StackAssembler({
+                strict: true
+            });
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('topic', 'AWS::SNS::Topic').addRefOutput('TopicArn', {
+                        exportName: '<% stage %>-topic-arn'
+                    })
+                ]);
+            };
+
+            expect(assemble).to.throw('Unresolved tokens found in templates:\n' +
+                '  [topic] Outputs.TopicArn.Export.Name: <% stage %>');
+        });
+    });
+
+    describe('addParameter()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            var error = 'Invalid parameter name specified (arg #1). Must be alphanumeric.';
+            var assembler = new StackAssembler();
+            [undefined, null, 123, '', 'stage-name', {}].forEach(function(name) {
+                var addParameter = function() {
+                    return assembler.addParameter(name);
+                };
+                expect(addParameter).to.throw(error);
+            });
+        });
+
+        it('should throw an error if a parameter property is invalid', function() {
+            var assembler = new StackAssembler();
+            var addUnknown = function() {
+                return assembler.addParameter('Stage', {
+                    Label: 'stage'
+                });
+            };
+            var addInvalidType = function() {
+                return assembler.addParameter('Stage', {
+                    NoEcho: 'yes'
+                });
+            };
+
+            expect(addUnknown).to.throw('Invalid parameter property specified (options.Label)');
+            expect(addInvalidType).to.throw('Invalid parameter property specified (options.NoEcho). Must be of type: boolean');
+        });
+
+        it('should throw an error if the parameter type is not supported', function() {
+            var assembler = new StackAssembler();
+            var addParameter = function() {
+                return assembler.addParameter('Stage', {
+                    Type: 'Text'
+                });
+            };
+
+            expect(addParameter).to.throw('Invalid parameter type specified (options.Type)');
+        });
+
+        it('should throw an error if the default value is not one of the allowed values', function() {
+            var assembler = new StackAssembler();
+            var addParameter = function() {
+                return assembler.addParameter('Stage', {
+                    AllowedValues: ['dev', 'prod'],
+                    Default: 'test'
+                });
+            };
+
+            expect(addParameter).to.throw('Default value is not one of the allowed values (options.Default)');
+        });
+
+        it('should throw an error if a parameter with the same name has already been defined', function() {
+            var assembler = new StackAssembler().addParameter('Stage');
+            var addParameter = function() {
+                return assembler.addParameter('Stage');
+            };
+
+            expect(addParameter).to.throw('A parameter with name [Stage] has already been defined');
+        });
+
+        it('should declare the parameter, with a default type of String', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.addParameter('Stage', {
+                AllowedValues: ['dev', 'prod'],
+                Default: 'dev'
+            })).to.equal(assembler);
+            expect(assembler.addParameter('Subnets', {
+                Type: 'List<AWS::EC2::Subnet::Id>'
+            })).to.equal(assembler);
+            expect(assembler.parameters).to.deep.equal({
+                Stage: {
+                    Type: 'String',
+                    AllowedValues: ['dev', 'prod'],
+                    Default: 'dev'
+                },
+                Subnets: {
+                    Type: 'List<AWS::EC2::Subnet::Id>'
+                }
+            });
+        });
+    });
+
+    describe('assemble() [parameters]', function() {
+        it('should emit the parameters section and convert parameter tokens into references', function() {
+            var assembler = new StackAssembler().addParameter('Stage');
+            var document = assembler.assemble([
+                new Template('topic', 'AWS::SNS::Topic', {
+                    TopicName: '<% param:Stage %>'
+                })
+            ]);
+
+            expect(document.Parameters).to.deep.equal({
+                Stage: {
+                    Type: 'String'
+                }
+            });
+            expect(document.Resources.topic.Properties.TopicName).to.deep.equal({
+                Ref: 'Stage'
+            });
+        });
+
+        it('should throw an error that reports every reference to an undeclared parameter', function() {
+            var assembler = new StackAssembler();
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('topic', 'AWS::SNS::Topic', {
+                        TopicName: '<% param:Stage %>-<% param:Name %>'
+                    })
+                ]);
+            };
+
+            expect(assemble).to.throw('Stack parameter validation failed:\n' +
+                '  [topic] references undeclared parameter [Stage]\n' +
+                '  [topic] references undeclared parameter [Name]');
+        });
+
+        it('should throw an error that reports every declared parameter that is never used', function() {
+            var assembler = new StackAssembler()
+                .addParameter('Stage')
+                .addParameter('Owner');
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('handler', 'AWS::Lambda::Function')
+                ]);
+            };
+
+            expect(assemble).to.throw('Stack parameter validation failed:\n' +
+                '  Parameter [Stage] is declared but never used\n' +
+                '  Parameter [Owner] is declared but never used');
+        });
+
+        it('should count references from the metadata and Fn::Sub expressions as usage', function() {
+            var assembler = new StackAssembler()
+                .addParameter('Stage')
+                .addParameter('Owner')
+                .setMetadata({
+                    Owner: {
+                        Ref: 'Owner'
+                    }
+                });
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('handler', 'AWS::Lambda::Function', {
+                        FunctionName: {
+                            'Fn::Sub': 'handler-${Stage}'
+                        }
+                    })
+                ]);
+            };
+
+            expect(assemble).to.not.throw();
+        });
+
+        it('should not count parameters that are only listed in the interface metadata as usage', function() {
+            var assembler = new StackAssembler()
+                .addParameter('Stage')
+                .setMetadata({
+                    'AWS::CloudFormation::Interface': {
+                        ParameterGroups: [{
+                            Label: {
+                                default: 'Environment'
+                            },
+                            Parameters: ['Stage']
+                        }],
+                        ParameterLabels: {
+                            Stage: {
+                                default: 'Deployment stage'
+                            }
+                        }
+                    }
+                });
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('handler', 'AWS::Lambda::Function')
+                ]);
+            };
+
+            expect(assemble).to.throw('Parameter [Stage] is declared but never used');
+        });
+    });
+
+    describe('addCondition()', function() {
+        it('should throw an error if the arguments are invalid', function() {
+            var assembler = new StackAssembler();
+            var addInvalidName = function() {
+                return assembler.addCondition('is-prod', {});
+            };
+            var addInvalidExpression = function() {
+                return assembler.addCondition('IsProd', 'prod');
+            };
+
+            expect(addInvalidName).to.throw('Invalid condition name specified (arg #1). Must be alphanumeric.');
+            expect(addInvalidExpression).to.throw('Invalid condition expression specified (arg #2)');
+        });
+
+        it('should throw an error if a condition with the same name has already been defined', function() {
+            var assembler = new StackAssembler().addCondition('IsProd', {});
+            var addCondition = function() {
+                return assembler.addCondition('IsProd', {});
+            };
+
+            expect(addCondition).to.throw('A condition with name [IsProd] has already been defined');
+        });
+    });
+
+    describe('assemble() [conditions]', function() {
+        it('should emit the conditions section, and the conditions of the templates', function() {
+            var isProd = _conditions.equals({
+                Ref: 'Stage'
+            }, 'prod');
+            var assembler = new StackAssembler().addParameter('Stage');
+
+            expect(assembler.addCondition('IsProd', isProd)).to.equal(assembler);
+            var document = assembler.assemble([
+                new Template('topic', 'AWS::SNS::Topic').setCondition('IsProd')
+            ]);
+
+            expect(document.Conditions).to.deep.equal({
+                IsProd: isProd
+            });
+            expect(document.Resources.topic.Condition).to.equal('IsProd');
+        });
+
+        it('should throw an error that reports every reference to an undeclared condition', function() {
+            var assembler = new StackAssembler()
+                .addCondition('IsProd', _conditions.not(_conditions.condition('IsDev')));
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('topic', 'AWS::SNS::Topic', {
+                        DisplayName: _conditions.if('IsEast', 'east', 'west')
+                    }).setCondition('IsProd'),
+                    new Template('queue', 'AWS::SQS::Queue').setCondition('IsTest')
+                        .addRefOutput('QueueUrl')
+                ]);
+            };
+
+            expect(assemble).to.throw('Stack condition validation failed:\n' +
+                '  [topic] references undeclared condition [IsEast]\n' +
+                '  [queue] references undeclared condition [IsTest]\n' +
+                '  [Conditions.IsProd] references undeclared condition [IsDev]');
+        });
+    });
+
+    describe('addMapping()', function() {
+        it('should throw an error if the arguments are invalid', function() {
+            var assembler = new StackAssembler();
+            var addInvalidName = function() {
+                return assembler.addMapping('role-names', {
+                    dev: {
+                        role: 'dev-role'
+                    }
+                });
+            };
+            var addInvalidTable = function() {
+                return assembler.addMapping('Roles', {});
+            };
+            var addInvalidEntry = function() {
+                return assembler.addMapping('Roles', {
+                    dev: 'dev-role'
+                });
+            };
+            var addInvalidValue = function() {
+                return assembler.addMapping('Roles', {
+                    dev: {
+                        role: true
+                    }
+                });
+            };
+
+            expect(addInvalidName).to.throw('Invalid mapping name specified (arg #1). Must be alphanumeric.');
+            expect(addInvalidTable).to.throw('Invalid mapping table specified (arg #2)');
+            expect(addInvalidEntry).to.throw('Invalid mapping entry specified for key [dev]. Must be an object');
+            expect(addInvalidValue).to.throw('Invalid mapping value specified for key [dev.role]. Must be a string, number or list of strings');
+        });
+
+        it('should throw an error if a mapping with the same name has already been defined', function() {
+            var assembler = new StackAssembler().addMapping('Roles', {
+                dev: {
+                    role: 'dev-role'
+                }
+            });
+            var addMapping = function() {
+                return assembler.addMapping('Roles', {
+                    dev: {
+                        role: 'dev-role'
+                    }
+                });
+            };
+
+            expect(addMapping).to.throw('A mapping with name [Roles] has already been defined');
+        });
+    });
+
+    describe('assemble() [mappings]', function() {
+        function _createAssembler() {
+            return new StackAssembler().addMapping('Capacity', {
+                'us-east-1': {
+                    read: 10,
+                    write: 5
+                },
+                'us-west-2': {
+                    read: 2,
+                    write: 1
+                }
+            });
+        }
+
+        it('should emit the mappings section, and convert map lookup tokens into Fn::FindInMap expressions', function() {
+            var assembler = _createAssembler();
+            var document = assembler.assemble([
+                new Template('table', 'AWS::DynamoDB::Table', {
+                    ReadCapacityUnits: _tokens.findInMap('Capacity', {
+                        Ref: 'AWS::Region'
+                    }, 'read')
+                })
+            ]);
+
+            expect(document.Mappings).to.equal(assembler.mappings);
+            expect(document.Resources.table.Properties.ReadCapacityUnits).to.deep.equal({
+                'Fn::FindInMap': ['Capacity', {
+                    Ref: 'AWS::Region'
+                }, 'read']
+            });
+        });
+
+        it('should throw an error that reports every lookup of an undeclared mapping or key', function() {
+            var assembler = _createAssembler();
+            var assemble = function() {
+                return assembler.assemble([
+                    new Template('table', 'AWS::DynamoDB::Table', {
+                        ReadCapacityUnits: _tokens.findInMap('Sizes', 'dev', 'read'),
+                        WriteCapacityUnits: _tokens.findInMap('Capacity', 'eu-west-1', 'write'),
+                        StreamSpecification: _tokens.findInMap('Capacity', {
+                            Ref: 'AWS::Region'
+                        }, 'stream')
+                    })
+                ]);
+            };
+
+            expect(assemble).to.throw('Stack mapping validation failed:\n' +
+                '  [table] references undeclared mapping [Sizes]\n' +
+                '  [table] references undefined key [eu-west-1] in mapping [Capacity]\n' +
+                '  [table] references undefined key [stream] in mapping [Capacity]');
+        });
+    });
+
+    describe('setCanonical()', function() {
+        it('should enable or disable canonical mode', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.canonical).to.be.false;
+            expect(assembler.setCanonical(true)).to.equal(assembler);
+            expect(assembler.canonical).to.be.true;
+            expect(new StackAssembler({
+                canonical: true
+            }).canonical).to.be.true;
+        });
+    });
+
+    describe('assemble() [canonical]', function() {
+        function _createAssembler(reverse) {
+            var assembler = new StackAssembler().setCanonical(true);
+            var parameters = ['Stage', 'Region'];
+            var conditions = ['IsProd', 'IsDev'];
+            if (reverse) {
+                parameters.reverse();
+                conditions.reverse();
+            }
+            parameters.forEach(function(name) {
+                assembler.addParameter(name, {
+                    Type: 'String'
+                });
+            });
+            conditions.forEach(function(name) {
+                assembler.addCondition(name, {
+                    'Fn::Equals': [{
+                        Ref: 'Stage'
+                    }, name === 'IsProd' ? 'prod' : 'dev']
+                });
+            });
+            return assembler.addMapping('Sizes', {
+                'us-west-2': {
+                    write: 1,
+                    read: 2
+                }
+            });
+        }
+
+        function _createTemplates(reverse) {
+            var templates = [
+                _createTemplate('topic', 'AWS::SNS::Topic', undefined, {
+                    TopicName: {
+                        Ref: 'Region'
+                    },
+                    DisplayName: 'alerts'
+                }).addRefOutput('TopicArn'),
+                _createTemplate('queue', 'AWS::SQS::Queue', undefined, {
+                    VisibilityTimeout: 30,
+                    DelaySeconds: 5
+                }).addRefOutput('QueueUrl')
+            ];
+            return reverse ? templates.reverse() : templates;
+        }
+
+        it('should sort resources by key, and sort the keys within resource attributes', function() {
+            var document = _createAssembler().assemble(_createTemplates());
+
+            expect(Object.keys(document.Resources)).to.deep.equal(['queue', 'topic']);
+            expect(Object.keys(document.Resources.topic.Properties)).to.deep.equal(['DisplayName', 'TopicName']);
+            expect(Object.keys(document.Resources.queue.Properties)).to.deep.equal(['DelaySeconds', 'VisibilityTimeout']);
+        });
+
+        it('should retain the standard order of resource attributes, and the order of array elements', function() {
+            var document = _createAssembler().assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic', undefined, {
+                    TopicName: {
+                        Ref: 'Region'
+                    },
+                    Subscription: [{
+                        Protocol: 'sqs',
+                        Endpoint: 'b'
+                    }, {
+                        Protocol: 'email',
+                        Endpoint: 'a'
+                    }]
+                }).setMetadata('Owner', 'platform').setCondition('IsProd')
+            ]);
+
+            expect(Object.keys(document.Resources.topic)).to.deep.equal(['Type', 'Condition', 'Metadata', 'Properties', 'DependsOn']);
+            expect(document.Resources.topic.Properties.Subscription).to.deep.equal([{
+                Endpoint: 'b',
+                Protocol: 'sqs'
+            }, {
+                Endpoint: 'a',
+                Protocol: 'email'
+            }]);
+        });
+
+        it('should sort the parameters, mappings, conditions and outputs sections', function() {
+            var document = _createAssembler().assemble(_createTemplates());
+
+            expect(Object.keys(document.Parameters)).to.deep.equal(['Region', 'Stage']);
+            expect(Object.keys(document.Mappings.Sizes['us-west-2'])).to.deep.equal(['read', 'write']);
+            expect(Object.keys(document.Conditions)).to.deep.equal(['IsDev', 'IsProd']);
+            expect(Object.keys(document.Outputs)).to.deep.equal(['QueueUrl', 'TopicArn']);
+        });
+
+        it('should emit identical documents regardless of the order in which elements were added', function() {
+            expect(_createAssembler(true).toJson(_createTemplates(true)))
+                .to.equal(_createAssembler().toJson(_createTemplates()));
+        });
+
+        it('should not sort the document if canonical mode is disabled', function() {
+            var document = _createAssembler().setCanonical(false).assemble(_createTemplates());
+
+            expect(Object.keys(document.Resources)).to.deep.equal(['topic', 'queue']);
+            expect(Object.keys(document.Parameters)).to.deep.equal(['Stage', 'Region']);
+        });
+    });
+
+    describe('ctor()', function() {
+        it('should throw an error if the tags are invalid', function() {
+            var createAssembler = function() {
+                return new StackAssembler({
+                    tags: []
+                });
+            };
+
+            expect(createAssembler).to.throw('Invalid tags specified (options.tags)');
+        });
+
+        it('should throw an error if the directory tags are invalid', function() {
+            var createInvalid = function() {
+                return new StackAssembler({
+                    directoryTags: 'api'
+                });
+            };
+            var createInvalidDirectory = function() {
+                return new StackAssembler({
+                    directoryTags: {
+                        api: []
+                    }
+                });
+            };
+
+            expect(createInvalid).to.throw('Invalid directory tags specified (options.directoryTags)');
+            expect(createInvalidDirectory).to.throw('Invalid directory tags specified (options.directoryTags.api)');
+        });
+    });
+
+    describe('addTag()', function() {
+        it('should throw an error if the tag is invalid', function() {
+            var assembler = new StackAssembler();
+            var addTag = function() {
+                return assembler.addTag('aws:reserved', 'value');
+            };
+
+            expect(addTag).to.throw('Invalid tag key specified (arg #1). Keys cannot start with [aws:]');
+        });
+
+        it('should return a reference to the assembler', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.addTag('env', 'dev')).to.equal(assembler);
+        });
+    });
+
+    describe('addDirectoryTag()', function() {
+        it('should throw an error if the directory is invalid', function() {
+            var assembler = new StackAssembler();
+            [undefined, null, 123, ''].forEach(function(directory) {
+                var addDirectoryTag = function() {
+                    return assembler.addDirectoryTag(directory, 'env', 'dev');
+                };
+                expect(addDirectoryTag).to.throw('Invalid directory specified (arg #1)');
+            });
+        });
+
+        it('should report tag errors using the positions of the tag arguments', function() {
+            var assembler = new StackAssembler();
+            var addDirectoryTag = function() {
+                return assembler.addDirectoryTag('api', 'env', null);
+            };
+
+            expect(addDirectoryTag).to.throw('Invalid tag value specified (arg #3)');
+        });
+
+        it('should return a reference to the assembler', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.addDirectoryTag('api', 'env', 'dev')).to.equal(assembler);
+        });
+    });
+
+    describe('assemble() [tags]', function() {
+        afterEach(function() {
+            var logger = _loggerProvider.getLogger('stack_assembler');
+            if (logger.warn.restore) {
+                logger.warn.restore();
+            }
+        });
+
+        it('should apply stack wide tags to every taggable resource', function() {
+            var assembler = new StackAssembler({
+                tags: {
+                    env: 'dev'
+                }
+            });
+            var document = assembler.assemble([
+                _createTemplate('handler', 'AWS::Lambda::Function'),
+                _createTemplate('permission', 'AWS::Lambda::Permission')
+            ]);
+
+            expect(document.Resources.handler.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }]);
+            expect(document.Resources.permission.Properties.Tags).to.be.undefined;
+        });
+
+        it('should apply tags in the list format to resource types that are not defined in the specification', function() {
+            var assembler = new StackAssembler({
+                tags: {
+                    env: 'dev'
+                }
+            });
+            var document = assembler.assemble([
+                _createTemplate('queue', 'AWS::SQS::Queue'),
+                _createTemplate('topic', 'AWS::SNS::Topic')
+            ]);
+
+            expect(document.Resources.queue.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }]);
+            expect(document.Resources.topic.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }]);
+        });
+
+        it('should log a warning for resources that are skipped because their type does not support tags', function() {
+            var warnSpy = _sinon.spy(_loggerProvider.getLogger('stack_assembler'), 'warn');
+            var assembler = new StackAssembler({
+                tags: {
+                    env: 'dev'
+                }
+            });
+            assembler.assemble([
+                _createTemplate('permission', 'AWS::Lambda::Permission')
+            ]);
+
+            expect(warnSpy).to.have.been.calledWith('Skipping tags for resource type: [AWS::Lambda::Permission]');
+        });
+
+        it('should apply directory tags to resources emitted from the directory and its sub directories', function() {
+            var assembler = new StackAssembler({
+                tags: {
+                    env: 'dev',
+                    team: 'core'
+                },
+                directoryTags: {
+                    './api/': {
+                        team: 'api'
+                    },
+                    'api/users': {
+                        owner: 'users'
+                    }
+                }
+            });
+            var document = assembler.assemble([
+                _createTemplate('root', 'AWS::Lambda::Function', 'root.js'),
+                _createTemplate('api', 'AWS::Lambda::Function', 'api/api.js'),
+                _createTemplate('users', 'AWS::Lambda::Function', 'api/users/users.js')
+            ]);
+
+            expect(document.Resources.root.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }, {
+                Key: 'team',
+                Value: 'core'
+            }]);
+            expect(document.Resources.api.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }, {
+                Key: 'team',
+                Value: 'api'
+            }]);
+            expect(document.Resources.users.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }, {
+                Key: 'team',
+                Value: 'api'
+            }, {
+                Key: 'owner',
+                Value: 'users'
+            }]);
+        });
+
+        it('should give precedence to tags declared by the templates', function() {
+            var assembler = new StackAssembler({
+                tags: {
+                    env: 'dev'
+                }
+            });
+            var template = _createTemplate('handler', 'AWS::Lambda::Function').addTag('env', 'prod');
+            var document = assembler.assemble([template]);
+
+            expect(document.Resources.handler.Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'prod'
+            }]);
+        });
+    });
+
+    describe('setProvenance()', function() {
+        it('should enable or disable provenance metadata', function() {
+            var assembler = new StackAssembler();
+
+            expect(assembler.provenance).to.be.false;
+            expect(assembler.setProvenance(true)).to.equal(assembler);
+            expect(assembler.provenance).to.be.true;
+            expect(new StackAssembler({
+                provenance: true
+            }).provenance).to.be.true;
+        });
+    });
+
+    describe('assemble() [provenance]', function() {
+        it('should emit the source and level of each template in the resource metadata', function() {
+            var assembler = new StackAssembler().setProvenance(true);
+            var document = assembler.assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic').setSource('alerts/topic.js', 2)
+                    .setMetadata('Owner', 'platform'),
+                _createTemplate('queue', 'AWS::SQS::Queue', 'queue.js')
+            ]);
+
+            expect(document.Resources.topic.Metadata).to.deep.equal({
+                Owner: 'platform',
+                Generator: {
+                    Source: 'alerts/topic.js',
+                    Level: 2
+                }
+            });
+            expect(document.Resources.queue.Metadata).to.deep.equal({
+                Generator: {
+                    Source: 'queue.js'
+                }
+            });
+        });
+
+        it('should not emit provenance metadata by default', function() {
+            var document = new StackAssembler().assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic', 'topic.js')
+            ]);
+
+            expect(document.Resources.topic).to.not.have.property('Metadata');
+        });
+
+        it('should not emit provenance metadata for templates without a source', function() {
+            var document = new StackAssembler().setProvenance(true).assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic')
+            ]);
+
+            expect(document.Resources.topic).to.not.have.property('Metadata');
+        });
+
+        it('should not override generator metadata declared by the template', function() {
+            var document = new StackAssembler().setProvenance(true).assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic', 'topic.js').setMetadata('Generator', 'custom')
+            ]);
+
+            expect(document.Resources.topic.Metadata).to.deep.equal({
+                Generator: 'custom'
+            });
+        });
+    });
+
+    ['addPreFinalizeHook', 'addPostFinalizeHook'].forEach(function(method) {
+        describe(method + '()', function() {
+            it('should throw an error if invoked without a valid handler', function() {
+                var assembler = new StackAssembler();
+                [undefined, null, 123, 'abc', {}].forEach(function(handler) {
+                    var addHook = function() {
+                        return assembler[method](handler);
+                    };
+                    expect(addHook).to.throw('Invalid handler specified (arg #1)');
+                });
+            });
+
+            it('should throw an error if the type is invalid', function() {
+                var assembler = new StackAssembler();
+                var error = 'Invalid type specified (options.type). Must be a string or an array of strings';
+                [null, 123, '', [],
+                    ['AWS::SNS::Topic', 123]
+                ].forEach(function(type) {
+                    var addHook = function() {
+                        return assembler[method](function() {}, {
+                            type: type
+                        });
+                    };
+                    expect(addHook).to.throw(error);
+                });
+            });
+
+            it('should throw an error if the order is invalid', function() {
+                var assembler = new StackAssembler();
+                [null, 'abc', NaN].forEach(function(order) {
+                    var addHook = function() {
+                        return assembler[method](function() {}, {
+                            order: order
+                        });
+                    };
+                    expect(addHook).to.throw('Invalid order specified (options.order)');
+                });
+            });
+
+            it('should return a reference to the assembler', function() {
+                var assembler = new StackAssembler();
+
+                expect(assembler[method](function() {})).to.equal(assembler);
+            });
+        });
+    });
+
+    describe('assemble() [pre finalize hooks]', function() {
+        it('should invoke hooks in order on templates that match the hook types', function() {
+            var calls = [];
+            var assembler = new StackAssembler({
+                dataBag: {
+                    stage: 'dev'
+                }
+            });
+            assembler.addPreFinalizeHook(function(template, context) {
+                calls.push('second:' + template.key + ':' + context.dataBag.stage);
+            }, {
+                type: 'AWS::Lambda::*',
+                order: 1
+            }).addPreFinalizeHook(function(template) {
+                calls.push('first:' + template.key);
+            }, {
+                type: ['AWS::Lambda::Function', 'AWS::SNS::Topic']
+            });
+            assembler.assemble([
+                _createTemplate('handler', 'AWS::Lambda::Function'),
+                _createTemplate('topic', 'AWS::SNS::Topic'),
+                _createTemplate('queue', 'AWS::SQS::Queue')
+            ]);
+
+            expect(calls).to.deep.equal([
+                'first:handler',
+                'first:topic',
+                'second:handler:dev'
+            ]);
+        });
+
+        it('should add, replace and remove templates based on the value returned by the hook', function() {
+            var assembler = new StackAssembler();
+            assembler.addPreFinalizeHook(function(template) {
+                if (template.key === 'queue') {
+                    return null;
+                }
+                return [template, _createTemplate(template.key + 'Alarm', 'AWS::CloudWatch::Alarm')];
+            });
+            var document = assembler.assemble([
+                _createTemplate('handler', 'AWS::Lambda::Function'),
+                _createTemplate('queue', 'AWS::SQS::Queue')
+            ]);
+
+            expect(document.Resources).to.have.keys(['handler', 'handlerAlarm']);
+        });
+
+        it('should visit templates added by a hook only with hooks that run later', function() {
+            var visited = [];
+            var assembler = new StackAssembler();
+            assembler.addPreFinalizeHook(function(template) {
+                return [template, _createTemplate('added', 'AWS::SNS::Topic')];
+            }, {
+                type: 'AWS::Lambda::Function'
+            }).addPreFinalizeHook(function(template) {
+                visited.push(template.key);
+            });
+            assembler.assemble([
+                _createTemplate('handler', 'AWS::Lambda::Function')
+            ]);
+
+            expect(visited).to.deep.equal(['handler', 'added']);
+        });
+
+        it('should throw an error if a hook returns an invalid template', function() {
+            var assembler = new StackAssembler();
+            assembler.addPreFinalizeHook(function() {
+                return {
+                    Type: 'AWS::SNS::Topic'
+                };
+            });
+            var assemble = function() {
+                return assembler.assemble([
+                    _createTemplate('topic', 'AWS::SNS::Topic')
+                ]);
+            };
+
+            expect(assemble).to.throw('Invalid template returned by pre finalize hook for template [topic]');
+        });
+
+        it('should not modify the templates passed to the assembler', function() {
+            var template = _createTemplate('topic', 'AWS::SNS::Topic');
+            var assembler = new StackAssembler();
+            assembler.addPreFinalizeHook(function(template) {
+                template.setMetadata('owner', 'core');
+                template.addDependency('queue');
+            });
+            var first = assembler.assemble([template]);
+            var second = assembler.assemble([template]);
+
+            expect(template.attributes).to.deep.equal({});
+            expect(template.dependencies).to.deep.equal([]);
+            expect(first.Resources.topic.Metadata).to.deep.equal({
+                owner: 'core'
+            });
+            expect(second.Resources.topic).to.deep.equal(first.Resources.topic);
+        });
+    });
+
+    describe('assemble() [post finalize hooks]', function() {
+        it('should invoke hooks in order on resources that match the hook types', function() {
+            var calls = [];
+            var assembler = new StackAssembler();
+            assembler.addPostFinalizeHook(function(resource, key, context) {
+                calls.push('second:' + key + ':' + Object.keys(context.resources).length);
+            }, {
+                order: 2
+            }).addPostFinalizeHook(function(resource, key) {
+                calls.push('first:' + key + ':' + resource.Type);
+            }, {
+                type: 'AWS::SNS::*',
+                order: -1
+            });
+            assembler.assemble([
+                _createTemplate('handler', 'AWS::Lambda::Function'),
+                _createTemplate('topic', 'AWS::SNS::Topic')
+            ]);
+
+            expect(calls).to.deep.equal([
+                'first:topic:AWS::SNS::Topic',
+                'second:handler:2',
+                'second:topic:2'
+            ]);
+        });
+
+        it('should replace, remove and add resources', function() {
+            var assembler = new StackAssembler();
+            assembler.addPostFinalizeHook(function(resource, key, context) {
+                if (key === 'queue') {
+                    return null;
+                }
+                context.resources.alarm = {
+                    Type: 'AWS::CloudWatch::Alarm'
+                };
+                return {
+                    Type: resource.Type,
+                    Properties: {
+                        TopicName: 'replaced'
+                    }
+                };
+            }, {
+                type: ['AWS::SNS::Topic', 'AWS::SQS::Queue']
+            });
+            var document = assembler.assemble([
+                _createTemplate('topic', 'AWS::SNS::Topic'),
+                _createTemplate('queue', 'AWS::SQS::Queue')
+            ]);
+
+            expect(document.Resources).to.have.keys(['topic', 'alarm']);
+            expect(document.Resources.topic).to.deep.equal({
+                Type: 'AWS::SNS::Topic',
+                Properties: {
+                    TopicName: 'replaced'
+                }
+            });
+        });
+
+        it('should throw an error if a hook returns an invalid resource', function() {
+            var assembler = new StackAssembler();
+            assembler.addPostFinalizeHook(function() {
+                return {
+                    Properties: {}
+                };
+            });
+            var assemble = function() {
+                return assembler.assemble([
+                    _createTemplate('topic', 'AWS::SNS::Topic')
+                ]);
+            };
+
+            expect(assemble).to.throw('Invalid resource returned by post finalize hook for resource [topic]');
+        });
+    });
+});
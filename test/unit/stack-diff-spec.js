@@ -0,0 +1,308 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var StackDiff = require('../../lib/stack-diff');
+var SpecValidator = require('../../lib/spec-validator');
+
+describe('StackDiff', function() {
+    function _createValidator() {
+        return new SpecValidator({
+            PropertyTypes: {
+                'AWS::Test::Table.Key': {
+                    Properties: {
+                        Name: {
+                            PrimitiveType: 'String',
+                            UpdateType: 'Immutable'
+                        },
+                        Label: {
+                            PrimitiveType: 'String',
+                            UpdateType: 'Mutable'
+                        }
+                    }
+                }
+            },
+            ResourceTypes: {
+                'AWS::Test::Table': {
+                    Properties: {
+                        Name: {
+                            PrimitiveType: 'String',
+                            UpdateType: 'Immutable'
+                        },
+                        Size: {
+                            PrimitiveType: 'Integer',
+                            UpdateType: 'Mutable'
+                        },
+                        Mode: {
+                            PrimitiveType: 'String',
+                            UpdateType: 'Conditional'
+                        },
+                        Keys: {
+                            Type: 'List',
+                            ItemType: 'Key',
+                            UpdateType: 'Mutable'
+                        }
+                    }
+                }
+            }
+        });
+    }
+
+    function _createDocument(properties) {
+        return _fixtures.createDocument({
+            table: {
+                Type: 'AWS::Test::Table',
+                Properties: Object.assign({
+                    Name: 'users',
+                    Size: 1,
+                    Mode: 'fast',
+                    Keys: [{
+                        Name: 'id',
+                        Label: 'Id'
+                    }]
+                }, properties)
+            }
+        }, {
+            Parameters: {
+                Stage: {
+                    Type: 'String'
+                }
+            }
+        });
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid old document', function() {
+            var error = 'Invalid old document specified (arg #1)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(document) {
+                var createDiff = function() {
+                    return new StackDiff(document, {});
+                };
+                expect(createDiff).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid new document', function() {
+            var error = 'Invalid new document specified (arg #2)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(document) {
+                var createDiff = function() {
+                    return new StackDiff({}, document);
+                };
+                expect(createDiff).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the validator is invalid', function() {
+            var error = 'Invalid validator specified (arg #3)';
+            [null, 123, 'abc', {}].forEach(function(validator) {
+                var createDiff = function() {
+                    return new StackDiff({}, {}, validator);
+                };
+                expect(createDiff).to.throw(error);
+            });
+        });
+    });
+
+    describe('report', function() {
+        it('should report no changes for identical documents', function() {
+            var diff = new StackDiff(_createDocument(), _createDocument(), _createValidator());
+
+            expect(diff.hasChanges).to.be.false;
+            expect(diff.replacements).to.deep.equal([]);
+            expect(diff.report.resources).to.deep.equal({
+                added: [],
+                removed: [],
+                modified: []
+            });
+        });
+
+        it('should report added and removed resources', function() {
+            var oldDocument = _createDocument();
+            var newDocument = _createDocument();
+            oldDocument.Resources.queue = {
+                Type: 'AWS::SQS::Queue'
+            };
+            newDocument.Resources.topic = {
+                Type: 'AWS::SNS::Topic'
+            };
+            var diff = new StackDiff(oldDocument, newDocument, _createValidator());
+
+            expect(diff.hasChanges).to.be.true;
+            expect(diff.report.resources.added).to.deep.equal([{
+                key: 'topic',
+                type: 'AWS::SNS::Topic'
+            }]);
+            expect(diff.report.resources.removed).to.deep.equal([{
+                key: 'queue',
+                type: 'AWS::SQS::Queue'
+            }]);
+        });
+
+        it('should report property changes with the update type of each property', function() {
+            var diff = new StackDiff(_createDocument(), _createDocument({
+                Size: 2,
+                Extra: true
+            }), _createValidator());
+
+            expect(diff.report.resources.modified).to.deep.equal([{
+                key: 'table',
+                type: 'AWS::Test::Table',
+                impact: 'Unknown',
+                changes: [{
+                    change: 'modified',
+                    path: 'Properties.Size',
+                    oldValue: 1,
+                    newValue: 2,
+                    updateType: 'Mutable'
+                }, {
+                    change: 'added',
+                    path: 'Properties.Extra',
+                    newValue: true,
+                    updateType: undefined
+                }]
+            }]);
+        });
+
+        it('should predict the impact of changes based on the most severe update type', function() {
+            var validator = _createValidator();
+            var mutable = new StackDiff(_createDocument(), _createDocument({
+                Size: 2
+            }), validator);
+            var conditional = new StackDiff(_createDocument(), _createDocument({
+                Size: 2,
+                Mode: 'slow'
+            }), validator);
+            var replacement = new StackDiff(_createDocument(), _createDocument({
+                Mode: 'slow',
+                Name: 'accounts'
+            }), validator);
+
+            expect(mutable.report.resources.modified[0].impact).to.equal('Update');
+            expect(conditional.report.resources.modified[0].impact).to.equal('Conditional');
+            expect(replacement.report.resources.modified[0].impact).to.equal('Replacement');
+            expect(conditional.replacements).to.deep.equal([]);
+            expect(replacement.replacements.map(function(resource) {
+                return resource.key;
+            })).to.deep.equal(['table']);
+        });
+
+        it('should use the update types of nested properties', function() {
+            var diff = new StackDiff(_createDocument(), _createDocument({
+                Keys: [{
+                    Name: 'key',
+                    Label: 'Id'
+                }]
+            }), _createValidator());
+            var resource = diff.report.resources.modified[0];
+
+            expect(resource.changes[0].path).to.equal('Properties.Keys[0].Name');
+            expect(resource.changes[0].updateType).to.equal('Immutable');
+            expect(resource.impact).to.equal('Replacement');
+        });
+
+        it('should treat changes to the resource type as a replacement', function() {
+            var newDocument = _createDocument();
+            newDocument.Resources.table.Type = 'AWS::Test::OtherTable';
+            var diff = new StackDiff(_createDocument(), newDocument, _createValidator());
+            var resource = diff.report.resources.modified[0];
+
+            expect(resource.impact).to.equal('Replacement');
+            expect(resource.changes).to.deep.equal([{
+                change: 'modified',
+                path: 'Type',
+                oldValue: 'AWS::Test::Table',
+                newValue: 'AWS::Test::OtherTable'
+            }]);
+        });
+
+        it('should report added, removed and modified entries in other sections', function() {
+            var oldDocument = _createDocument();
+            var newDocument = _createDocument();
+            oldDocument.Parameters.Removed = {
+                Type: 'String'
+            };
+            newDocument.Parameters.Stage.Default = 'dev';
+            newDocument.Outputs = {
+                TableName: {
+                    Value: {
+                        Ref: 'table'
+                    }
+                }
+            };
+            var diff = new StackDiff(oldDocument, newDocument, _createValidator());
+
+            expect(diff.report.parameters).to.deep.equal({
+                added: [],
+                removed: ['Removed'],
+                modified: ['Stage']
+            });
+            expect(diff.report.outputs).to.deep.equal({
+                added: ['TableName'],
+                removed: [],
+                modified: []
+            });
+            expect(diff.report.mappings.added).to.deep.equal([]);
+            expect(diff.report.conditions.added).to.deep.equal([]);
+        });
+    });
+
+    describe('toJson()', function() {
+        it('should serialize the report', function() {
+            var diff = new StackDiff(_createDocument(), _createDocument(), _createValidator());
+
+            expect(JSON.parse(diff.toJson())).to.deep.equal(JSON.parse(JSON.stringify(diff.report)));
+            expect(diff.toJson(0)).to.equal(JSON.stringify(diff.report));
+        });
+    });
+
+    describe('toText()', function() {
+        it('should report that there are no changes', function() {
+            var diff = new StackDiff(_createDocument(), _createDocument(), _createValidator());
+
+            expect(diff.toText()).to.equal('No changes\n');
+        });
+
+        it('should summarize the differences', function() {
+            var oldDocument = _createDocument();
+            var newDocument = _createDocument({
+                Size: 2,
+                Keys: [{
+                    Name: 'key',
+                    Label: 'Id'
+                }]
+            });
+            oldDocument.Resources.queue = {
+                Type: 'AWS::SQS::Queue'
+            };
+            newDocument.Resources.topic = {
+                Type: 'AWS::SNS::Topic'
+            };
+            newDocument.Parameters.Extra = {
+                Type: 'String'
+            };
+            var diff = new StackDiff(oldDocument, newDocument, _createValidator());
+
+            expect(diff.toText()).to.equal([
+                'Resources',
+                '  + topic (AWS::SNS::Topic)',
+                '  - queue (AWS::SQS::Queue)',
+                '  ~ table (AWS::Test::Table) [Replacement]',
+                '      ~ Properties.Size: 1 -> 2 (Mutable)',
+                '      ~ Properties.Keys[0].Name: "id" -> "key" (Immutable)',
+                'Parameters',
+                '  + Extra',
+                ''
+            ].join('\n'));
+        });
+    });
+});
@@ -0,0 +1,179 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var _stackLimits = require('../../lib/stack-limits');
+
+describe('stackLimits', function() {
+    function _createDocument(resourceCount) {
+        var resources = {};
+        for (var index = 0; index < resourceCount; index++) {
+            resources['queue' + index] = {
+                Type: 'AWS::SQS::Queue'
+            };
+        }
+        return _fixtures.createDocument(resources);
+    }
+
+    function _findMeasurement(report, limit) {
+        return report.measurements.find(function(measurement) {
+            return measurement.limit === limit;
+        });
+    }
+
+    it('should implement methods required by the interface', function() {
+        expect(_stackLimits).to.have.property('DEFAULT_LIMITS').and.to.be.an('object');
+        expect(_stackLimits).to.have.property('check').and.to.be.a('function');
+    });
+
+    it('should use the current cloud formation quotas as default limits', function() {
+        expect(_stackLimits.DEFAULT_LIMITS).to.deep.equal({
+            resources: 500,
+            parameters: 200,
+            outputs: 200,
+            mappings: 200,
+            bodySize: 51200,
+            logicalIdLength: 255
+        });
+        expect(Object.isFrozen(_stackLimits.DEFAULT_LIMITS)).to.be.true;
+    });
+
+    describe('check()', function() {
+        it('should throw an error if invoked without a valid document', function() {
+            var error = 'Invalid document specified (arg #1)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(document) {
+                var check = function() {
+                    return _stackLimits.check(document);
+                };
+                expect(check).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the threshold is invalid', function() {
+            var error = 'Invalid threshold specified (options.threshold). Must be a number between 0 and 1';
+            ['abc', 0, -1, 1.5, null].forEach(function(threshold) {
+                var check = function() {
+                    return _stackLimits.check(_createDocument(1), {
+                        threshold: threshold
+                    });
+                };
+                expect(check).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the limits are invalid', function() {
+            var check = function() {
+                return _stackLimits.check(_createDocument(1), {
+                    limits: 'abc'
+                });
+            };
+
+            expect(check).to.throw('Invalid limits specified (options.limits)');
+        });
+
+        it('should throw an error if an unknown or invalid limit is specified', function() {
+            var checkUnknown = function() {
+                return _stackLimits.check(_createDocument(1), {
+                    limits: {
+                        widgets: 10
+                    }
+                });
+            };
+            var checkInvalid = function() {
+                return _stackLimits.check(_createDocument(1), {
+                    limits: {
+                        resources: 0
+                    }
+                });
+            };
+
+            expect(checkUnknown).to.throw('Unknown limit specified (options.limits.widgets)');
+            expect(checkInvalid).to.throw('Invalid limit specified (options.limits.resources)');
+        });
+
+        it('should throw an error if the body is not a string', function() {
+            var check = function() {
+                return _stackLimits.check(_createDocument(1), {
+                    body: {}
+                });
+            };
+
+            expect(check).to.throw('Invalid body specified (options.body)');
+        });
+
+        it('should ignore options and limits that are undefined', function() {
+            var report = _stackLimits.check(_createDocument(1), {
+                threshold: undefined,
+                s3: undefined,
+                limits: {
+                    resources: undefined
+                }
+            });
+
+            expect(_findMeasurement(report, 'resources').max).to.equal(500);
+            expect(_findMeasurement(report, 'bodySize').max).to.equal(51200);
+        });
+
+        it('should report measurements for every limit', function() {
+            var report = _stackLimits.check(_createDocument(2));
+
+            expect(report.measurements.map(function(measurement) {
+                return measurement.limit;
+            })).to.deep.equal(['resources', 'parameters', 'outputs', 'mappings', 'bodySize', 'logicalIdLength']);
+            expect(_findMeasurement(report, 'resources').value).to.equal(2);
+            expect(_findMeasurement(report, 'parameters').value).to.equal(0);
+            expect(_findMeasurement(report, 'logicalIdLength').value).to.equal(6);
+            expect(report.warnings).to.deep.equal([]);
+            expect(report.errors).to.deep.equal([]);
+        });
+
+        it('should measure the size of the body if one is specified', function() {
+            var report = _stackLimits.check(_createDocument(1), {
+                body: 'abcd'
+            });
+
+            expect(_findMeasurement(report, 'bodySize').value).to.equal(4);
+        });
+
+        it('should use the s3 body size limit if s3 is set to true', function() {
+            var report = _stackLimits.check(_createDocument(1), {
+                s3: true
+            });
+
+            expect(_findMeasurement(report, 'bodySize').max).to.equal(1048576);
+        });
+
+        it('should report warnings above the threshold, and errors above the limit', function() {
+            var report = _stackLimits.check(_createDocument(9), {
+                threshold: 0.5,
+                limits: {
+                    resources: 8,
+                    logicalIdLength: 10
+                }
+            });
+
+            expect(report.errors).to.deep.equal([{
+                message: 'Number of resources exceeds the limit: 9 > 8',
+                limit: 'resources',
+                value: 9,
+                max: 8
+            }]);
+            expect(report.warnings).to.have.length(9);
+            expect(report.warnings[0]).to.deep.equal({
+                message: 'Logical id length [queue0] is approaching the limit: 6 of 10',
+                limit: 'logicalIdLength',
+                value: 6,
+                max: 10,
+                key: 'queue0'
+            });
+        });
+    });
+});
@@ -0,0 +1,563 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var StackPartitioner = require('../../lib/stack-partitioner');
+var StackAssembler = require('../../lib/stack-assembler');
+var Template = require('../../lib/templates/template');
+
+describe('StackPartitioner', function() {
+    var TEMPLATE_URL = 'https://bucket/stacks/';
+
+    function _createDocument() {
+        return _fixtures.createDocument({
+            topic: {
+                Type: 'AWS::SNS::Topic',
+                Condition: 'IsProd'
+            },
+            queue: {
+                Type: 'AWS::SQS::Queue',
+                Properties: {
+                    Size: {
+                        'Fn::FindInMap': ['Sizes', {
+                            Ref: 'Stage'
+                        }, 'size']
+                    },
+                    Subnets: {
+                        Ref: 'Subnets'
+                    }
+                }
+            },
+            subscription: {
+                Type: 'AWS::SNS::Subscription',
+                DependsOn: ['queue'],
+                Properties: {
+                    TopicArn: {
+                        Ref: 'topic'
+                    },
+                    Endpoint: {
+                        'Fn::GetAtt': ['queue', 'Arn']
+                    },
+                    Name: {
+                        'Fn::Sub': '${queue.QueueName}-${Stage}-${topic}'
+                    }
+                }
+            }
+        }, {
+            Description: 'My stack',
+            Metadata: {
+                Owner: 'team'
+            },
+            Parameters: {
+                Stage: {
+                    Type: 'String'
+                },
+                Subnets: {
+                    Type: 'List<AWS::EC2::Subnet::Id>'
+                }
+            },
+            Mappings: {
+                Sizes: {
+                    dev: {
+                        size: 1
+                    }
+                }
+            },
+            Conditions: {
+                IsProd: {
+                    'Fn::Equals': [{
+                        Ref: 'Stage'
+                    }, 'prod']
+                }
+            },
+            Outputs: {
+                QueueArn: {
+                    Value: {
+                        'Fn::GetAtt': ['queue', 'Arn']
+                    }
+                }
+            }
+        });
+    }
+
+    function _createAssignments() {
+        return {
+            topic: 'messaging',
+            queue: 'queues',
+            subscription: 'messaging'
+        };
+    }
+
+    function _createTemplate(key, source, props) {
+        var template = new Template(key, 'AWS::SQS::Queue', props);
+        template.setSource(source);
+        return template;
+    }
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without valid options', function() {
+            var error = 'Invalid options specified (arg #1)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(options) {
+                var createPartitioner = function() {
+                    return new StackPartitioner(options);
+                };
+                expect(createPartitioner).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the template url is invalid', function() {
+            var error = 'Invalid template url specified (options.templateUrl)';
+            [undefined, null, 123, '', {}, []].forEach(function(templateUrl) {
+                var createPartitioner = function() {
+                    return new StackPartitioner({
+                        templateUrl: templateUrl
+                    });
+                };
+                expect(createPartitioner).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the strategy is invalid', function() {
+            var error = 'Invalid strategy specified (options.strategy). Must be a function or one of [directory,components]';
+            [null, 123, 'size', {}].forEach(function(strategy) {
+                var createPartitioner = function() {
+                    return new StackPartitioner({
+                        templateUrl: TEMPLATE_URL,
+                        strategy: strategy
+                    });
+                };
+                expect(createPartitioner).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the max resources value is invalid', function() {
+            var error = 'Invalid max resources specified (options.maxResources)';
+            [null, 'abc', 0, -1, 1.5].forEach(function(maxResources) {
+                var createPartitioner = function() {
+                    return new StackPartitioner({
+                        templateUrl: TEMPLATE_URL,
+                        maxResources: maxResources
+                    });
+                };
+                expect(createPartitioner).to.throw(error);
+            });
+        });
+    });
+
+    describe('splitDocument()', function() {
+        it('should throw an error if invoked without a valid document', function() {
+            var error = 'Invalid document specified (arg #1)';
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            _testValueProvider.allButObject().concat([
+                [], {}
+            ]).forEach(function(document) {
+                var split = function() {
+                    return partitioner.splitDocument(document, {});
+                };
+                expect(split).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without valid assignments', function() {
+            var error = 'Invalid assignments specified (arg #2)';
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(assignments) {
+                var split = function() {
+                    return partitioner.splitDocument(_createDocument(), assignments);
+                };
+                expect(split).to.throw(error);
+            });
+        });
+
+        it('should throw an error if a resource has not been assigned to a partition', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var split = function() {
+                return partitioner.splitDocument(_createDocument(), {
+                    topic: 'messaging',
+                    queue: 'queues'
+                });
+            };
+
+            expect(split).to.throw('No partition assigned to resource: [subscription]');
+        });
+
+        it('should throw an error if partition names are invalid or conflict', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var splitInvalid = function() {
+                return partitioner.splitDocument(_createDocument(), {
+                    topic: '$$$',
+                    queue: 'queues',
+                    subscription: 'queues'
+                });
+            };
+            var splitDuplicate = function() {
+                return partitioner.splitDocument(_createDocument(), {
+                    topic: 'my-queues',
+                    queue: 'my_queues',
+                    subscription: 'my-queues'
+                });
+            };
+            var splitConflict = function() {
+                var document = _createDocument();
+                document.Resources.queuesStack = {
+                    Type: 'AWS::SQS::Queue'
+                };
+                var assignments = _createAssignments();
+                assignments.queuesStack = 'queues';
+                return partitioner.splitDocument(document, assignments);
+            };
+
+            expect(splitInvalid).to.throw('Invalid partition name: [$$$]');
+            expect(splitDuplicate).to.throw('Partitions [my-queues] and [my_queues] map to the same stack: [myQueuesStack]');
+            expect(splitConflict).to.throw('Stack key for partition [queues] conflicts with an existing key: [queuesStack]');
+        });
+
+        it('should create one child document per partition', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+
+            expect(result.children).to.have.all.keys('messaging', 'queues');
+            expect(result.children.messaging.AWSTemplateFormatVersion).to.equal('2010-09-09');
+            expect(result.children.messaging.Description).to.equal('My stack (messaging)');
+            expect(result.children.messaging.Resources).to.have.all.keys('topic', 'subscription');
+            expect(result.children.queues.Resources).to.have.all.keys('queue');
+        });
+
+        it('should rewrite Ref, Fn::GetAtt and Fn::Sub references to resources in other partitions', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+            var messaging = result.children.messaging;
+            var queues = result.children.queues;
+
+            expect(messaging.Resources.subscription.Properties).to.deep.equal({
+                TopicArn: {
+                    Ref: 'topic'
+                },
+                Endpoint: {
+                    Ref: 'QueueArn'
+                },
+                Name: {
+                    'Fn::Sub': '${QueueQueueName}-${Stage}-${topic}'
+                }
+            });
+            expect(messaging.Parameters.QueueArn).to.deep.equal({
+                Type: 'String'
+            });
+            expect(messaging.Parameters.QueueQueueName).to.deep.equal({
+                Type: 'String'
+            });
+            expect(queues.Outputs).to.deep.equal({
+                QueueArn: {
+                    Value: {
+                        'Fn::GetAtt': ['queue', 'Arn']
+                    }
+                },
+                QueueQueueName: {
+                    Value: {
+                        'Fn::GetAtt': ['queue', 'QueueName']
+                    }
+                }
+            });
+        });
+
+        it('should use a variable map for Fn::Sub references that are not simple parameters', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var document = _createDocument();
+            document.Outputs = {
+                Summary: {
+                    Value: {
+                        'Fn::Sub': ['${queue.Arn}:${Suffix}', {
+                            Suffix: {
+                                Ref: 'queue'
+                            }
+                        }]
+                    }
+                }
+            };
+            var result = partitioner.splitDocument(document, _createAssignments());
+
+            expect(result.parent.Outputs.Summary.Value).to.deep.equal({
+                'Fn::Sub': ['${QueueArn}:${Suffix}', {
+                    Suffix: {
+                        'Fn::GetAtt': ['queuesStack', 'Outputs.QueueRef']
+                    },
+                    QueueArn: {
+                        'Fn::GetAtt': ['queuesStack', 'Outputs.QueueArn']
+                    }
+                }]
+            });
+        });
+
+        it('should copy the conditions of conditional resources to the outputs that reference them', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), {
+                topic: 'topics',
+                queue: 'queues',
+                subscription: 'queues'
+            });
+
+            expect(result.children.topics.Outputs.TopicRef).to.deep.equal({
+                Value: {
+                    Ref: 'topic'
+                },
+                Condition: 'IsProd'
+            });
+        });
+
+        it('should pass stack parameters through to the partitions that use them', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+            var stack = result.parent.Resources.queuesStack;
+
+            expect(result.parent.Parameters).to.deep.equal(_createDocument().Parameters);
+            expect(result.children.queues.Parameters).to.deep.equal({
+                Stage: {
+                    Type: 'String'
+                },
+                Subnets: {
+                    Type: 'List<AWS::EC2::Subnet::Id>'
+                }
+            });
+            expect(stack.Properties.Parameters).to.deep.equal({
+                Stage: {
+                    Ref: 'Stage'
+                },
+                Subnets: {
+                    'Fn::Join': [',', {
+                        Ref: 'Subnets'
+                    }]
+                }
+            });
+        });
+
+        it('should copy the conditions and mappings used by each partition', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+
+            expect(result.children.messaging.Conditions).to.deep.equal(_createDocument().Conditions);
+            expect(result.children.messaging.Mappings).to.be.undefined;
+            expect(result.children.queues.Mappings).to.deep.equal(_createDocument().Mappings);
+            expect(result.children.queues.Conditions).to.be.undefined;
+        });
+
+        it('should convert DependsOn references across partitions into stack dependencies', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+
+            expect(result.children.messaging.Resources.subscription.DependsOn).to.deep.equal([]);
+            expect(result.parent.Resources.messagingStack.DependsOn).to.deep.equal(['queuesStack']);
+            expect(result.parent.Resources.queuesStack.DependsOn).to.deep.equal([]);
+        });
+
+        it('should generate a parent document that creates the child stacks', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+            var parent = result.parent;
+
+            expect(parent.Description).to.equal('My stack');
+            expect(parent.Metadata).to.deep.equal({
+                Owner: 'team'
+            });
+            expect(parent.Resources).to.have.all.keys('messagingStack', 'queuesStack');
+            expect(parent.Resources.messagingStack.Type).to.equal('AWS::CloudFormation::Stack');
+            expect(parent.Resources.messagingStack.Properties.TemplateURL).to.equal('https://bucket/stacks/messaging.json');
+            expect(parent.Resources.messagingStack.Properties.Parameters.QueueArn).to.deep.equal({
+                'Fn::GetAtt': ['queuesStack', 'Outputs.QueueArn']
+            });
+            expect(parent.Outputs).to.deep.equal({
+                QueueArn: {
+                    Value: {
+                        'Fn::GetAtt': ['queuesStack', 'Outputs.QueueArn']
+                    }
+                }
+            });
+        });
+
+        it('should use the template url function to generate child template urls', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: function(name) {
+                    return 'https://bucket/' + name + '.template';
+                }
+            });
+            var result = partitioner.splitDocument(_createDocument(), _createAssignments());
+
+            expect(result.parent.Resources.queuesStack.Properties.TemplateURL).to.equal('https://bucket/queues.template');
+        });
+
+        it('should throw an error if a cross stack reference conflicts with a stack parameter', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var document = _createDocument();
+            document.Parameters.QueueArn = {
+                Type: 'String'
+            };
+            var split = function() {
+                return partitioner.splitDocument(document, _createAssignments());
+            };
+
+            expect(split).to.throw('Cross stack reference [QueueArn] conflicts with a stack parameter');
+        });
+
+        it('should throw an error if partitions depend on each other', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var document = _createDocument();
+            document.Resources.queue.Properties.TopicArn = {
+                Ref: 'topic'
+            };
+            var split = function() {
+                return partitioner.splitDocument(document, _createAssignments());
+            };
+
+            expect(split).to.throw('Partitions have circular dependencies: [messagingStack -> queuesStack]');
+        });
+    });
+
+    describe('partition()', function() {
+        it('should throw an error if invoked without valid templates', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            _testValueProvider.allButArray().forEach(function(templates) {
+                var partition = function() {
+                    return partitioner.partition(templates);
+                };
+                expect(partition).to.throw('Invalid templates specified (arg #1)');
+            });
+            var partitionInvalid = function() {
+                return partitioner.partition([{}]);
+            };
+            expect(partitionInvalid).to.throw('Invalid template specified at index [0]');
+        });
+
+        it('should throw an error if the assembler is invalid', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var partition = function() {
+                return partitioner.partition([], {});
+            };
+
+            expect(partition).to.throw('Invalid assembler specified (arg #2)');
+        });
+
+        it('should group resources by top level directory by default', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL
+            });
+            var result = partitioner.partition([
+                _createTemplate('queue', 'queues/queue.js'),
+                _createTemplate('deadLetter', 'queues/dlq/dead-letter.js'),
+                _createTemplate('rootQueue', 'root-queue.js')
+            ], new StackAssembler());
+
+            expect(result.children).to.have.all.keys('queues', 'root');
+            expect(result.children.queues.Resources).to.have.all.keys('queue', 'deadLetter');
+            expect(result.children.root.Resources).to.have.all.keys('rootQueue');
+        });
+
+        it('should group resources using a custom strategy function', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL,
+                strategy: function(template) {
+                    return template.key === 'first' ? 'one' : 'two';
+                }
+            });
+            var result = partitioner.partition([
+                _createTemplate('first', 'a.js'),
+                _createTemplate('second', 'b.js')
+            ]);
+
+            expect(result.children.one.Resources).to.have.all.keys('first');
+            expect(result.children.two.Resources).to.have.all.keys('second');
+        });
+
+        it('should group connected resources together when using the components strategy', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL,
+                strategy: 'components',
+                maxResources: 2
+            });
+            var result = partitioner.partition([
+                _createTemplate('first', 'a.js'),
+                _createTemplate('second', 'b.js', {
+                    RedrivePolicy: {
+                        deadLetterTargetArn: {
+                            'Fn::GetAtt': ['first', 'Arn']
+                        }
+                    }
+                }),
+                _createTemplate('third', 'c.js')
+            ]);
+
+            expect(result.children.partition1.Resources).to.have.all.keys('first', 'second');
+            expect(result.children.partition2.Resources).to.have.all.keys('third');
+        });
+
+        it('should split components that exceed the resource limit in dependency order', function() {
+            var partitioner = new StackPartitioner({
+                templateUrl: TEMPLATE_URL,
+                strategy: 'components',
+                maxResources: 2
+            });
+            var reference = function(key) {
+                return {
+                    Source: {
+                        Ref: key
+                    }
+                };
+            };
+            var result = partitioner.partition([
+                _createTemplate('fourth', 'd.js', reference('third')),
+                _createTemplate('third', 'c.js', reference('second')),
+                _createTemplate('second', 'b.js', reference('first')),
+                _createTemplate('first', 'a.js')
+            ]);
+
+            expect(result.children.partition1.Resources).to.have.all.keys('first', 'second');
+            expect(result.children.partition2.Resources).to.have.all.keys('third', 'fourth');
+            expect(result.children.partition2.Resources.third.Properties.Source).to.deep.equal({
+                Ref: 'SecondRef'
+            });
+            expect(result.parent.Resources.partition2Stack.Properties.Parameters.SecondRef).to.deep.equal({
+                'Fn::GetAtt': ['partition1Stack', 'Outputs.SecondRef']
+            });
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _tagging = require('../../lib/tagging');
+
+describe('tagging', function() {
+    it('should implement methods required by the interface', function() {
+        expect(_tagging).to.have.property('checkTag').and.to.be.a('function');
+        expect(_tagging).to.have.property('setTagFormat').and.to.be.a('function');
+        expect(_tagging).to.have.property('getTagFormat').and.to.be.a('function');
+        expect(_tagging).to.have.property('mergeTags').and.to.be.a('function');
+    });
+
+    describe('checkTag()', function() {
+        it('should throw an error if the key is invalid', function() {
+            var error = 'Invalid tag key specified (arg #1). Must be a string between 1 and 128 characters';
+            [undefined, null, 123, '', new Array(130).join('a'), {}].forEach(function(key) {
+                var checkTag = function() {
+                    return _tagging.checkTag(key, 'value');
+                };
+                expect(checkTag).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the key uses the reserved prefix', function() {
+            var checkTag = function() {
+                return _tagging.checkTag('AWS:stack', 'value');
+            };
+
+            expect(checkTag).to.throw('Invalid tag key specified (arg #1). Keys cannot start with [aws:]');
+        });
+
+        it('should throw an error if the value is invalid', function() {
+            var error = 'Invalid tag value specified (arg #2)';
+            [undefined, null, 123, true, []].forEach(function(value) {
+                var checkTag = function() {
+                    return _tagging.checkTag('key', value);
+                };
+                expect(checkTag).to.throw(error);
+            });
+            var checkLongValue = function() {
+                return _tagging.checkTag('key', new Array(258).join('a'));
+            };
+            expect(checkLongValue).to.throw('Invalid tag value specified (arg #2). Cannot exceed 256 characters');
+        });
+
+        it('should report argument positions relative to the key argument', function() {
+            var checkTag = function() {
+                return _tagging.checkTag('key', null, 2);
+            };
+
+            expect(checkTag).to.throw('Invalid tag value specified (arg #3)');
+        });
+
+        it('should accept string values and cloud formation expressions', function() {
+            expect(_tagging.checkTag('key', 'value')).to.be.undefined;
+            expect(_tagging.checkTag('key', {
+                Ref: 'Stage'
+            })).to.be.undefined;
+        });
+    });
+
+    describe('setTagFormat()', function() {
+        it('should throw an error if the resource type is invalid', function() {
+            var setTagFormat = function() {
+                return _tagging.setTagFormat('', 'list');
+            };
+
+            expect(setTagFormat).to.throw('Invalid resource type specified (arg #1)');
+        });
+
+        it('should throw an error if the format is invalid', function() {
+            var setTagFormat = function() {
+                return _tagging.setTagFormat('Custom::TaggingSpec', 'array');
+            };
+
+            expect(setTagFormat).to.throw('Invalid format specified (arg #2). Must be one of [list,map]');
+        });
+
+        it('should override the format defined by the specification', function() {
+            _tagging.setTagFormat('Custom::TaggingSpecFormat', 'map');
+
+            expect(_tagging.getTagFormat('Custom::TaggingSpecFormat')).to.equal('map');
+        });
+    });
+
+    describe('getTagFormat()', function() {
+        it('should return the format defined by the resource specification', function() {
+            expect(_tagging.getTagFormat('AWS::Lambda::Function')).to.equal('list');
+        });
+
+        it('should return undefined for resource types that the specification defines without tags', function() {
+            expect(_tagging.getTagFormat('AWS::Lambda::Permission')).to.be.undefined;
+        });
+
+        it('should return the list format for resource types that are not defined in the specification', function() {
+            expect(_tagging.getTagFormat('AWS::SQS::Queue')).to.equal('list');
+            expect(_tagging.getTagFormat('Custom::Unknown')).to.equal('list');
+        });
+    });
+
+    describe('mergeTags()', function() {
+        it('should append tags that are not already defined to a list', function() {
+            var tags = _tagging.mergeTags([{
+                Key: 'env',
+                Value: 'prod'
+            }], {
+                env: 'dev',
+                team: 'core'
+            }, 'list');
+
+            expect(tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'prod'
+            }, {
+                Key: 'team',
+                Value: 'core'
+            }]);
+        });
+
+        it('should create a list if no tags are defined', function() {
+            expect(_tagging.mergeTags(undefined, {
+                env: 'dev'
+            }, 'list')).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }]);
+        });
+
+        it('should merge tags into a map without overwriting existing tags', function() {
+            expect(_tagging.mergeTags({
+                env: 'prod'
+            }, {
+                env: 'dev',
+                team: 'core'
+            }, 'map')).to.deep.equal({
+                env: 'prod',
+                team: 'core'
+            });
+            expect(_tagging.mergeTags(undefined, {
+                env: 'dev'
+            }, 'map')).to.deep.equal({
+                env: 'dev'
+            });
+        });
+
+        it('should not modify the current tags', function() {
+            var current = [{
+                Key: 'env',
+                Value: 'prod'
+            }];
+            _tagging.mergeTags(current, {
+                team: 'core'
+            }, 'list');
+
+            expect(current).to.have.length(1);
+        });
+
+        it('should return intrinsic values unchanged', function() {
+            var listTags = {
+                'Fn::If': ['IsProd', [], {
+                    Ref: 'AWS::NoValue'
+                }]
+            };
+            var mapTags = {
+                Ref: 'Tags'
+            };
+
+            expect(_tagging.mergeTags(listTags, {
+                env: 'dev'
+            }, 'list')).to.equal(listTags);
+            expect(_tagging.mergeTags(mapTags, {
+                env: 'dev'
+            }, 'map')).to.equal(mapTags);
+        });
+
+        it('should return values of the wrong format unchanged', function() {
+            expect(_tagging.mergeTags('tags', {
+                env: 'dev'
+            }, 'list')).to.equal('tags');
+            expect(_tagging.mergeTags(['tags'], {
+                env: 'dev'
+            }, 'map')).to.deep.equal(['tags']);
+        });
+    });
+});
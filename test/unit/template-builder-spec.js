@@ -0,0 +1,349 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var Promise = require('bluebird').Promise;
+var _path = require('path');
+var _sinon = require('sinon');
+var _loggerProvider = require('wysknd-log').loggerProvider;
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var TemplateBuilder = require('../../lib/template-builder');
+var DirInfo = require('../../lib/dir-info');
+
+describe('TemplateBuilder', function() {
+    var _rootDir;
+
+    function _build(options) {
+        var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, options);
+        return builder.build().then(function(templates) {
+            return templates.map(function(template) {
+                return template.key;
+            }).sort();
+        });
+    }
+
+    beforeEach(function() {
+        _rootDir = _fixtures.createTempDir('template-builder');
+    });
+
+    afterEach(function() {
+        _fixtures.removeTempDir(_rootDir);
+    });
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid directory info object', function() {
+            var error = 'Invalid directory info specified (arg #1)';
+            _testValueProvider.allButObject().concat([{}]).forEach(function(dirInfo) {
+                var createBuilder = function() {
+                    return new TemplateBuilder(dirInfo);
+                };
+                expect(createBuilder).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the include or exclude patterns are invalid', function() {
+            ['include', 'exclude'].forEach(function(prop) {
+                var error = 'Invalid ' + prop + ' patterns specified (options.' + prop + '). Must be an array of strings';
+                [null, 'abc', {}, [123],
+                    ['']
+                ].forEach(function(patterns) {
+                    var createBuilder = function() {
+                        var options = {};
+                        options[prop] = patterns;
+                        return new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, options);
+                    };
+                    expect(createBuilder).to.throw(error);
+                });
+            });
+        });
+
+        it('should throw an error if the cache is invalid', function() {
+            [null, 'abc', []].forEach(function(cache) {
+                var createBuilder = function() {
+                    return new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, {
+                        cache: cache
+                    });
+                };
+                expect(createBuilder).to.throw('Invalid cache specified (options.cache)');
+            });
+        });
+    });
+
+    describe('build() [ignore rules]', function() {
+        afterEach(function() {
+            var logger = _loggerProvider.getLogger('template_builder');
+            if (logger.info.restore) {
+                logger.info.restore();
+            }
+        });
+
+        it('should not load helper files or node modules directories', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic'),
+                '_helper.js': 'throw new Error(\'helper loaded\');\n',
+                'api/_shared.js': 'throw new Error(\'helper loaded\');\n',
+                'node_modules/lib/index.js': 'throw new Error(\'module loaded\');\n'
+            });
+
+            return expect(_build()).to.eventually.deep.equal(['topic']);
+        });
+
+        it('should apply the rules in ignore files to the directory and its sub directories', function() {
+            _fixtures.writeFiles(_rootDir, {
+                '.cfignore': '# comment\n\n*.spec.js\nfixtures/\n',
+                'topic.js': _fixtures.templateFile('topic'),
+                'topic.spec.js': 'throw new Error(\'spec loaded\');\n',
+                'fixtures/queue.js': 'throw new Error(\'fixture loaded\');\n',
+                'api/fixtures.js': _fixtures.templateFile('fixtures'),
+                'api/users.spec.js': 'throw new Error(\'spec loaded\');\n',
+                'api/.cfignore': '/legacy\n',
+                'api/legacy/old.js': 'throw new Error(\'legacy loaded\');\n',
+                'api/v2/legacy/new.js': _fixtures.templateFile('legacy')
+            });
+
+            return expect(_build()).to.eventually.deep.equal(['fixtures', 'legacy', 'topic']);
+        });
+
+        it('should only load files that match the include patterns', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic'),
+                'api/users.js': _fixtures.templateFile('users'),
+                'api/test/users.js': 'throw new Error(\'test loaded\');\n'
+            });
+
+            return expect(_build({
+                include: ['api/*.js', 'topic.js']
+            })).to.eventually.deep.equal(['topic', 'users']);
+        });
+
+        it('should not load files or directories that match the exclude patterns', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic'),
+                'api/users.js': _fixtures.templateFile('users'),
+                'api/test/users.js': 'throw new Error(\'test loaded\');\n',
+                'queue.js': 'throw new Error(\'excluded file loaded\');\n'
+            });
+
+            return expect(_build({
+                exclude: ['**/test/**', 'queue.js']
+            })).to.eventually.deep.equal(['topic', 'users']);
+        });
+
+        it('should log the reason for ignoring each entry', function() {
+            var logger = _loggerProvider.getLogger('template_builder');
+            var infoSpy = _sinon.spy(logger, 'info');
+            _fixtures.writeFiles(_rootDir, {
+                '.cfignore': 'queue.js\n',
+                '_helper.js': '',
+                'queue.js': '',
+                'table.js': ''
+            });
+
+            return _build({
+                exclude: ['table.js']
+            }).then(function() {
+                expect(infoSpy).to.have.been.calledWith('Ignoring: [.cfignore] (ignore file)');
+                expect(infoSpy).to.have.been.calledWith('Ignoring: [_helper.js] (helper file with [_] prefix)');
+                expect(infoSpy).to.have.been.calledWith('Ignoring: [queue.js] (matches [queue.js] in [.cfignore])');
+                expect(infoSpy).to.have.been.calledWith('Ignoring: [table.js] (matches exclude pattern [table.js])');
+            });
+        });
+    });
+
+    describe('build() [template sources]', function() {
+        it('should resolve promises returned by template generators', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': 'module.exports = function(dirInfo, dataBag) {\n' +
+                    '    const Template = require(' + JSON.stringify(_fixtures.TEMPLATE_MODULE) + ');\n' +
+                    '    return Promise.resolve([new Template(dataBag.name, \'AWS::SNS::Topic\')]);\n' +
+                    '};\n'
+            });
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {
+                name: 'asyncTopic'
+            });
+
+            return builder.build().then(function(templates) {
+                expect(templates).to.have.length(1);
+                expect(templates[0].key).to.equal('asyncTopic');
+                expect(templates[0].source).to.equal('topic.js');
+            });
+        });
+
+        it('should reject the build if a template generator rejects', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': 'module.exports = function() {\n' +
+                    '    return Promise.reject(new Error(\'generator failed\'));\n' +
+                    '};\n'
+            });
+
+            return expect(_build()).to.be.rejectedWith('generator failed');
+        });
+
+        it('should load json and yaml files as snippets', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'queue.json': JSON.stringify({
+                    Type: 'AWS::SQS::Queue'
+                }),
+                'topics.yaml': 'Resources:\n  alerts:\n    Type: AWS::SNS::Topic\n',
+                'api/table.yml': 'Type: AWS::DynamoDB::Table\n'
+            });
+
+            return expect(_build()).to.eventually.deep.equal(['alerts', 'queue', 'table']);
+        });
+
+        it('should not load json and yaml files that are excluded by ignore rules, or other file types', function() {
+            _fixtures.writeFiles(_rootDir, {
+                '.cfignore': 'package.json\n',
+                'package.json': JSON.stringify({
+                    name: 'templates'
+                }),
+                'config.yaml': 'Type: AWS::SQS::Queue\n',
+                'queue.txt': 'Type: AWS::SQS::Queue\n'
+            });
+
+            return expect(_build({
+                exclude: ['config.yaml']
+            })).to.eventually.deep.equal([]);
+        });
+
+        it('should reject the build if a snippet cannot be parsed', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'queue.json': '{"Type": '
+            });
+
+            return expect(_build()).to.be.rejectedWith(SyntaxError);
+        });
+    });
+
+    describe('build() [key checks]', function() {
+        it('should reject the build if keys collide after camel case conversion', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'a.js': _fixtures.templateFile('user_table'),
+                'api/b.js': _fixtures.templateFile('userTable')
+            });
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, {
+                deterministic: true
+            });
+
+            return expect(builder.build()).to.be.rejectedWith('Template key validation failed:\n' +
+                '  Duplicate logical id [userTable] emitted by [a.js] and [' + _path.join('api', 'b.js') + ']');
+        });
+
+        it('should reject the build if a key is not a valid logical id', function() {
+            var longKey = new Array(257).join('a');
+            _fixtures.writeFiles(_rootDir, {
+                'a.js': _fixtures.templateFile('user:table'),
+                'b.js': _fixtures.templateFile(longKey)
+            });
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, {
+                deterministic: true
+            });
+
+            return expect(builder.build()).to.be.rejectedWith('Template key validation failed:\n' +
+                '  Invalid logical id [user:table] emitted by [a.js]. Must be alphanumeric, and no longer than 255 characters\n' +
+                '  Invalid logical id [' + longKey + '] emitted by [b.js]. Must be alphanumeric, and no longer than 255 characters');
+        });
+
+        it('should report keys that collide across sub directories only once', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'api/a.js': _fixtures.templateFile('topic'),
+                'api/b/b.js': _fixtures.templateFile('topic'),
+                'c.js': _fixtures.templateFile('queue')
+            });
+
+            return _build().then(function() {
+                throw new Error('Build did not fail');
+            }, function(error) {
+                expect(error.message.match(/Duplicate logical id/g)).to.have.length(1);
+            });
+        });
+    });
+
+    describe('build() [profiles]', function() {
+        function _writeProfileTemplate() {
+            _fixtures.writeFiles(_rootDir, {
+                'profiles/base.json': JSON.stringify({
+                    name: 'baseTopic',
+                    suffix: 'Base'
+                }),
+                'profiles/prod.json': JSON.stringify({
+                    name: 'prodTopic'
+                }),
+                'topic.js': 'module.exports = function(dirInfo, dataBag) {\n' +
+                    '    const Template = require(' + JSON.stringify(_fixtures.TEMPLATE_MODULE) + ');\n' +
+                    '    return new Template(dataBag.name + dataBag.suffix + dirInfo.profile, \'AWS::SNS::Topic\');\n' +
+                    '};\n'
+            });
+        }
+
+        it('should reject the promise if the profile is invalid', function() {
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'));
+            var promises = [null, 123, '', {}].map(function(profile) {
+                return expect(builder.build({
+                    profile: profile
+                })).to.be.rejectedWith('Invalid profile specified (options.profile)');
+            });
+
+            return Promise.all(promises);
+        });
+
+        it('should reject the promise if the profile cannot be loaded', function() {
+            _writeProfileTemplate();
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'));
+
+            return expect(builder.build({
+                profile: 'dev'
+            })).to.be.rejectedWith('Profile not found: [dev]');
+        });
+
+        it('should build with the data bag and name of the selected profile', function() {
+            _writeProfileTemplate();
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'));
+
+            return builder.build({
+                profile: 'prod'
+            }).then(function(templates) {
+                expect(templates.map(function(template) {
+                    return template.key;
+                })).to.deep.equal(['prodTopicBaseprod']);
+            });
+        });
+
+        it('should give precedence to values in the data bag of the builder', function() {
+            _writeProfileTemplate();
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {
+                suffix: 'Local'
+            });
+
+            return builder.build({
+                profile: 'prod'
+            }).then(function(templates) {
+                expect(templates[0].key).to.equal('prodTopicLocalprod');
+            });
+        });
+    });
+
+    describe('build() [deterministic]', function() {
+        it('should return templates in sorted order if the build is deterministic', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'c.js': _fixtures.templateFile('charlie'),
+                'a.js': _fixtures.templateFile('alpha'),
+                'b/b.js': _fixtures.templateFile('bravo')
+            });
+            var builder = new TemplateBuilder(new DirInfo(_rootDir, '.'), {}, {
+                deterministic: true
+            });
+
+            return builder.build().then(function(templates) {
+                expect(templates.map(function(template) {
+                    return template.key;
+                })).to.deep.equal(['alpha', 'bravo', 'charlie']);
+            });
+        });
+    });
+});
@@ -0,0 +1,234 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _fs = require('fs');
+var Promise = require('bluebird').Promise;
+var _path = require('path');
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var TemplateWatcher = require('../../lib/template-watcher');
+var StackAssembler = require('../../lib/stack-assembler');
+var DirInfo = require('../../lib/dir-info');
+
+describe('TemplateWatcher', function() {
+    var _rootDir;
+    var _watcher;
+
+    function _createWatcher(options) {
+        _watcher = new TemplateWatcher(new DirInfo(_rootDir, '.'), new StackAssembler(), Object.assign({
+            delay: 20
+        }, options));
+        return _watcher;
+    }
+
+    function _waitFor(event) {
+        return new Promise(function(resolve) {
+            _watcher.once(event, resolve);
+        });
+    }
+
+    beforeEach(function() {
+        _rootDir = _fixtures.createTempDir('template-watcher');
+        _watcher = undefined;
+    });
+
+    afterEach(function() {
+        if (_watcher) {
+            _watcher.stop();
+        }
+        _fixtures.removeTempDir(_rootDir);
+    });
+
+    describe('ctor()', function() {
+        it('should throw an error if invoked without a valid directory info object', function() {
+            var error = 'Invalid directory info specified (arg #1)';
+            _testValueProvider.allButObject().concat([{}]).forEach(function(dirInfo) {
+                var createWatcher = function() {
+                    return new TemplateWatcher(dirInfo, new StackAssembler());
+                };
+                expect(createWatcher).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid assembler', function() {
+            var error = 'Invalid assembler specified (arg #2)';
+            _testValueProvider.allButObject().concat([{}]).forEach(function(assembler) {
+                var createWatcher = function() {
+                    return new TemplateWatcher(new DirInfo(_rootDir, '.'), assembler);
+                };
+                expect(createWatcher).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the profile or delay are invalid', function() {
+            var createWithProfile = function() {
+                return _createWatcher({
+                    profile: ''
+                });
+            };
+            var createWithDelay = function() {
+                return _createWatcher({
+                    delay: -1
+                });
+            };
+
+            expect(createWithProfile).to.throw('Invalid profile specified (options.profile)');
+            expect(createWithDelay).to.throw('Invalid delay specified (options.delay)');
+        });
+
+        it('should initialize the watcher in a stopped state', function() {
+            var watcher = _createWatcher();
+
+            expect(watcher.isWatching).to.be.false;
+            expect(watcher.document).to.be.undefined;
+        });
+    });
+
+    describe('start()', function() {
+        it('should build the stack and start watching for changes', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic')
+            });
+            var watcher = _createWatcher();
+            var buildEvent = _waitFor('build');
+
+            return watcher.start().then(function(result) {
+                expect(watcher.isWatching).to.be.true;
+                expect(watcher.document).to.equal(result.document);
+                expect(result.document.Resources).to.have.keys(['topic']);
+                expect(result.changes).to.deep.equal([]);
+                expect(result.diff.report.resources.added).to.deep.equal([{
+                    key: 'topic',
+                    type: 'AWS::SNS::Topic'
+                }]);
+                return expect(buildEvent).to.eventually.equal(result);
+            });
+        });
+
+        it('should throw an error if the watcher has already been started', function() {
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                expect(function() {
+                    return watcher.start();
+                }).to.throw('The watcher has already been started');
+            });
+        });
+
+        it('should reject the promise and not start watching if the initial build fails', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': 'throw new Error(\'load failed\');\n'
+            });
+            var watcher = _createWatcher();
+
+            return expect(watcher.start()).to.be.rejectedWith('load failed').then(function() {
+                expect(watcher.isWatching).to.be.false;
+            });
+        });
+    });
+
+    describe('[changes]', function() {
+        it('should rebuild the stack when a file is added', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic')
+            });
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                var buildEvent = _waitFor('build');
+                _fixtures.writeFiles(_rootDir, {
+                    'queue.js': _fixtures.templateFile('queue')
+                });
+                return buildEvent;
+            }).then(function(result) {
+                expect(result.changes).to.deep.equal(['queue.js']);
+                expect(result.document.Resources).to.have.keys(['topic', 'queue']);
+                expect(result.diff.report.resources.added).to.deep.equal([{
+                    key: 'queue',
+                    type: 'AWS::SNS::Topic'
+                }]);
+            });
+        });
+
+        it('should reload templates that depend on a changed helper module', function() {
+            _fixtures.writeFiles(_rootDir, {
+                '_name.js': 'module.exports = \'first\';\n',
+                'topic.js': 'const Template = require(' + JSON.stringify(_fixtures.TEMPLATE_MODULE) + ');\n' +
+                    'module.exports = new Template(require(\'./_name\'), \'AWS::SNS::Topic\');\n'
+            });
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                var buildEvent = _waitFor('build');
+                _fixtures.writeFiles(_rootDir, {
+                    '_name.js': 'module.exports = \'second\';\n'
+                });
+                return buildEvent;
+            }).then(function(result) {
+                expect(result.document.Resources).to.have.keys(['second']);
+            });
+        });
+
+        it('should emit an error if a rebuild fails, and continue watching', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic')
+            });
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                var errorEvent = _waitFor('error');
+                _fixtures.writeFiles(_rootDir, {
+                    'topic.js': 'throw new Error(\'rebuild failed\');\n'
+                });
+                return errorEvent;
+            }).then(function(error) {
+                expect(error.message).to.equal('rebuild failed');
+                expect(watcher.isWatching).to.be.true;
+
+                var buildEvent = _waitFor('build');
+                _fixtures.writeFiles(_rootDir, {
+                    'topic.js': _fixtures.templateFile('fixed')
+                });
+                return buildEvent;
+            }).then(function(result) {
+                expect(result.document.Resources).to.have.keys(['fixed']);
+            });
+        });
+
+        it('should continue watching when a sub directory is removed', function() {
+            _fixtures.writeFiles(_rootDir, {
+                'topic.js': _fixtures.templateFile('topic'),
+                'api/queue.js': _fixtures.templateFile('queue')
+            });
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                var buildEvent = _waitFor('build');
+                _fs.rmSync(_path.join(_rootDir, 'api'), {
+                    recursive: true,
+                    force: true
+                });
+                return buildEvent;
+            }).then(function(result) {
+                expect(result.document.Resources).to.have.keys(['topic']);
+                expect(watcher.isWatching).to.be.true;
+            });
+        });
+    });
+
+    describe('stop()', function() {
+        it('should stop watching for changes', function() {
+            var watcher = _createWatcher();
+
+            return watcher.start().then(function() {
+                watcher.stop();
+                expect(watcher.isWatching).to.be.false;
+            });
+        });
+    });
+});
@@ -0,0 +1,40 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var RestApiTemplate = require('../../../../lib/templates/api-gateway/rest-api-template');
+
+describe('RestApiTemplate', function() {
+    describe('addRootUrlOutput()', function() {
+        it('should throw an error if invoked without a valid stage name', function() {
+            var template = new RestApiTemplate('user_api', 'users');
+            [undefined, null, 123, ''].forEach(function(stageName) {
+                var addOutput = function() {
+                    return template.addRootUrlOutput('ApiUrl', stageName);
+                };
+                expect(addOutput).to.throw('Invalid stage name specified (arg #2)');
+            });
+        });
+
+        it('should declare an output for the root url of the api', function() {
+            var template = new RestApiTemplate('user_api', 'users');
+
+            expect(template.addRootUrlOutput('ApiUrl', 'dev')).to.equal(template);
+            expect(template.finalizeOutputs({}).ApiUrl.Value).to.deep.equal({
+                'Fn::Join': ['', [
+                    'https://', {
+                        Ref: 'userApi'
+                    },
+                    '.execute-api.', {
+                        Ref: 'AWS::Region'
+                    },
+                    '.amazonaws.com/dev'
+                ]]
+            });
+        });
+    });
+});
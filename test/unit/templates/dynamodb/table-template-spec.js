@@ -0,0 +1,31 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var TableTemplate = require('../../../../lib/templates/dynamodb/table-template');
+
+describe('TableTemplate', function() {
+    describe('addStreamArnOutput()', function() {
+        it('should declare an output for the stream arn of the table', function() {
+            var template = new TableTemplate('user_table', 'users');
+
+            expect(template.addStreamArnOutput('UserStreamArn', {
+                exportName: 'user-stream-arn'
+            })).to.equal(template);
+            expect(template.finalizeOutputs({})).to.deep.equal({
+                UserStreamArn: {
+                    Value: {
+                        'Fn::GetAtt': ['userTable', 'StreamArn']
+                    },
+                    Export: {
+                        Name: 'user-stream-arn'
+                    }
+                }
+            });
+        });
+    });
+});
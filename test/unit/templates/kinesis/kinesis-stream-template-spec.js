@@ -0,0 +1,69 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var StreamTemplate = require('../../../../lib/templates/kinesis/kinesis-stream-template');
+
+describe('StreamTemplate', function() {
+    describe('ctor()', function() {
+        it('should initialize the stream properties with an empty tag list', function() {
+            var template = new StreamTemplate('stream', 'my-stream', 2);
+
+            expect(template.type).to.equal('AWS::Kinesis::Stream');
+            expect(template.properties).to.deep.equal({
+                Name: 'my-stream',
+                ShardCount: 2,
+                Tags: []
+            });
+        });
+    });
+
+    describe('addTag()', function() {
+        it('should throw an error if the tag name or value are not strings', function() {
+            var template = new StreamTemplate('stream', 'my-stream', 2);
+            var addInvalidName = function() {
+                return template.addTag(123, 'value');
+            };
+            var addInvalidValue = function() {
+                return template.addTag('name', {
+                    Ref: 'Stage'
+                });
+            };
+
+            expect(addInvalidName).to.throw('Tag name (arg #1) is expected to be a string');
+            expect(addInvalidValue).to.throw('Tag value (arg #2) is expected to be a string');
+        });
+
+        it('should add tags to the template, replacing tags with the same name', function() {
+            var template = new StreamTemplate('stream', 'my-stream', 2);
+
+            expect(template.addTag('env', 'dev')).to.equal(template);
+            template.addTag('team', 'core').addTag('env', 'prod');
+
+            expect(template.tags).to.deep.equal({
+                env: 'prod',
+                team: 'core'
+            });
+            expect(template.finalize({}).Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'prod'
+            }, {
+                Key: 'team',
+                Value: 'core'
+            }]);
+        });
+
+        it('should apply the tag key checks of the base template', function() {
+            var template = new StreamTemplate('stream', 'my-stream', 2);
+            var addReservedTag = function() {
+                return template.addTag('aws:env', 'dev');
+            };
+
+            expect(addReservedTag).to.throw('Invalid tag key specified (arg #1). Keys cannot start with [aws:]');
+        });
+    });
+});
@@ -0,0 +1,598 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var Template = require('../../../lib/templates/template');
+var _tagging = require('../../../lib/tagging');
+
+describe('Template', function() {
+    describe('finalize() [unresolved tokens]', function() {
+        it('should record the key, path and name of every token that cannot be resolved', function() {
+            var template = new Template('api_method', 'AWS::ApiGateway::Method', {
+                Integration: {
+                    Credentials: {
+                        'Fn::Join': ['', ['arn:aws:iam::', '<% account %>', ':role/', '<% role %>']]
+                    }
+                },
+                OperationName: '<% operation %>-<% stage %>'
+            });
+            var unresolvedTokens = [];
+            template.finalize({
+                account: '123456789012',
+                operation: ''
+            }, unresolvedTokens);
+
+            expect(unresolvedTokens).to.deep.equal([{
+                key: 'apiMethod',
+                path: 'Properties.Integration.Credentials.Fn::Join[1][3]',
+                token: 'role'
+            }, {
+                key: 'apiMethod',
+                path: 'Properties.OperationName',
+                token: 'operation'
+            }, {
+                key: 'apiMethod',
+                path: 'Properties.OperationName',
+                token: 'stage'
+            }]);
+        });
+
+        it('should resolve tokens that reference nested values in the data bag', function() {
+            var template = new Template('table', 'AWS::DynamoDB::Table', {
+                TableName: '<% table.name %>'
+            });
+            var unresolvedTokens = [];
+            var resource = template.finalize({
+                table: {
+                    name: 'users'
+                }
+            }, unresolvedTokens);
+
+            expect(resource.Properties.TableName).to.equal('users');
+            expect(unresolvedTokens).to.deep.equal([]);
+        });
+    });
+
+    describe('addOutput()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            var error = 'Invalid output name specified (arg #1). Must be alphanumeric.';
+            var template = new Template('table', 'AWS::DynamoDB::Table');
+            [undefined, null, 123, '', 'table-arn', {}].forEach(function(name) {
+                var addOutput = function() {
+                    return template.addOutput(name, 'value');
+                };
+                expect(addOutput).to.throw(error);
+            });
+        });
+
+        it('should throw an error if invoked without a valid value', function() {
+            var template = new Template('table', 'AWS::DynamoDB::Table');
+            [undefined, null].forEach(function(value) {
+                var addOutput = function() {
+                    return template.addOutput('TableName', value);
+                };
+                expect(addOutput).to.throw('Invalid value specified (arg #2)');
+            });
+        });
+
+        it('should throw an error if the export name or description are invalid', function() {
+            var template = new Template('table', 'AWS::DynamoDB::Table');
+            [null, '', 123, true].forEach(function(exportName) {
+                var addOutput = function() {
+                    return template.addOutput('TableName', 'value', {
+                        exportName: exportName
+                    });
+                };
+                expect(addOutput).to.throw('Invalid export name specified (options.exportName)');
+            });
+            var addInvalidDescription = function() {
+                return template.addOutput('TableName', 'value', {
+                    description: 123
+                });
+            };
+            expect(addInvalidDescription).to.throw('Invalid description specified (options.description)');
+        });
+
+        it('should throw an error if an output with the same name has already been defined', function() {
+            var template = new Template('table', 'AWS::DynamoDB::Table').addOutput('TableName', 'value');
+            var addOutput = function() {
+                return template.addOutput('TableName', 'value');
+            };
+
+            expect(addOutput).to.throw('An output with name [TableName] has already been defined');
+        });
+
+        it('should return a reference to the template', function() {
+            var template = new Template('table', 'AWS::DynamoDB::Table');
+
+            expect(template.addOutput('TableName', 'value')).to.equal(template);
+            expect(template.outputs).to.have.length(1);
+        });
+    });
+
+    describe('addRefOutput()', function() {
+        it('should declare an output that references the template', function() {
+            var template = new Template('user_table', 'AWS::DynamoDB::Table').addRefOutput('TableName');
+
+            expect(template.finalizeOutputs({})).to.deep.equal({
+                TableName: {
+                    Value: {
+                        Ref: 'userTable'
+                    }
+                }
+            });
+        });
+    });
+
+    describe('addAttributeOutput()', function() {
+        it('should throw an error if invoked without a valid attribute', function() {
+            var template = new Template('user_table', 'AWS::DynamoDB::Table');
+            [undefined, null, 123, ''].forEach(function(attribute) {
+                var addOutput = function() {
+                    return template.addAttributeOutput('TableArn', attribute);
+                };
+                expect(addOutput).to.throw('Invalid attribute specified (arg #2)');
+            });
+        });
+
+        it('should declare an output for an attribute of the template', function() {
+            var template = new Template('user_table', 'AWS::DynamoDB::Table').addAttributeOutput('TableArn', 'Arn');
+
+            expect(template.finalizeOutputs({})).to.deep.equal({
+                TableArn: {
+                    Value: {
+                        'Fn::GetAtt': ['userTable', 'Arn']
+                    }
+                }
+            });
+        });
+    });
+
+    describe('finalizeOutputs()', function() {
+        it('should emit the description, value and export name of every output, replacing tokens', function() {
+            var template = new Template('user_table', 'AWS::DynamoDB::Table')
+                .addAttributeOutput('TableArn', 'Arn', {
+                    description: 'Users table (<% stage %>)',
+                    exportName: '<% stage %>-user-table-arn'
+                })
+                .addOutput('TableStage', '<% stage %>');
+
+            expect(template.finalizeOutputs({
+                stage: 'dev'
+            })).to.deep.equal({
+                TableArn: {
+                    Description: 'Users table (dev)',
+                    Value: {
+                        'Fn::GetAtt': ['userTable', 'Arn']
+                    },
+                    Export: {
+                        Name: 'dev-user-table-arn'
+                    }
+                },
+                TableStage: {
+                    Value: 'dev'
+                }
+            });
+        });
+    });
+
+    describe('finalize() [parameter tokens]', function() {
+        it('should convert parameter tokens into references to the parameter', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic', {
+                TopicName: '<% param:TopicName %>'
+            });
+
+            expect(template.finalize({}).Properties.TopicName).to.deep.equal({
+                Ref: 'TopicName'
+            });
+        });
+
+        it('should join parameter tokens with the text that surrounds them', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic', {
+                TopicName: '<% name %>-<% param:Stage %>-topic'
+            });
+
+            expect(template.finalize({
+                name: 'alerts'
+            }).Properties.TopicName).to.deep.equal({
+                'Fn::Join': ['', ['alerts-', {
+                    Ref: 'Stage'
+                }, '-topic']]
+            });
+        });
+    });
+
+    describe('parameterReferences', function() {
+        it('should return the names of all parameters referenced using parameter tokens', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic', {
+                TopicName: '<% param:Stage %>-<% param:Name %>',
+                DisplayName: ['<% param:Stage %>']
+            }).addOutput('TopicOwner', '<% param:Owner %>');
+
+            expect(template.parameterReferences).to.deep.equal(['Stage', 'Name', 'Owner']);
+        });
+    });
+
+    describe('setCondition()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            [undefined, null, 123, '', {}].forEach(function(name) {
+                var setCondition = function() {
+                    return template.setCondition(name);
+                };
+                expect(setCondition).to.throw('Invalid condition name specified (arg #1)');
+            });
+        });
+
+        it('should emit the condition when the template is finalized', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+
+            expect(template.setCondition('IsProd')).to.equal(template);
+            expect(template.condition).to.equal('IsProd');
+            expect(template.finalize({}).Condition).to.equal('IsProd');
+        });
+    });
+
+    describe('setDeletionPolicy()', function() {
+        it('should throw an error if invoked without a valid policy', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            [undefined, null, 123, '', 'Destroy', {}].forEach(function(policy) {
+                var setPolicy = function() {
+                    return template.setDeletionPolicy(policy);
+                };
+                expect(setPolicy).to.throw('Invalid policy specified (arg #1). Must be one of: [Delete,Retain,Snapshot]');
+            });
+        });
+
+        it('should throw an error if a snapshot policy is not supported by the resource type', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            var setPolicy = function() {
+                return template.setDeletionPolicy('Snapshot');
+            };
+
+            expect(setPolicy).to.throw('Snapshot policy is not supported for resource type: [AWS::SNS::Topic]');
+        });
+
+        it('should emit the policy when the template is finalized', function() {
+            var template = new Template('database', 'AWS::RDS::DBInstance');
+
+            expect(template.setDeletionPolicy('Snapshot')).to.equal(template);
+            expect(template.attributes.DeletionPolicy).to.equal('Snapshot');
+            expect(template.finalize({}).DeletionPolicy).to.equal('Snapshot');
+        });
+    });
+
+    describe('setUpdateReplacePolicy()', function() {
+        it('should throw an error if invoked without a valid policy', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            [undefined, null, 123, '', 'Destroy', {}].forEach(function(policy) {
+                var setPolicy = function() {
+                    return template.setUpdateReplacePolicy(policy);
+                };
+                expect(setPolicy).to.throw('Invalid policy specified (arg #1). Must be one of: [Delete,Retain,Snapshot]');
+            });
+        });
+
+        it('should throw an error if a snapshot policy is not supported by the resource type', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            var setPolicy = function() {
+                return template.setUpdateReplacePolicy('Snapshot');
+            };
+
+            expect(setPolicy).to.throw('Snapshot policy is not supported for resource type: [AWS::SNS::Topic]');
+        });
+
+        it('should emit the policy when the template is finalized', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+
+            expect(template.setUpdateReplacePolicy('Retain')).to.equal(template);
+            expect(template.finalize({}).UpdateReplacePolicy).to.equal('Retain');
+        });
+    });
+
+    describe('setCreationPolicy()', function() {
+        it('should throw an error if the resource type does not support creation policies', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            var setPolicy = function() {
+                return template.setCreationPolicy({
+                    ResourceSignal: {
+                        Count: 1
+                    }
+                });
+            };
+
+            expect(setPolicy).to.throw('Creation policy is not supported for resource type: [AWS::SNS::Topic]');
+        });
+
+        it('should throw an error if invoked without a valid policy', function() {
+            var template = new Template('instance', 'AWS::EC2::Instance');
+            _testValueProvider.allButObject().concat({}).forEach(function(policy) {
+                var setPolicy = function() {
+                    return template.setCreationPolicy(policy);
+                };
+                expect(setPolicy).to.throw('Invalid policy specified (arg #1)');
+            });
+        });
+
+        it('should throw an error if the policy contains an unsupported key', function() {
+            var template = new Template('instance', 'AWS::EC2::Instance');
+            var setPolicy = function() {
+                return template.setCreationPolicy({
+                    Timeout: 'PT5M'
+                });
+            };
+
+            expect(setPolicy).to.throw('Invalid policy key specified: [Timeout]. Must be one of: [AutoScalingCreationPolicy,ResourceSignal,StartFleet]');
+        });
+
+        it('should allow creation policies on all supported resource types', function() {
+            ['AWS::AutoScaling::AutoScalingGroup', 'AWS::EC2::Instance',
+                'AWS::CloudFormation::WaitCondition', 'AWS::AppStream::Fleet'
+            ].forEach(function(type) {
+                var policy = {
+                    ResourceSignal: {
+                        Count: 1,
+                        Timeout: 'PT5M'
+                    }
+                };
+                var template = new Template('resource', type);
+
+                expect(template.setCreationPolicy(policy)).to.equal(template);
+                expect(template.finalize({}).CreationPolicy).to.deep.equal(policy);
+            });
+        });
+    });
+
+    describe('setUpdatePolicy()', function() {
+        it('should throw an error if invoked without a valid policy', function() {
+            var template = new Template('group', 'AWS::AutoScaling::AutoScalingGroup');
+            _testValueProvider.allButObject().concat({}).forEach(function(policy) {
+                var setPolicy = function() {
+                    return template.setUpdatePolicy(policy);
+                };
+                expect(setPolicy).to.throw('Invalid policy specified (arg #1)');
+            });
+        });
+
+        it('should throw an error if the policy contains an unsupported key', function() {
+            var template = new Template('group', 'AWS::AutoScaling::AutoScalingGroup');
+            var setPolicy = function() {
+                return template.setUpdatePolicy({
+                    RollingUpdate: {}
+                });
+            };
+
+            expect(setPolicy).to.throw('Invalid policy key specified: [RollingUpdate]');
+        });
+
+        it('should emit the policy and resolve tokens when the template is finalized', function() {
+            var template = new Template('group', 'AWS::AutoScaling::AutoScalingGroup');
+
+            expect(template.setUpdatePolicy({
+                AutoScalingRollingUpdate: {
+                    MaxBatchSize: '<% batch_size %>'
+                }
+            })).to.equal(template);
+            expect(template.finalize({
+                batch_size: '2'
+            }).UpdatePolicy).to.deep.equal({
+                AutoScalingRollingUpdate: {
+                    MaxBatchSize: '2'
+                }
+            });
+        });
+    });
+
+    describe('setMetadata()', function() {
+        it('should throw an error if invoked without a valid key', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            _testValueProvider.allButString('').forEach(function(key) {
+                var setMetadata = function() {
+                    return template.setMetadata(key, 'value');
+                };
+                expect(setMetadata).to.throw('Invalid metadata key specified (arg #1)');
+            });
+        });
+
+        it('should emit metadata and resolve tokens when the template is finalized', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+
+            expect(template.setMetadata('Owner', '<% owner %>')).to.equal(template);
+            expect(template.finalize({
+                owner: 'platform'
+            }).Metadata).to.deep.equal({
+                Owner: 'platform'
+            });
+        });
+
+        it('should remove a key if the value is undefined', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic')
+                .setMetadata('Owner', 'platform')
+                .setMetadata('Team', 'core');
+
+            template.setMetadata('Owner', undefined);
+            expect(template.finalize({}).Metadata).to.deep.equal({
+                Team: 'core'
+            });
+
+            template.setMetadata('Team', undefined);
+            expect(template.attributes.Metadata).to.be.undefined;
+            expect(template.finalize({})).to.not.have.property('Metadata');
+        });
+    });
+
+    describe('finalize() [attributes]', function() {
+        it('should emit resource attributes in the standard order', function() {
+            var template = new Template('group', 'AWS::AutoScaling::AutoScalingGroup', {
+                MinSize: '1'
+            })
+                .addDependency('config')
+                .setMetadata('Owner', 'platform')
+                .setUpdatePolicy({
+                    AutoScalingScheduledAction: {
+                        IgnoreUnmodifiedGroupSizeProperties: true
+                    }
+                })
+                .setCreationPolicy({
+                    ResourceSignal: {
+                        Count: 1
+                    }
+                })
+                .setUpdateReplacePolicy('Retain')
+                .setDeletionPolicy('Delete')
+                .setCondition('IsProd');
+
+            expect(Object.keys(template.finalize({}))).to.deep.equal([
+                'Type', 'Condition', 'DeletionPolicy', 'UpdateReplacePolicy',
+                'CreationPolicy', 'UpdatePolicy', 'Metadata', 'Properties', 'DependsOn'
+            ]);
+        });
+    });
+
+    describe('addTag()', function() {
+        it('should throw an error if the tag is invalid', function() {
+            var template = new Template('function', 'AWS::Lambda::Function');
+            var addInvalidKey = function() {
+                return template.addTag('', 'value');
+            };
+            var addInvalidValue = function() {
+                return template.addTag('key', 123);
+            };
+
+            expect(addInvalidKey).to.throw('Invalid tag key specified (arg #1)');
+            expect(addInvalidValue).to.throw('Invalid tag value specified (arg #2)');
+        });
+
+        it('should throw an error if the resource type does not support tags', function() {
+            var template = new Template('permission', 'AWS::Lambda::Permission');
+            var addTag = function() {
+                return template.addTag('env', 'dev');
+            };
+
+            expect(addTag).to.throw('Resource type does not support tags: [AWS::Lambda::Permission]. Use tagging.setTagFormat() to register a tag format for the type');
+        });
+
+        it('should allow tags on resource types with a registered tag format', function() {
+            _tagging.setTagFormat('Custom::TemplateSpecTaggable', 'map');
+            var template = new Template('custom', 'Custom::TemplateSpecTaggable');
+
+            expect(template.addTag('env', 'dev')).to.equal(template);
+            expect(template.finalize({}).Properties.Tags).to.deep.equal({
+                env: 'dev'
+            });
+        });
+
+        it('should allow tags in the list format on resource types that are not defined in the specification', function() {
+            var template = new Template('queue', 'AWS::SQS::Queue');
+
+            expect(template.addTag('env', 'dev')).to.equal(template);
+            expect(template.finalize({}).Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }]);
+        });
+
+        it('should return a reference to the template', function() {
+            var template = new Template('function', 'AWS::Lambda::Function');
+
+            expect(template.addTag('env', 'dev')).to.equal(template);
+            expect(template.tags).to.deep.equal({
+                env: 'dev'
+            });
+        });
+    });
+
+    describe('finalize()', function() {
+        it('should emit tags using the format expected by the resource type', function() {
+            var template = new Template('function', 'AWS::Lambda::Function')
+                .addTag('env', 'dev')
+                .addTag('stage', {
+                    Ref: 'Stage'
+                });
+
+            expect(template.finalize({}).Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'dev'
+            }, {
+                Key: 'stage',
+                Value: {
+                    Ref: 'Stage'
+                }
+            }]);
+        });
+
+        it('should give precedence to tags declared using the Tags property', function() {
+            var template = new Template('function', 'AWS::Lambda::Function', {
+                Tags: [{
+                    Key: 'env',
+                    Value: 'prod'
+                }]
+            }).addTag('env', 'dev').addTag('team', 'core');
+
+            expect(template.finalize({}).Properties.Tags).to.deep.equal([{
+                Key: 'env',
+                Value: 'prod'
+            }, {
+                Key: 'team',
+                Value: 'core'
+            }]);
+        });
+
+        it('should not modify Tags properties that are intrinsic functions', function() {
+            var tags = {
+                'Fn::If': ['IsProd', [{
+                    Key: 'env',
+                    Value: 'prod'
+                }], {
+                    Ref: 'AWS::NoValue'
+                }]
+            };
+            var template = new Template('function', 'AWS::Lambda::Function', {
+                Tags: tags
+            }).addTag('team', 'core');
+
+            expect(template.finalize({}).Properties.Tags).to.deep.equal(tags);
+        });
+    });
+
+    describe('setSource()', function() {
+        it('should throw an error if invoked without a valid source', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            _testValueProvider.allButString('').forEach(function(source) {
+                var setSource = function() {
+                    return template.setSource(source);
+                };
+                expect(setSource).to.throw('Invalid source specified (arg #1)');
+            });
+        });
+
+        it('should throw an error if the level is invalid', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+            [null, '1', 0, -1, 1.5, {}].forEach(function(level) {
+                var setSource = function() {
+                    return template.setSource('topic.js', level);
+                };
+                expect(setSource).to.throw('Invalid level specified (arg #2)');
+            });
+        });
+
+        it('should set the source and level of the template', function() {
+            var template = new Template('topic', 'AWS::SNS::Topic');
+
+            expect(template.source).to.be.undefined;
+            expect(template.level).to.be.undefined;
+            expect(template.setSource('alerts/topic.js', 2)).to.equal(template);
+            expect(template.source).to.equal('alerts/topic.js');
+            expect(template.level).to.equal(2);
+
+            template.setSource('topic.js');
+            expect(template.source).to.equal('topic.js');
+            expect(template.level).to.be.undefined;
+        });
+    });
+});
@@ -0,0 +1,93 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _tokens = require('../../lib/tokens');
+
+describe('tokens', function() {
+    it('should implement methods required by the interface', function() {
+        expect(_tokens).to.have.property('parameter').and.to.be.a('function');
+        expect(_tokens).to.have.property('findInMap').and.to.be.a('function');
+        expect(_tokens).to.have.property('toIntrinsic').and.to.be.a('function');
+    });
+
+    describe('parameter()', function() {
+        it('should throw an error if invoked without a valid name', function() {
+            var error = 'Invalid parameter name specified (arg #1). Must be alphanumeric.';
+            [undefined, null, 123, '', 'stage-name', {}].forEach(function(name) {
+                var createToken = function() {
+                    return _tokens.parameter(name);
+                };
+                expect(createToken).to.throw(error);
+            });
+        });
+
+        it('should return a parameter token', function() {
+            expect(_tokens.parameter('Stage')).to.equal('<% param:Stage %>');
+        });
+    });
+
+    describe('findInMap()', function() {
+        it('should throw an error if invoked without a valid map name', function() {
+            var error = 'Invalid map name specified (arg #1). Must be alphanumeric.';
+            [undefined, null, '', 'role-names'].forEach(function(mapName) {
+                var createToken = function() {
+                    return _tokens.findInMap(mapName, 'dev', 'role');
+                };
+                expect(createToken).to.throw(error);
+            });
+        });
+
+        it('should throw an error if either key is invalid', function() {
+            var createWithTopKey = function() {
+                return _tokens.findInMap('Roles', 'us east', 'role');
+            };
+            var createWithSecondKey = function() {
+                return _tokens.findInMap('Roles', 'dev', {
+                    'Fn::Sub': 'role'
+                });
+            };
+
+            expect(createWithTopKey).to.throw('Invalid map key specified (arg #2). Must be a string without spaces, or a Ref object');
+            expect(createWithSecondKey).to.throw('Invalid map key specified (arg #3). Must be a string without spaces, or a Ref object');
+        });
+
+        it('should return a map lookup token', function() {
+            expect(_tokens.findInMap('Roles', {
+                Ref: 'AWS::Region'
+            }, 'role')).to.equal('<% map:Roles|ref:AWS::Region|role %>');
+        });
+    });
+
+    describe('toIntrinsic()', function() {
+        it('should convert parameter tokens into references', function() {
+            expect(_tokens.toIntrinsic('param', 'Stage')).to.deep.equal({
+                Ref: 'Stage'
+            });
+        });
+
+        it('should convert map lookup tokens into Fn::FindInMap expressions', function() {
+            expect(_tokens.toIntrinsic('map', 'Roles|ref:AWS::Region|role')).to.deep.equal({
+                'Fn::FindInMap': ['Roles', {
+                    Ref: 'AWS::Region'
+                }, 'role']
+            });
+        });
+
+        it('should throw an error if the token is malformed or of an unsupported type', function() {
+            var convertMalformed = function() {
+                return _tokens.toIntrinsic('map', 'Roles|dev');
+            };
+            var convertUnsupported = function() {
+                return _tokens.toIntrinsic('secret', 'password');
+            };
+
+            expect(convertMalformed).to.throw('Malformed map token: [Roles|dev]');
+            expect(convertUnsupported).to.throw('Unsupported token type: [secret]');
+        });
+    });
+});
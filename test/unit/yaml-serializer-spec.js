@@ -0,0 +1,168 @@
+/* jshint node:true, expr:true */
+'use strict';
+
+var _chai = require('chai');
+_chai.use(require('sinon-chai'));
+_chai.use(require('chai-as-promised'));
+var expect = _chai.expect;
+
+var _testValueProvider = require('wysknd-test').testValueProvider;
+var _fixtures = require('../utils/fixtures');
+var _yamlSerializer = require('../../lib/yaml-serializer');
+
+describe('yamlSerializer', function() {
+    function _createDocument() {
+        return _fixtures.createDocument({
+            queue: {
+                Type: 'AWS::SQS::Queue',
+                Properties: {
+                    QueueName: {
+                        Ref: 'QueueName'
+                    },
+                    TopicArn: {
+                        'Fn::GetAtt': ['topic', 'Arn']
+                    },
+                    Label: {
+                        'Fn::Join': ['', ['queue-', {
+                            Ref: 'AWS::Region'
+                        }]]
+                    },
+                    Nested: {
+                        'Fn::Sub': {
+                            'Fn::If': ['IsProd', 'prod', 'dev']
+                        }
+                    },
+                    Reserved: 'yes',
+                    Numeric: '12',
+                    Template: 'line1\nline2\n',
+                    EmptyList: [],
+                    EmptyMap: {},
+                    Enabled: true,
+                    Count: 3
+                }
+            }
+        });
+    }
+
+    it('should implement methods required by the interface', function() {
+        expect(_yamlSerializer).to.have.property('stringify').and.to.be.a('function');
+        expect(_yamlSerializer).to.have.property('parse').and.to.be.a('function');
+    });
+
+    describe('stringify()', function() {
+        it('should throw an error if invoked without a valid document', function() {
+            var error = 'Invalid document specified (arg #1)';
+            _testValueProvider.allButObject().concat([
+                []
+            ]).forEach(function(document) {
+                var stringify = function() {
+                    return _yamlSerializer.stringify(document);
+                };
+                expect(stringify).to.throw(error);
+            });
+        });
+
+        it('should use short form tags for intrinsic functions', function() {
+            var yaml = _yamlSerializer.stringify(_createDocument());
+
+            expect(yaml).to.contain('QueueName: !Ref QueueName\n');
+            expect(yaml).to.contain('TopicArn: !GetAtt topic.Arn\n');
+            expect(yaml).to.contain([
+                '      Label: !Join',
+                '        - \'\'',
+                '        - - queue-',
+                '          - !Ref AWS::Region'
+            ].join('\n'));
+        });
+
+        it('should use the full function name for functions whose values are tagged', function() {
+            var yaml = _yamlSerializer.stringify(_createDocument());
+
+            expect(yaml).to.contain([
+                '      Nested:',
+                '        Fn::Sub: !If',
+                '          - IsProd'
+            ].join('\n'));
+        });
+
+        it('should quote strings that would otherwise be parsed as other types', function() {
+            var yaml = _yamlSerializer.stringify(_createDocument());
+
+            expect(yaml).to.contain('Reserved: \'yes\'\n');
+            expect(yaml).to.contain('Numeric: \'12\'\n');
+            expect(yaml).to.contain('Enabled: true\n');
+            expect(yaml).to.contain('Count: 3\n');
+        });
+
+        it('should write multi line strings as literal block scalars', function() {
+            var yaml = _yamlSerializer.stringify(_createDocument());
+
+            expect(yaml).to.contain([
+                '      Template: |',
+                '        line1',
+                '        line2'
+            ].join('\n'));
+        });
+
+        it('should write empty collections inline', function() {
+            var yaml = _yamlSerializer.stringify(_createDocument());
+
+            expect(yaml).to.contain('EmptyList: []\n');
+            expect(yaml).to.contain('EmptyMap: {}\n');
+        });
+
+        it('should generate yaml that parses back into the original document', function() {
+            var document = _createDocument();
+
+            expect(_yamlSerializer.parse(_yamlSerializer.stringify(document))).to.deep.equal(document);
+        });
+    });
+
+    describe('parse()', function() {
+        it('should throw an error if invoked without valid text', function() {
+            var error = 'Invalid text specified (arg #1)';
+            _testValueProvider.allButString().forEach(function(text) {
+                var parse = function() {
+                    return _yamlSerializer.parse(text);
+                };
+                expect(parse).to.throw(error);
+            });
+        });
+
+        it('should throw an error if the text is not valid yaml', function() {
+            var parse = function() {
+                return _yamlSerializer.parse('Resources: [');
+            };
+
+            expect(parse).to.throw();
+        });
+
+        it('should convert short form tags into intrinsic functions', function() {
+            var document = _yamlSerializer.parse([
+                'Name: !Ref Name',
+                'Arn: !GetAtt topic.Arn',
+                'Text: !Sub [ "${Value}", { Value: !Ref Value } ]',
+                'Zones: !GetAZs ""'
+            ].join('\n'));
+
+            expect(document).to.deep.equal({
+                Name: {
+                    Ref: 'Name'
+                },
+                Arn: {
+                    'Fn::GetAtt': ['topic', 'Arn']
+                },
+                Text: {
+                    'Fn::Sub': ['${Value}', {
+                        Value: {
+                            Ref: 'Value'
+                        }
+                    }]
+                },
+                Zones: {
+                    'Fn::GetAZs': ''
+                }
+            });
+        });
+    });
+});
@@ -0,0 +1,103 @@
+/* jshint node:true */
+'use strict';
+
+var _fs = require('fs');
+var _os = require('os');
+var _path = require('path');
+
+var TEMPLATE_MODULE = _path.resolve(__dirname, '../../lib/templates/template');
+var DOCUMENT_SECTIONS = ['Description', 'Metadata', 'Parameters', 'Mappings',
+    'Conditions', 'Resources', 'Outputs'
+];
+
+/**
+ * Shared fixtures for unit tests that work with template trees on the file
+ * system, or with assembled cloud formation documents.
+ */
+module.exports = {
+    /**
+     * The absolute path to the base template module, for use by template
+     * files that are written to temporary directories.
+     */
+    TEMPLATE_MODULE: TEMPLATE_MODULE,
+
+    /**
+     * Creates an empty temporary directory.
+     *
+     * @param {String} prefix A prefix for the name of the directory.
+     *
+     * @return {String} The absolute path to the directory.
+     */
+    createTempDir: function(prefix) {
+        return _fs.mkdtempSync(_path.join(_os.tmpdir(), prefix + '-'));
+    },
+
+    /**
+     * Removes a temporary directory and all of its contents.
+     *
+     * @param {String} dir The absolute path to the directory.
+     */
+    removeTempDir: function(dir) {
+        _fs.rmSync(dir, {
+            recursive: true,
+            force: true
+        });
+    },
+
+    /**
+     * Writes a set of files to a directory, creating sub directories as
+     * necessary.
+     *
+     * @param {String} rootDir The absolute path to the directory.
+     * @param {Object} files A map of relative file paths to file contents.
+     */
+    writeFiles: function(rootDir, files) {
+        Object.keys(files).forEach(function(file) {
+            var filePath = _path.join(rootDir, file);
+            _fs.mkdirSync(_path.dirname(filePath), {
+                recursive: true
+            });
+            _fs.writeFileSync(filePath, files[file]);
+        });
+    },
+
+    /**
+     * Returns the contents of a template file that exports a single
+     * template.
+     *
+     * @param {String} key The key of the template.
+     * @param {String} [type='AWS::SNS::Topic'] The resource type of the
+     *        template.
+     *
+     * @return {String} The contents of the file.
+     */
+    templateFile: function(key, type) {
+        return '\'use strict\';\n' +
+            'const Template = require(' + JSON.stringify(TEMPLATE_MODULE) + ');\n' +
+            'module.exports = new Template(\'' + key + '\', \'' + (type || 'AWS::SNS::Topic') + '\');\n';
+    },
+
+    /**
+     * Creates a cloud formation document, with sections in the order used by
+     * cloud formation. The resources and sections are copied, so the document
+     * can be modified by a test without affecting other tests.
+     *
+     * @param {Object} resources The resources section of the document.
+     * @param {Object} [sections={}] Other sections of the document (ex:
+     *        Parameters, Outputs).
+     *
+     * @return {Object} The cloud formation document.
+     */
+    createDocument: function(resources, sections) {
+        sections = Object.assign({}, sections, {
+            Resources: resources
+        });
+        var document = {};
+        DOCUMENT_SECTIONS.forEach(function(name) {
+            if (sections[name] !== undefined) {
+                document[name] = sections[name];
+            }
+        });
+        return JSON.parse(JSON.stringify(document));
+    }
+};